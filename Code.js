@@ -3,18 +3,109 @@
  * Multi-user system with date/column selection
  * 
  * Sheet Structure:
- * Row 1: Dates across columns B, C, D, E, F
+ * Row 1: Dates across every used column from B onward (B, C, ... Z, AA, ...)
  * Column A: Labels (A2=Title, A3=Subtitle, A4=Topic1Title, etc.)
- * Each column B-F: Newsletter data for that date/person
+ * Each column from B onward: Newsletter data for that date/person
  * 
  * Data Layout (same for each column):
+ * Fields are found by their Column A label, not by row number, so rows can be
+ * inserted or reordered freely. Row 1 always holds the dates. Default order:
  * Row 2: Title, Row 3: Subtitle
  * Row 4: Topic 1 Title, Row 5: Topic 1 URL, Row 6: Topic 1 Text, Row 7: Topic 1 Button Text, Row 8: Topic 1 Button URL
  * Row 9: Topic 2 Title, Row 10: Topic 2 URL, Row 11: Topic 2 Description, Row 12: Topic 2 Button Text, Row 13: Topic 2 Button URL
  * Row 14: Topic 3 Title, Row 15: Topic 3 URL, Row 16: Topic 3 Description, Row 17: Topic 3 Button Text, Row 18: Topic 3 Button URL
+ * (Topics repeat as five-row blocks - insert "Topic 4 Title" ... "Topic 4 Button URL" rows for more topics.
+ *  An optional "Topic N Hide" row leaves that topic out of the email. The image URL is optional.
+ *  An optional "Topic N Layout" row renders that topic with its own layout; neighbouring topics
+ *  with the same layout are rendered together, so "Hero" then two "Offset" topics gives a hero
+ *  followed by an offset pair. An optional "Topic N Block" row turns the block into a section
+ *  block instead of a topic - see SECTION_BLOCKS: Intro, Section, Quote or Spacer.)
  * Row 19: Final Button URL
  * Row 20: To, Row 21: CC, Row 22: BCC
- * Row 23: Layout Style ("Stacked", "Offset", or "Hero" - defaults to "Offset")
+ * Row 23: Layout Style (a layout from NEWSLETTER_LAYOUTS: "Offset", "Stacked", "Hero", "Grid"
+ *   or "Compact" - defaults to "Offset"; the picker can override it for one run)
+ * Row 24: Archived (checkbox or "Yes" - hides the issue from the picker unless "Show archived" is ticked)
+ * Optional: Schedule Status (written by the script - Scheduled / Sent / Failed; without this row
+ *   the status is kept as a note on the date cell)
+ * Optional: Inline Images ("Yes" / "No" - overrides the "Inline Images" setting for this column)
+ * Optional: Theme (name of a theme from the Config sheet "Themes" section)
+ * Optional: Content Format ("Rich Text" or "Markdown" - overrides the "Content Format"
+ *   setting for this column; Markdown reads titles, subtitles and descriptions as Markdown)
+ * Optional: Click Tracking ("Yes" / "No" - overrides the "Click Tracking" setting for this column)
+ * Optional: Open Tracking ("Yes" / "No" - overrides the "Open Tracking" setting for this column)
+ * Optional: Recipient Tracking ("Yes" / "No" - overrides the "Recipient Tracking" setting for this column)
+ * Optional: UTM Tagging ("Yes" / "No" - overrides the "UTM Tagging" setting for this column)
+ * Optional: call-to-action and footer overrides for one issue - any of the
+ *   content settings listed below (e.g. "CTA Heading", "Hide CTA", "Footer Tagline")
+ *
+ * Config Sheet:
+ * A2: Main Logo, B2: Icon
+ * C2: Main Logo (dark mode), D2: Icon (dark mode) - optional versions shown by
+ *   mail apps in dark mode
+ * "Field Labels" section: a cell in column A reading "Field Labels", followed by
+ * rows of Label (column A) and Field (column B) until the next blank row. These
+ * add to or override DEFAULT_FIELD_LABELS, e.g. "Headline" -> "title" or
+ * "Tip # Link" -> "topic.buttonUrl".
+ * "Settings" section: a cell in column A reading "Settings", followed by rows of
+ * Setting (column A) and Value (column B):
+ *   Test Addresses - extra recipients for "Send Test to Me" (comma, semicolon or line separated)
+ *   Inline Images - "Yes" to attach topic images and logos to sent emails and drafts
+ *     (cid: references) instead of linking to them
+ *   Default Theme - theme used by columns without a Theme row value
+ *   CTA Heading, Final Button Text - call-to-action heading and final button label
+ *   Extra CTA Buttons - more call-to-action buttons, one "Text | URL" per line
+ *   Hide CTA - "Yes" to leave the call-to-action block out
+ *   Organization Name, Footer Tagline - footer lines (also used for the logo alt text)
+ *   Contact Info, Mailing Address - extra footer lines
+ *   Social Links - one "Name | URL" or "Name | URL | Icon URL" per line
+ *   Receiving Note - small "why you're receiving this" note at the bottom
+ *   Preserve Font Sizes - "Yes" to keep font sizes set on rich text in the sheet
+ *   Content Format - "Rich Text" (default) or "Markdown", see CONTENT_FORMATS
+ *   Click Tracking - "Yes" to send topic buttons, links in the title, subtitle and
+ *     descriptions and the call-to-action buttons through this script's web app
+ *     (see doGet) so clicks are logged to the "Clicks" sheet. Needs the script
+ *     deployed as a web app that anyone can access.
+ *   Open Tracking - "Yes" to add a 1x1 tracking image to the footer so opens are
+ *     logged to the "Opens" sheet (same web app requirement as Click Tracking).
+ *     Mail apps that block images don't count as opens.
+ *   Recipient Tracking - "Yes" to send every To, CC and BCC address its own copy
+ *     when click or open tracking is on, so clicks and opens are logged with a
+ *     hashed reader address and the engagement report can count unique clicks.
+ *     Each copy counts toward the Gmail daily sending limit, and a group address
+ *     still counts as one reader. Drafts and test sends are never split. Long
+ *     lists are sent in batches of about four minutes, a few minutes apart; the
+ *     Send Log's "Copies Sent" column shows how far a send has got.
+ *   Tracking URL - web app URL to use for tracked links (defaults to the current deployment)
+ *   UTM Tagging - "Yes" to add utm_source, utm_medium and utm_campaign to topic
+ *     buttons, links in the title, subtitle and descriptions and the
+ *     call-to-action buttons. The campaign is the issue date and title,
+ *     e.g. "2026-03-05-spring-update".
+ *   UTM Source, UTM Medium - values for utm_source and utm_medium
+ *     (default "newsletter" and "email")
+ *   UTM Domains - only tag links to these domains (comma separated; subdomains
+ *     are included). Blank tags links to every domain.
+ *   UTM Exclude Domains - never tag links to these domains
+ *   Strict Link Check - "Yes" to check every link and image before sending (see
+ *     checkNewsletterLinks) and block the send if one is broken. Validate
+ *     Newsletter always runs the check and lists the results.
+ * "Themes" section: a cell in column A reading "Themes", then a header row of
+ * theme properties ("Name", "Primary Color", "Heading Font", ... - see DEFAULT_THEME)
+ * and one row per theme until the next blank row. Blank cells use the default theme.
+ *
+ * Send Log Sheet (created automatically):
+ * One row per send or draft. Columns the log marks as sent need a "send again"
+ * confirmation before they can be sent a second time. A send with Recipient
+ * Tracking is logged before its first copy, and "Copies Sent" counts its copies.
+ *
+ * Clicks Sheet (created automatically when click tracking is on):
+ * One row per tracked link click.
+ *
+ * Opens Sheet (created automatically when open tracking is on):
+ * One row per tracking image load.
+ *
+ * Engagement Sheet (written by "Build Engagement Report"):
+ * Opens and clicks per issue, clicks per topic and the top topics across issues.
+ * Unique clicks count readers, so they need the "Recipient Tracking" setting.
  */
 
 /**
@@ -24,10 +115,14 @@ function onOpen() {
   const ui = SpreadsheetApp.getUi();
   ui.createMenu('Newsletter Tools')
     .addItem('Send Newsletter', 'showColumnPicker')
+    .addItem('Schedule Send', 'showSchedulePicker')
     .addItem('Create Draft Newsletter', 'showDraftPicker')
+    .addItem('Send Test to Me', 'showTestPicker')
     .addItem('Preview Newsletter', 'showPreviewPicker')
+    .addItem('Validate Newsletter', 'showValidatePicker')
     .addSeparator()
     .addItem('Generate HTML Only', 'showGeneratePicker')
+    .addItem('Build Engagement Report', 'buildEngagementReport')
     .addToUi();
 }
 
@@ -35,79 +130,93 @@ function onOpen() {
  * Shows dialog to select column/date for sending
  */
 function showColumnPicker() {
-  const html = createColumnPickerDialog('send');
-  const htmlOutput = HtmlService.createHtmlOutput(html)
-    .setWidth(400)
-    .setHeight(300)
-    .setTitle('Select Newsletter to Send');
-  
-  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Send Newsletter');
+  showPickerDialog('send', 'Select Newsletter to Send', 'Send Newsletter');
+}
+
+/**
+ * Shows dialog to select column/date and time for a scheduled send
+ */
+function showSchedulePicker() {
+  showPickerDialog('schedule', 'Select Newsletter to Schedule', 'Schedule Send');
 }
 
 /**
  * Shows dialog to select column/date for creating a draft
  */
 function showDraftPicker() {
-  const html = createColumnPickerDialog('draft');
-  const htmlOutput = HtmlService.createHtmlOutput(html)
-    .setWidth(400)
-    .setHeight(300)
-    .setTitle('Select Newsletter to Create Draft');
-  
-  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Create Newsletter Draft');
+  showPickerDialog('draft', 'Select Newsletter to Create Draft', 'Create Newsletter Draft');
+}
+
+/**
+ * Shows dialog to select column/date for a test send
+ */
+function showTestPicker() {
+  showPickerDialog('test', 'Select Newsletter to Test', 'Send Test to Me');
 }
 
 /**
  * Shows dialog to select column/date for preview
  */
 function showPreviewPicker() {
-  const html = createColumnPickerDialog('preview');
-  const htmlOutput = HtmlService.createHtmlOutput(html)
-    .setWidth(400)
-    .setHeight(300)
-    .setTitle('Select Newsletter to Preview');
-  
-  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Preview Newsletter');
+  showPickerDialog('preview', 'Select Newsletter to Preview', 'Preview Newsletter');
+}
+
+/**
+ * Shows dialog to select column/date for validation
+ */
+function showValidatePicker() {
+  showPickerDialog('validate', 'Select Newsletter to Validate', 'Validate Newsletter');
 }
 
 /**
  * Shows dialog to select column/date for HTML generation
  */
 function showGeneratePicker() {
-  const html = createColumnPickerDialog('generate');
+  showPickerDialog('generate', 'Select Newsletter to Generate', 'Generate HTML');
+}
+
+/**
+ * Opens the column picker as a modal dialog
+ * @param {string} action - The action to perform (send, schedule, test, preview, validate, generate, draft)
+ * @param {string} title - Title of the HTML output
+ * @param {string} dialogTitle - Title shown in the dialog frame
+ */
+function showPickerDialog(action, title, dialogTitle) {
+  const html = createColumnPickerDialog(action);
   const htmlOutput = HtmlService.createHtmlOutput(html)
-    .setWidth(400)
-    .setHeight(300)
-    .setTitle('Select Newsletter to Generate');
-  
-  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Generate HTML');
+    .setWidth(480)
+    .setHeight(560)
+    .setTitle(title);
+
+  SpreadsheetApp.getUi().showModalDialog(htmlOutput, dialogTitle);
 }
 
 /**
  * Creates HTML dialog for column selection
- * @param {string} action - The action to perform (send, preview, generate, draft)
+ * @param {string} action - The action to perform (send, schedule, test, preview, validate, generate, draft)
  * @returns {string} HTML for dialog
  */
 function createColumnPickerDialog(action) {
   const sheet = SpreadsheetApp.getActiveSheet();
-  const columns = ['B', 'C', 'D', 'E', 'F'];
-  const options = [];
-  
-  // Get dates from row 1 for each column
-  columns.forEach(col => {
-    const dateCell = sheet.getRange(col + '1').getValue();
-    const dateStr = dateCell ? Utilities.formatDate(new Date(dateCell), Session.getScriptTimeZone(), 'MM/dd/yyyy') : 'No Date';
-    const titleCell = sheet.getRange(col + '2').getValue();
-    const titleStr = titleCell ? titleCell.toString().substring(0, 30) + '...' : 'No Title';
-    
-    options.push({
-      column: col,
-      date: dateStr,
-      title: titleStr,
-      label: `${dateStr} - ${titleStr}`
-    });
+  const options = getNewsletterColumns(sheet);
+  const schedules = action === 'schedule' ? getScheduledSends() : {};
+  const lastSends = action === 'send' || action === 'schedule' ? getLastSends(sheet.getName()) : {};
+  const timeZone = Session.getScriptTimeZone();
+
+  options.forEach(opt => {
+    const lastSend = lastSends[opt.column];
+    if (lastSend) {
+      opt.sentBadge = 'Sent ' + Utilities.formatDate(lastSend.timestamp, timeZone, 'MM/dd');
+      opt.sentDetail = `sent on ${formatScheduleTime(lastSend.timestamp)} by ${lastSend.user || 'unknown user'}`;
+    }
+
+    const schedule = schedules[getScheduleKey(sheet.getName(), opt.column)];
+    if (!schedule) return;
+    opt.scheduleLabel = schedule.status === 'sending'
+      ? 'Sending'
+      : 'Scheduled ' + Utilities.formatDate(new Date(schedule.sendAt), timeZone, 'MM/dd h:mm a');
   });
-  
+
   return `
     <!DOCTYPE html>
     <html>
@@ -115,8 +224,21 @@ function createColumnPickerDialog(action) {
       <base target="_top">
       <style>
         body { font-family: Arial, sans-serif; padding: 20px; }
+        .filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 10px; font-size: 12px; }
+        .filters input[type="search"] { flex: 1 1 100%; padding: 6px; border: 1px solid #ddd; border-radius: 5px; }
+        .filters label { color: #666; }
+        .option-list { max-height: 300px; overflow-y: auto; }
         .option { margin: 10px 0; padding: 10px; border: 1px solid #ddd; border-radius: 5px; }
         .option:hover { background-color: #f5f5f5; }
+        .option.archived { opacity: 0.6; }
+        .badge { display: inline-block; margin-left: 6px; padding: 1px 6px; border-radius: 8px; background-color: #999999; color: white; font-size: 10px; text-transform: uppercase; }
+        .badge-scheduled { background-color: #4356a0; }
+        .badge-sent { background-color: #ad2122; }
+        .schedule-controls { margin-top: 10px; font-size: 13px; }
+        .layout-controls { margin-top: 10px; font-size: 13px; }
+        .layout-controls select { padding: 4px; }
+        .column-tag { color: #999; font-size: 11px; margin-left: 6px; }
+        .empty { color: #666; font-style: italic; }
         .btn { background-color: #2d3f89; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; margin: 5px; }
         .btn:hover { background-color: #1d2a5d; }
         .btn-cancel { background-color: #666666; }
@@ -124,31 +246,110 @@ function createColumnPickerDialog(action) {
         .btn:disabled { background-color: #ccc; cursor: not-allowed; }
         #html-container { margin-top: 20px; }
         #html-output { width: 100%; height: 150px; margin-bottom: 10px; }
+        .report-section { margin: 10px 0; max-height: 360px; overflow-y: auto; }
+        .report-section h4 { margin: 10px 0 5px 0; }
+        .report-section ul { margin: 0; padding-left: 20px; font-size: 13px; }
+        .report-section li { margin-bottom: 6px; }
+        .report-errors h4 { color: #ad2122; }
+        .report-warnings h4 { color: #b06f00; }
+        .report-ok { color: #2d3f89; font-weight: bold; }
+        .report-links li { color: #666; word-break: break-all; }
       </style>
     </head>
     <body>
       <div id="main-content">
         <h3>Select Newsletter to ${action.charAt(0).toUpperCase() + action.slice(1)}:</h3>
-        <form>
+        <div class="filters">
+          <input type="search" id="search" placeholder="Search by title, date or column" oninput="applyFilters()">
+          <label>From <input type="date" id="date-from" onchange="applyFilters()"></label>
+          <label>To <input type="date" id="date-to" onchange="applyFilters()"></label>
+          <label><input type="checkbox" id="show-archived" onchange="applyFilters()"> Show archived</label>
+        </div>
+        <form class="option-list">
           ${options.map(opt => `
-            <div class="option">
+            <div class="option${opt.archived ? ' archived' : ''}" data-search="${escapeHtml([opt.column, opt.date, opt.fullTitle].join(' ').toLowerCase())}" data-date="${opt.isoDate}" data-archived="${opt.archived}">
               <label>
-                <input type="radio" name="column" value="${opt.column}"> 
-                <strong>${opt.date}</strong><br>
-                <small>${opt.title}</small>
+                <input type="radio" name="column" value="${opt.column}" data-sent="${escapeHtml(opt.sentDetail || '')}">
+                <strong>${opt.date}</strong><span class="column-tag">Column ${opt.column}</span>${opt.archived ? '<span class="badge">Archived</span>' : ''}${opt.sentBadge ? `<span class="badge badge-sent">${opt.sentBadge}</span>` : ''}${opt.scheduleLabel ? `<span class="badge badge-scheduled">${opt.scheduleLabel}</span>` : ''}<br>
+                <small>${escapeHtml(opt.title)}</small>
               </label>
             </div>
           `).join('')}
+          <p id="no-results" class="empty" style="display: none;">No newsletters match these filters.</p>
         </form>
+        ${action === 'schedule' ? `
+        <div class="schedule-controls">
+          <label>Send at <input type="datetime-local" id="send-at"></label>
+        </div>
+        ` : ''}
+        <div class="layout-controls">
+          <label>Layout
+            <select id="layout-override">
+              <option value="">Use the sheet's Layout Style</option>
+              ${getNewsletterLayoutOptions().map(layout => `<option value="${layout.name}" title="${escapeHtml(layout.description)}">${escapeHtml(layout.displayName)}</option>`).join('')}
+            </select>
+          </label>
+          ${action === 'preview' ? '<label><input type="checkbox" id="dark-mode"> Preview in dark mode</label>' : ''}
+        </div>
         <br>
         <div id="button-container">
           <button id="action-btn" class="btn" onclick="executeAction()">${action.charAt(0).toUpperCase() + action.slice(1)}</button>
+          ${action === 'schedule' ? '<button id="unschedule-btn" class="btn btn-cancel" onclick="cancelSchedule()">Unschedule</button>' : ''}
           <button id="cancel-btn" class="btn btn-cancel" onclick="google.script.host.close()">Cancel</button>
         </div>
         <div id="loader" class="loader">Processing... Please wait.</div>
       </div>
-      
+
       <script>
+        function applyFilters() {
+          const query = document.getElementById('search').value.trim().toLowerCase();
+          const from = document.getElementById('date-from').value;
+          const to = document.getElementById('date-to').value;
+          const showArchived = document.getElementById('show-archived').checked;
+          let visibleCount = 0;
+
+          document.querySelectorAll('.option').forEach(option => {
+            const date = option.dataset.date;
+            let visible = !query || option.dataset.search.indexOf(query) !== -1;
+            if (visible && (from || to)) {
+              visible = !!date && (!from || date >= from) && (!to || date <= to);
+            }
+            if (visible && option.dataset.archived === 'true' && !showArchived) {
+              visible = false;
+            }
+
+            option.style.display = visible ? '' : 'none';
+            if (!visible) {
+              const radio = option.querySelector('input[name="column"]');
+              radio.checked = false;
+            } else {
+              visibleCount++;
+            }
+          });
+
+          document.getElementById('no-results').style.display = visibleCount ? 'none' : 'block';
+        }
+
+        applyFilters();
+
+        function cancelSchedule() {
+          const selected = document.querySelector('input[name="column"]:checked');
+          if (!selected) {
+            alert('Please select a newsletter to unschedule.');
+            return;
+          }
+
+          google.script.run
+            .withSuccessHandler((message) => {
+              alert(message);
+              google.script.host.close();
+            })
+            .withFailureHandler((error) => {
+              alert('Error cancelling scheduled send: ' + error.message);
+            })
+            .cancelScheduledSend(selected.value);
+        }
+
         function executeAction() {
           const selected = document.querySelector('input[name="column"]:checked');
           if (!selected) {
@@ -166,6 +367,7 @@ function createColumnPickerDialog(action) {
           
           const column = selected.value;
           const action = '${action}';
+          const layoutStyle = document.getElementById('layout-override').value;
 
           function restoreButtons() {
             actionBtn.disabled = false;
@@ -181,6 +383,68 @@ function createColumnPickerDialog(action) {
               '<button class="btn btn-cancel" onclick="google.script.host.close()">Close</button>';
           }
 
+          function showValidationReport(report) {
+            const mainContent = document.getElementById('main-content');
+            mainContent.innerHTML = '';
+
+            const heading = document.createElement('h3');
+            heading.textContent = 'Validation Report - Column ' + report.column + (report.title ? ': ' + report.title : '');
+            mainContent.appendChild(heading);
+
+            const container = document.createElement('div');
+            container.className = 'report-section';
+            [['Errors (must be fixed before sending)', report.errors, 'report-errors'],
+             ['Warnings', report.warnings, 'report-warnings']].forEach(([title, items, className]) => {
+              if (!items.length) return;
+              const section = document.createElement('div');
+              section.className = className;
+              const sectionHeading = document.createElement('h4');
+              sectionHeading.textContent = title + ' - ' + items.length;
+              const list = document.createElement('ul');
+              items.forEach(item => {
+                const listItem = document.createElement('li');
+                listItem.textContent = item;
+                list.appendChild(listItem);
+              });
+              section.appendChild(sectionHeading);
+              section.appendChild(list);
+              container.appendChild(section);
+            });
+
+            if (!report.errors.length && !report.warnings.length) {
+              const ok = document.createElement('p');
+              ok.className = 'report-ok';
+              ok.textContent = 'No problems found. This newsletter is ready to send.';
+              container.appendChild(ok);
+            }
+
+            if (report.links && report.links.length) {
+              const section = document.createElement('div');
+              section.className = 'report-links';
+              const sectionHeading = document.createElement('h4');
+              sectionHeading.textContent = 'Links and Images Checked - ' + report.links.length;
+              const list = document.createElement('ul');
+              report.links.forEach(link => {
+                const listItem = document.createElement('li');
+                const status = link.fetchError ? 'Unreachable' : 'HTTP ' + link.status;
+                listItem.textContent = status + ' - ' + link.url +
+                  (link.redirects.length ? ' -> ' + link.finalUrl : '') +
+                  (link.type === 'image' ? ' (' + (link.contentType || 'no content type') + ')' : '');
+                list.appendChild(listItem);
+              });
+              section.appendChild(sectionHeading);
+              section.appendChild(list);
+              container.appendChild(section);
+            }
+            mainContent.appendChild(container);
+
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'btn btn-cancel';
+            closeBtn.textContent = 'Close';
+            closeBtn.onclick = () => google.script.host.close();
+            mainContent.appendChild(closeBtn);
+          }
+
           window.copyHtml = function() {
             const htmlOutput = document.getElementById('html-output');
             htmlOutput.select();
@@ -188,17 +452,68 @@ function createColumnPickerDialog(action) {
             alert('HTML copied to clipboard!');
           }
           
-          if (action === 'send') {
+          function sendNewsletter(confirmResend) {
             google.script.run
-              .withSuccessHandler(() => {
-                alert('Newsletter sent successfully!');
+              .withSuccessHandler((result) => {
+                // A per-reader send that needs more time reports its progress
+                alert(typeof result === 'string' ? result : 'Newsletter sent successfully!');
                 google.script.host.close();
               })
               .withFailureHandler((error) => {
+                // Someone else may have sent it since this dialog opened
+                if (!confirmResend && error.message.indexOf('was already sent') !== -1 &&
+                    confirm(error.message.replace(/^Failed to send newsletter: /, '').replace(/ Confirm .*$/, '') + '\\n\\nSend again?')) {
+                  sendNewsletter(true);
+                  return;
+                }
                 alert('Error sending newsletter: ' + error.message);
                 restoreButtons();
               })
-              .sendNewsletterFromColumn(column);
+              .sendNewsletterFromColumn(column, { confirmResend: confirmResend, layoutStyle: layoutStyle });
+          }
+          
+          if (action === 'send') {
+            const sentDetail = selected.dataset.sent;
+            if (sentDetail && !confirm('This newsletter was already ' + sentDetail + '.\\n\\nSend again?')) {
+              restoreButtons();
+              return;
+            }
+            sendNewsletter(!!sentDetail);
+          } else if (action === 'schedule') {
+            const sendAt = document.getElementById('send-at').value;
+            if (!sendAt) {
+              alert('Please choose a date and time to send.');
+              restoreButtons();
+              return;
+            }
+
+            const sentDetail = selected.dataset.sent;
+            if (sentDetail && !confirm('This newsletter was already ' + sentDetail + '.\\n\\nSchedule it to be sent again?')) {
+              restoreButtons();
+              return;
+            }
+
+            google.script.run
+              .withSuccessHandler((message) => {
+                alert(message);
+                google.script.host.close();
+              })
+              .withFailureHandler((error) => {
+                alert('Error scheduling newsletter: ' + error.message);
+                restoreButtons();
+              })
+              .scheduleNewsletterSend(column, new Date(sendAt).getTime(), { confirmResend: !!sentDetail, layoutStyle: layoutStyle });
+          } else if (action === 'test') {
+            google.script.run
+              .withSuccessHandler((message) => {
+                alert(message);
+                google.script.host.close();
+              })
+              .withFailureHandler((error) => {
+                alert('Error sending test newsletter: ' + error.message);
+                restoreButtons();
+              })
+              .sendTestNewsletterFromColumn(column, { layoutStyle: layoutStyle });
           } else if (action === 'draft') {
             google.script.run
               .withSuccessHandler(() => {
@@ -209,7 +524,7 @@ function createColumnPickerDialog(action) {
                 alert('Error creating newsletter draft: ' + error.message);
                 restoreButtons();
               })
-              .createDraftNewsletterFromColumn(column);
+              .createDraftNewsletterFromColumn(column, { layoutStyle: layoutStyle });
           } else if (action === 'preview') {
             google.script.run
               .withSuccessHandler((html) => {
@@ -221,7 +536,17 @@ function createColumnPickerDialog(action) {
                 alert('Error generating preview: ' + error.message);
                 restoreButtons();
               })
-              .generateNewsletterHTMLFromColumn(column);
+              .generateNewsletterHTMLFromColumn(column, { layoutStyle: layoutStyle, forceDarkMode: document.getElementById('dark-mode').checked });
+          } else if (action === 'validate') {
+            google.script.run
+              .withSuccessHandler((report) => {
+                showValidationReport(report);
+              })
+              .withFailureHandler((error) => {
+                alert('Error validating newsletter: ' + error.message);
+                restoreButtons();
+              })
+              .validateNewsletterFromColumn(column, { layoutStyle: layoutStyle });
           } else if (action === 'generate') {
             google.script.run
               .withSuccessHandler((html) => {
@@ -231,7 +556,7 @@ function createColumnPickerDialog(action) {
                 alert('Error generating HTML: ' + error.message);
                 restoreButtons();
               })
-              .generateNewsletterHTMLFromColumn(column);
+              .generateNewsletterHTMLFromColumn(column, { layoutStyle: layoutStyle });
           }
         }
       </script>
@@ -240,17 +565,163 @@ function createColumnPickerDialog(action) {
   `;
 }
 
+/**
+ * Lists every used newsletter column on the sheet, newest date first.
+ * Columns without a date are listed last, rightmost column first.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The newsletter sheet
+ * @returns {Array<Object>} Column summaries for the picker
+ */
+function getNewsletterColumns(sheet) {
+  const schema = getSheetSchema(sheet);
+  const titleRow = schema.rows.title;
+  const archivedRow = schema.rows.archived;
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn < 2) return [];
+
+  const rowCount = Math.max(1, titleRow || 0, archivedRow || 0);
+  const values = sheet.getRange(1, 2, rowCount, lastColumn - 1).getValues();
+  const timeZone = Session.getScriptTimeZone();
+  const columns = [];
+
+  for (let i = 0; i < lastColumn - 1; i++) {
+    const dateCell = values[0][i];
+    const titleCell = titleRow ? values[titleRow - 1][i] : '';
+    if (!dateCell && !titleCell) continue;
+
+    const date = dateCell ? new Date(dateCell) : null;
+    const hasDate = date && !isNaN(date.getTime());
+    const fullTitle = titleCell ? titleCell.toString() : '';
+
+    columns.push({
+      column: columnIndexToLetter(i + 2),
+      index: i + 2,
+      date: hasDate ? Utilities.formatDate(date, timeZone, 'MM/dd/yyyy') : 'No Date',
+      isoDate: hasDate ? Utilities.formatDate(date, timeZone, 'yyyy-MM-dd') : '',
+      time: hasDate ? date.getTime() : null,
+      fullTitle: fullTitle,
+      title: fullTitle ? (fullTitle.length > 30 ? fullTitle.substring(0, 30) + '...' : fullTitle) : 'No Title',
+      archived: archivedRow ? isTruthyCellValue(values[archivedRow - 1][i]) : false
+    });
+  }
+
+  return columns.sort((a, b) => {
+    if (a.time !== null && b.time !== null) return b.time - a.time || b.index - a.index;
+    if (a.time !== null) return -1;
+    if (b.time !== null) return 1;
+    return b.index - a.index;
+  });
+}
+
+/**
+ * Converts a 1-based column index into a column letter (1 = A, 27 = AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letter
+ */
+function columnIndexToLetter(index) {
+  let letter = '';
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Converts a column letter into a 1-based column index (A = 1, AA = 27)
+ * @param {string} letter - Column letter
+ * @returns {number} Column index
+ */
+function columnLetterToIndex(letter) {
+  let index = 0;
+  for (const char of letter.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index;
+}
+
+/**
+ * Validates a newsletter column letter and normalizes it to upper case
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The newsletter sheet
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @returns {string} Normalized column letter
+ */
+function validateNewsletterColumn(sheet, column) {
+  const letter = column ? column.toString().trim().toUpperCase() : '';
+
+  if (!/^[A-Z]{1,3}$/.test(letter)) {
+    throw new Error(`"${column}" is not a valid column letter`);
+  }
+
+  const index = columnLetterToIndex(letter);
+  if (index < 2) {
+    throw new Error('Column A holds the field labels and cannot be used as a newsletter');
+  }
+
+  if (index > sheet.getLastColumn()) {
+    throw new Error(`Column ${letter} does not exist on sheet "${sheet.getName()}"`);
+  }
+
+  return letter;
+}
+
+/**
+ * Gets a newsletter sheet by name, or the active sheet when no name is given.
+ * Triggers have no meaningful active sheet, so they always pass a name.
+ * @param {string} [sheetName] - Sheet name
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The newsletter sheet
+ */
+function getNewsletterSheet(sheetName) {
+  if (!sheetName) return SpreadsheetApp.getActiveSheet();
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" was not found`);
+  }
+  return sheet;
+}
+
+/**
+ * Checks whether a cell value means "yes" (checkbox, Yes, Y, X, TRUE)
+ * @param {*} value - Cell value
+ * @returns {boolean} True if the value is truthy
+ */
+function isTruthyCellValue(value) {
+  if (value === true) return true;
+  if (!value) return false;
+  return ['true', 'yes', 'y', 'x', '1'].includes(value.toString().trim().toLowerCase());
+}
+
+/**
+ * Applies the picker's layout override to newsletter data
+ * @param {Object} data - Newsletter data
+ * @param {string} [layoutStyle] - Registered layout name; blank keeps the column's Layout Style
+ */
+function applyLayoutOverride(data, layoutStyle) {
+  if (!layoutStyle) return;
+
+  if (!getNewsletterLayout(layoutStyle)) {
+    throw new Error(`"${layoutStyle}" is not a registered layout`);
+  }
+  data.layoutStyle = layoutStyle;
+}
+
 /**
  * Generates HTML newsletter from specified column
- * @param {string} column - Column letter (B, C, D, E, F)
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @param {Object} [options] - Render options
+ * @param {string} [options.layoutStyle] - Layout to use instead of the column's Layout Style
+ * @param {boolean} [options.forceDarkMode] - Render with the dark mode styles applied (preview only)
  * @returns {string} Complete HTML newsletter
  */
-function generateNewsletterHTMLFromColumn(column) {
+function generateNewsletterHTMLFromColumn(column, options = {}) {
   try {
     const sheet = SpreadsheetApp.getActiveSheet();
+    column = validateNewsletterColumn(sheet, column);
     const data = getNewsletterDataFromColumn(sheet, column);
+    applyLayoutOverride(data, options.layoutStyle);
     
-    const html = createNewsletterHTML(data);
+    const html = createNewsletterHTML(data, { forceDarkMode: !!options.forceDarkMode });
     
     console.log(`Generated HTML Newsletter from Column ${column}`);
     console.log('HTML length:', html.length, 'characters');
@@ -263,1217 +734,6726 @@ function generateNewsletterHTMLFromColumn(column) {
 }
 
 /**
- * Sends newsletter email from specified column
- * @param {string} column - Column letter (B, C, D, E, F)
- * @returns {boolean} Success status
+ * Sends newsletter email from specified column. A column the Send Log already
+ * marks as sent is only sent again when options.confirmResend is set.
+ * The script lock is held from the Send Log check until the send is logged,
+ * so two sends of the same column can't both pass the check.
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @param {Object} [options] - Send options
+ * @param {string} [options.sheetName] - Newsletter sheet, defaults to the active sheet
+ * @param {boolean} [options.confirmResend] - Send even if the column was already sent
+ * @param {string} [options.layoutStyle] - Layout to use instead of the column's Layout Style
+ * @returns {boolean|string} true once sent, or a progress message when
+ *   per-reader copies are still being sent (see sendRecipientCopies)
  */
-function sendNewsletterFromColumn(column) {
+function sendNewsletterFromColumn(column, options = {}) {
+  const lock = LockService.getScriptLock();
+
   try {
-    const sheet = SpreadsheetApp.getActiveSheet();
-    const data = getNewsletterDataFromColumn(sheet, column);
-    
-    if (!data.to) {
-      throw new Error(`No recipients specified in "To" field for column ${column}`);
-    }
-    
-    if (!data.title) {
-      throw new Error(`Newsletter title is required for column ${column}`);
+    if (!lock.tryLock(30000)) {
+      throw new Error('Another newsletter is being sent right now. Try again in a minute');
     }
-    
-    const html = createNewsletterHTML(data);
-    const subject = stripHtmlTags(data.title) + (data.date ? ' - ' + Utilities.formatDate(new Date(data.date), Session.getScriptTimeZone(), 'MM/dd/yyyy') : '');
-    
-    GmailApp.sendEmail(
-      data.to,
-      subject,
-      '',
-      {
-        htmlBody: html,
-        cc: data.cc || '',
-        bcc: data.bcc || '',
-        attachments: []
-      }
-    );
-    
-    console.log(`Newsletter sent successfully from column ${column} to:`, data.to);
-    return true;
-    
+    return sendNewsletterWhileLocked(column, options);
+
   } catch (error) {
     console.error(`Error sending newsletter from column ${column}:`, error);
     throw new Error('Failed to send newsletter: ' + error.message);
+  } finally {
+    lock.releaseLock();
   }
 }
 
 /**
- * Creates a draft newsletter email from specified column
- * @param {string} column - Column letter (B, C, D, E, F)
- * @returns {boolean} Success status
+ * Does the work of sendNewsletterFromColumn. The caller must hold the script lock.
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @param {Object} [options] - Send options (see sendNewsletterFromColumn)
+ * @param {boolean} [options.scheduled] - Called for a scheduled send
+ * @returns {boolean|string} true once sent, or a progress message when
+ *   per-reader copies are still being sent (see sendRecipientCopies)
  */
-function createDraftNewsletterFromColumn(column) {
-  try {
-    const sheet = SpreadsheetApp.getActiveSheet();
-    const data = getNewsletterDataFromColumn(sheet, column);
-    
-    if (!data.to) {
-      throw new Error(`No recipients specified in "To" field for column ${column}`);
-    }
-    
-    if (!data.title) {
-      throw new Error(`Newsletter title is required for column ${column}`);
+function sendNewsletterWhileLocked(column, options = {}) {
+  const sheet = getNewsletterSheet(options.sheetName);
+  column = validateNewsletterColumn(sheet, column);
+
+  if (getRecipientSends()[getScheduleKey(sheet.getName(), column)]) {
+    throw new Error(`Column ${column} is still being sent one copy per reader; the remaining copies go out automatically`);
+  }
+
+  const lastSend = getLastSends(sheet.getName())[column];
+  if (lastSend && !options.confirmResend) {
+    throw new Error(`Column ${column} was already sent on ${formatScheduleTime(lastSend.timestamp)} by ${lastSend.user || 'unknown user'}. Confirm "send again" to send it a second time`);
+  }
+
+  const data = getNewsletterDataFromColumn(sheet, column);
+  applyLayoutOverride(data, options.layoutStyle);
+
+  const validation = validateNewsletterData(data);
+  if (validation.errors.length > 0) {
+    throw new Error(`Column ${column} has ${validation.errors.length} problem(s) to fix before sending (run Validate Newsletter for the full report):\n- ` + validation.errors.join('\n- '));
+  }
+
+  if (useStrictLinkCheck()) {
+    const linkCheck = checkNewsletterLinks(data);
+    if (linkCheck.errors.length > 0) {
+      throw new Error(`Column ${column} has ${linkCheck.errors.length} broken link(s) or image(s) ("Strict Link Check" is on):\n- ` + linkCheck.errors.join('\n- '));
     }
-    
-    const html = createNewsletterHTML(data);
-    const subject = stripHtmlTags(data.title) + (data.date ? ' - ' + Utilities.formatDate(new Date(data.date), Session.getScriptTimeZone(), 'MM/dd/yyyy') : '');
-    
-    GmailApp.createDraft(
-      data.to,
-      subject,
-      '',
-      {
-        htmlBody: html,
-        cc: data.cc || '',
-        bcc: data.bcc || '',
-        attachments: []
-      }
-    );
-    
-    console.log(`Newsletter draft created successfully from column ${column} for:`, data.to);
-    return true;
-    
-  } catch (error) {
-    console.error(`Error creating newsletter draft from column ${column}:`, error);
-    throw new Error('Failed to create newsletter draft: ' + error.message);
   }
+
+  const tracking = getEmailTracking(data, sheet.getName(), column);
+  const subject = getNewsletterSubject(data);
+  createTrackingSheets(tracking);
+
+  if (tracking && useRecipientTracking(data)) {
+    return sendRecipientCopies(data, sheet.getName(), column, subject, tracking, options);
+  }
+
+  const inlineImages = {};
+  const html = createNewsletterHTML(data, {
+    inlineImages: useInlineImages(data) ? inlineImages : null,
+    tracking: tracking
+  });
+
+  // Send through a draft so the sent message and thread ids can be logged
+  const draft = GmailApp.createDraft(
+    data.to,
+    subject,
+    createNewsletterPlainText(data),
+    {
+      htmlBody: html,
+      cc: data.cc || '',
+      bcc: data.bcc || '',
+      attachments: [],
+      inlineImages: inlineImages
+    }
+  );
+  const message = draft.send();
+
+  appendSendLog({
+    action: 'Sent',
+    sheetName: sheet.getName(),
+    column: column,
+    subject: subject,
+    data: data,
+    html: html,
+    message: message
+  });
+
+  console.log(`Newsletter sent successfully from column ${column} to:`, data.to);
+  return true;
 }
 
 /**
- * Legacy functions for backward compatibility (use Column B)
+ * Longest time (in milliseconds) one run spends sending per-reader copies.
+ * Apps Script stops a run after six minutes, so the rest are left to
+ * continueRecipientSends.
  */
-function generateNewsletterHTML() {
-  return generateNewsletterHTMLFromColumn('B');
-}
+const RECIPIENT_BATCH_TIME_LIMIT = 4 * 60 * 1000;
 
-function sendNewsletterEmail() {
-  return sendNewsletterFromColumn('B');
-}
+/**
+ * Delay before continueRecipientSends picks up a per-reader send, counted
+ * from the start of the batch before it (so after that batch has stopped)
+ */
+const RECIPIENT_CONTINUE_DELAY = 5 * 60 * 1000;
 
 /**
- * Extracts newsletter data from specified column with rich text formatting support
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The active sheet
- * @param {string} column - Column letter (B, C, D, E, F)
- * @returns {Object} Newsletter data object
+ * Document property holding per-reader sends that still have copies to send,
+ * keyed by "Sheet!Column"
  */
-function getNewsletterDataFromColumn(sheet, column) {
-  const data = {
-    date: sheet.getRange(column + '1').getValue(),
-    title: getFormattedCellValueSingleLine(sheet, column + '2'),
-    subtitle: getFormattedCellValue(sheet, column + '3'),
-    topic1: {
-      title: getFormattedCellValueSingleLine(sheet, column + '4'),
-      url: sheet.getRange(column + '5').getValue(),
-      text: getFormattedCellValue(sheet, column + '6'),
-      buttonText: sheet.getRange(column + '7').getValue(),
-      buttonUrl: sheet.getRange(column + '8').getValue()
-    },
-    topic2: {
-      title: getFormattedCellValueSingleLine(sheet, column + '9'),
-      url: sheet.getRange(column + '10').getValue(),
-      description: getFormattedCellValue(sheet, column + '11'),
-      buttonText: sheet.getRange(column + '12').getValue(),
-      buttonUrl: sheet.getRange(column + '13').getValue()
-    },
-    topic3: {
-      title: getFormattedCellValueSingleLine(sheet, column + '14'),
-      url: sheet.getRange(column + '15').getValue(),
-      description: getFormattedCellValue(sheet, column + '16'),
-      buttonText: sheet.getRange(column + '17').getValue(),
-      buttonUrl: sheet.getRange(column + '18').getValue()
-    },
-    finalButtonUrl: sheet.getRange(column + '19').getValue(),
-    to: sheet.getRange(column + '20').getValue(),
-    cc: sheet.getRange(column + '21').getValue(),
-    bcc: sheet.getRange(column + '22').getValue(),
-    layoutStyle: sheet.getRange(column + '23').getValue()
-  };
-  
-  // Sanitize HTML content for security
-  if (data.title) data.title = sanitizeHtml(data.title);
-  if (data.subtitle) data.subtitle = sanitizeHtml(data.subtitle);
-  if (data.topic1.title) data.topic1.title = sanitizeHtml(data.topic1.title);
-  if (data.topic1.text) data.topic1.text = sanitizeHtml(data.topic1.text);
-  if (data.topic2.title) data.topic2.title = sanitizeHtml(data.topic2.title);
-  if (data.topic2.description) data.topic2.description = sanitizeHtml(data.topic2.description);
-  if (data.topic3.title) data.topic3.title = sanitizeHtml(data.topic3.title);
-  if (data.topic3.description) data.topic3.description = sanitizeHtml(data.topic3.description);
-  
-  return data;
-}
+const RECIPIENT_SENDS_PROPERTY = 'recipientSends';
 
 /**
- * Legacy function for backward compatibility
+ * Sends every To, CC and BCC address its own copy of the newsletter, with the
+ * reader's hashed address in the tracked links and the open tracking image.
+ * The Send Log row is written before the first copy and its "Copies Sent"
+ * cell is updated after each one, so a send that is stopped part way still
+ * counts as sent. Copies go out in batches (see sendRecipientBatch).
+ * @param {Object} data - Newsletter data
+ * @param {string} sheetName - Newsletter sheet name
+ * @param {string} column - Column letter
+ * @param {string} subject - Email subject
+ * @param {Object} tracking - Settings from getEmailTracking
+ * @param {Object} [options] - Send options
+ * @param {string} [options.layoutStyle] - Layout override to keep for later batches
+ * @param {boolean} [options.scheduled] - Started by a scheduled send, so later
+ *   batches update the column's schedule status
+ * @returns {boolean|string} true when every copy was sent, otherwise a message
+ *   saying how many went out and that the rest follow automatically
  */
-function getNewsletterData(sheet) {
-  return getNewsletterDataFromColumn(sheet, 'B');
+function sendRecipientCopies(data, sheetName, column, subject, tracking, options = {}) {
+  const addresses = getRecipientAddresses(data);
+  const logSheet = getSendLogSheet();
+  logSheet.appendRow(getSendLogRow({
+    action: 'Sent',
+    sheetName: sheetName,
+    column: column,
+    subject: subject,
+    data: data,
+    html: '',
+    copies: `0 of ${addresses.length}`
+  }));
+
+  return sendRecipientBatch({
+    sheetName: sheetName,
+    column: column,
+    layoutStyle: options.layoutStyle || '',
+    scheduled: !!options.scheduled,
+    logRow: logSheet.getLastRow(),
+    total: addresses.length,
+    addressKey: getAddressListKey(addresses),
+    triggerId: ''
+  }, data, subject, tracking);
 }
 
 /**
- * Converts a Google Drive sharing URL into a direct image link suitable for embedding.
- * Other URLs (direct links, data URLs) are passed through unchanged.
- * @param {string} url The URL to process.
- * @returns {string} The processed image URL.
+ * Sends the next per-reader copies of a newsletter until they are all sent or
+ * RECIPIENT_BATCH_TIME_LIMIT is reached. The copy count is read from the Send
+ * Log row, so a batch picks up after the last copy the one before it sent.
+ * The caller must hold the script lock.
+ * @param {Object} progress - Per-reader send, as stored in RECIPIENT_SENDS_PROPERTY
+ * @param {Object} data - Newsletter data
+ * @param {string} subject - Email subject
+ * @param {Object} tracking - Settings from getEmailTracking
+ * @returns {boolean|string} See sendRecipientCopies
  */
-function convertDriveImageUrl(url) {
-  if (!url || typeof url !== 'string') {
-    return '';
-  }
+function sendRecipientBatch(progress, data, subject, tracking) {
+  const deadline = Date.now() + RECIPIENT_BATCH_TIME_LIMIT;
+  const key = getScheduleKey(progress.sheetName, progress.column);
+  const logSheet = getSendLogSheet();
+  const copiesCell = logSheet.getRange(progress.logRow, SEND_LOG_HEADERS.indexOf('Copies Sent') + 1);
+  let sent = parseInt(copiesCell.getValue(), 10) || 0;
 
-  // Check for a standard Google Drive sharing URL
-  const drivePattern = /drive\.google\.com\/file\/d\/([a-zA-Z0-9_-]+)/;
-  const match = url.match(drivePattern);
+  // The next batch is scheduled before any copy goes out, so the rest are
+  // still sent when Apps Script stops this run at its time limit
+  deleteTriggerById(progress.triggerId);
+  progress.triggerId = ScriptApp.newTrigger('continueRecipientSends')
+    .timeBased()
+    .after(RECIPIENT_CONTINUE_DELAY)
+    .create()
+    .getUniqueId();
+  const recipientSends = getRecipientSends();
+  recipientSends[key] = progress;
+  saveRecipientSends(recipientSends);
 
-  if (match && match[1]) {
-    const fileId = match[1];
-    // Construct the direct image view URL
-    const directUrl = `https://drive.google.com/uc?export=view&id=${fileId}`;
-    console.log(`Converted Google Drive link to direct URL: ${directUrl}`);
-    return directUrl;
-  }
+  let html = '';
+  let message = null;
 
-  // If it's not a matching Google Drive link, return it as is.
-  // This handles direct image URLs and existing data URIs.
-  return url;
+  try {
+    const addresses = getRecipientAddresses(data);
+    if (getAddressListKey(addresses) !== progress.addressKey) {
+      throw new Error('the To, CC or BCC addresses were changed part way through the send');
+    }
+
+    // Everything but the tracked links is the same for every reader
+    const theme = getTheme(data.theme);
+    const content = getNewsletterContent(data);
+    const plainText = createNewsletterPlainText(data);
+    const inlineImages = useInlineImages(data) ? {} : null;
+
+    while (sent < addresses.length && Date.now() < deadline) {
+      const address = addresses[sent];
+      const bracketed = address.match(/<([^>]+)>\s*$/);
+      html = createNewsletterHTML(data, {
+        theme: theme,
+        content: content,
+        inlineImages: inlineImages,
+        tracking: Object.assign({}, tracking, { recipient: hashTrackingRecipient(bracketed ? bracketed[1] : address, tracking.secret) })
+      });
+      message = GmailApp.createDraft(address, subject, plainText, {
+        htmlBody: html,
+        attachments: [],
+        inlineImages: inlineImages || {}
+      }).send();
+      sent++;
+      copiesCell.setValue(`${sent} of ${addresses.length}`);
+    }
+  } catch (error) {
+    // Nothing went out, so the column isn't marked as sent
+    finishRecipientSend(progress, sent === 0 ? 'Failed' : '');
+    if (sent === 0) throw error;
+    throw new Error(`Sent ${sent} of ${progress.total} copies before stopping (the send is logged): ${error.message}`);
+  }
+
+  if (sent < progress.total) {
+    console.log(`Sent ${sent} of ${progress.total} copies from column ${progress.column}, continuing in a few minutes`);
+    return `Sent ${sent} of ${progress.total} copies of column ${progress.column}. The rest are sent automatically over the next few minutes.`;
+  }
+
+  const ids = getMessageIds(message);
+  logSheet.getRange(progress.logRow, SEND_LOG_HEADERS.indexOf('HTML Size') + 1, 1, 3)
+    .setValues([[html.length, ids.threadId, ids.messageId]]);
+  finishRecipientSend(progress, '');
+
+  console.log(`Newsletter sent from column ${progress.column} as ${sent} separate copies`);
+  return true;
 }
 
 /**
- * Validates if a string is a properly formatted base64 data URL
- * @param {string} url - URL to validate
- * @returns {boolean} True if valid base64 data URL
+ * Time-driven trigger handler that sends the next batch of a per-reader send
+ * (see sendRecipientBatch). One column is handled per run.
+ * @param {Object} e - Time-driven trigger event
  */
-function isValidBase64ImageUrl(url) {
-  if (!url || typeof url !== 'string') return false;
-  
-  const dataUrlPattern = /^data:image\/(png|jpg|jpeg|gif|webp|svg\+xml);base64,([A-Za-z0-9+/=]+)$/i;
-  return dataUrlPattern.test(url);
+function continueRecipientSends(e) {
+  const lock = LockService.getScriptLock();
+
+  if (!lock.tryLock(60 * 1000)) {
+    console.warn('Another send is in progress, continuing per-reader copies in one minute');
+    ScriptApp.newTrigger('continueRecipientSends').timeBased().after(60 * 1000).create();
+    if (e && e.triggerUid) deleteTriggerById(e.triggerUid);
+    return;
+  }
+
+  try {
+    const recipientSends = getRecipientSends();
+    const keys = Object.keys(recipientSends);
+    const key = keys.find(candidate => e && recipientSends[candidate].triggerId === e.triggerUid) || keys[0];
+    if (!key) return;
+
+    const progress = recipientSends[key];
+    let result;
+
+    try {
+      const data = getNewsletterDataFromColumn(getNewsletterSheet(progress.sheetName), progress.column);
+      applyLayoutOverride(data, progress.layoutStyle);
+      const tracking = getEmailTracking(data, progress.sheetName, progress.column);
+      if (!tracking) {
+        throw new Error('tracking was turned off part way through the send');
+      }
+      result = sendRecipientBatch(progress, data, getNewsletterSubject(data), tracking);
+    } catch (error) {
+      console.error(`Error continuing the per-reader send for ${key}:`, error);
+      // Copies already went out, so the Send Log row stays "Sent"
+      finishRecipientSend(progress, '');
+      result = error;
+    }
+
+    if (progress.scheduled) {
+      const status = result === true ? `Sent: ${formatScheduleTime(new Date())}` :
+        result instanceof Error ? `Failed: ${result.message}` : result;
+      try {
+        setScheduleStatus(getNewsletterSheet(progress.sheetName), progress.column, status);
+      } catch (statusError) {
+        console.error(`Error writing schedule status for ${key}:`, statusError);
+      }
+    }
+
+  } finally {
+    if (e && e.triggerUid) deleteTriggerById(e.triggerUid);
+    lock.releaseLock();
+  }
 }
 
 /**
- * Creates HTML for a styled button with a consistent drop shadow and fallbacks.
- * @param {string} text The button text.
- * @param {string} url The button URL.
- * @param {string} fallbackColor The solid background color for older clients.
- * @param {string} gradient The CSS gradient for modern clients.
- * @param {string} padding The padding for the button (e.g., '10px 20px').
- * @param {string} fontSize The font size for the button text (e.g., '14pt').
- * @returns {string} The complete HTML for the button's <a> tag.
- */
-function createButtonHTML(text, url, fallbackColor, gradient, padding, fontSize) {
-  const style = [
-    `background-color: ${fallbackColor};`,
-    `background: ${gradient};`,
-    'color: #ffffff;',
-    'text-decoration: none;',
-    `padding: ${padding};`,
-    'border-radius: 6px;',
-    `font-size: ${fontSize};`,
-    'font-weight: 600;',
-    'font-family: Lexend, Arial, sans-serif;',
-    'display: inline-block;',
-    'box-shadow: 0 4px 8px rgba(0, 0, 0, 0.25);'
-  ].join(' ');
+ * Ends a per-reader send: removes its follow-up trigger and stored progress
+ * and, when given, sets the Action of its Send Log row
+ * @param {Object} progress - Per-reader send, as stored in RECIPIENT_SENDS_PROPERTY
+ * @param {string} action - New Send Log action, or '' to leave it as "Sent"
+ */
+function finishRecipientSend(progress, action) {
+  deleteTriggerById(progress.triggerId);
+  const recipientSends = getRecipientSends();
+  delete recipientSends[getScheduleKey(progress.sheetName, progress.column)];
+  saveRecipientSends(recipientSends);
 
-  return `<a href="${url}" style="${style}">${text}</a>`;
+  if (action) {
+    getSendLogSheet().getRange(progress.logRow, SEND_LOG_HEADERS.indexOf('Action') + 1).setValue(action);
+  }
 }
 
 /**
- * Creates the complete HTML newsletter
+ * Lists a newsletter's To, CC and BCC addresses, each once, in the order
+ * per-reader copies are sent
  * @param {Object} data - Newsletter data
- * @returns {string} Complete HTML newsletter
+ * @returns {Array<string>} Addresses
  */
-function createNewsletterHTML(data) {
-  const topics = [];
+function getRecipientAddresses(data) {
+  return ['to', 'cc', 'bcc']
+    .reduce((list, field) => list.concat(splitEmailList(data[field])), [])
+    .filter((address, index, list) => list.indexOf(address) === index);
+}
 
-  if (data.topic1.title && data.topic1.url) {
-    topics.push({
-      title: data.topic1.title,
-      url: convertDriveImageUrl(data.topic1.url),
-      description: data.topic1.text || '',
-      buttonText: data.topic1.buttonText,
-      buttonUrl: data.topic1.buttonUrl
-    });
-  }
+/**
+ * Builds a short fingerprint of an address list, so a later batch can tell
+ * the recipients were edited after the send started
+ * @param {Array<string>} addresses - Addresses from getRecipientAddresses
+ * @returns {string} Fingerprint
+ */
+function getAddressListKey(addresses) {
+  return getInlineImageId(addresses.join('\n').toLowerCase());
+}
 
-  if (data.topic2.title && data.topic2.url) {
-    topics.push({
-      title: data.topic2.title,
-      url: convertDriveImageUrl(data.topic2.url),
-      description: data.topic2.description || '',
-      buttonText: data.topic2.buttonText,
-      buttonUrl: data.topic2.buttonUrl
-    });
-  }
+/**
+ * Reads the per-reader sends that still have copies to send
+ * @returns {Object} Per-reader sends keyed by "Sheet!Column"
+ */
+function getRecipientSends() {
+  const stored = PropertiesService.getDocumentProperties().getProperty(RECIPIENT_SENDS_PROPERTY);
+  if (!stored) return {};
 
-  if (data.topic3.title && data.topic3.url) {
-    topics.push({
-      title: data.topic3.title,
-      url: convertDriveImageUrl(data.topic3.url),
-      description: data.topic3.description || '',
-      buttonText: data.topic3.buttonText,
-      buttonUrl: data.topic3.buttonUrl
-    });
+  try {
+    return JSON.parse(stored);
+  } catch (e) {
+    console.error('Error reading per-reader sends:', e);
+    return {};
   }
+}
 
-  const layoutStyle = data.layoutStyle ? data.layoutStyle.trim().toLowerCase() : 'offset';
+/**
+ * Saves the per-reader sends that still have copies to send
+ * @param {Object} recipientSends - Per-reader sends keyed by "Sheet!Column"
+ */
+function saveRecipientSends(recipientSends) {
+  PropertiesService.getDocumentProperties().setProperty(RECIPIENT_SENDS_PROPERTY, JSON.stringify(recipientSends));
+}
 
-  let topicHTML;
-  if (layoutStyle === 'stacked') {
-    topicHTML = generateStackedLayout(topics);
-  } else if (layoutStyle === 'hero') {
-    topicHTML = generateHeroLayout(topics);
-  } else {
-    topicHTML = generateOffsetLayout(topics);
+/**
+ * Creates a draft newsletter email from specified column
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @param {Object} [options] - Draft options
+ * @param {string} [options.layoutStyle] - Layout to use instead of the column's Layout Style
+ * @returns {boolean} Success status
+ */
+function createDraftNewsletterFromColumn(column, options = {}) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSheet();
+    column = validateNewsletterColumn(sheet, column);
+    const data = getNewsletterDataFromColumn(sheet, column);
+    applyLayoutOverride(data, options.layoutStyle);
+    
+    if (!data.to) {
+      throw new Error(`No recipients specified in "To" field for column ${column}`);
+    }
+    
+    if (!data.title) {
+      throw new Error(`Newsletter title is required for column ${column}`);
+    }
+    
+    const tracking = getEmailTracking(data, sheet.getName(), column);
+    createTrackingSheets(tracking);
+    
+    const inlineImages = {};
+    const html = createNewsletterHTML(data, {
+      inlineImages: useInlineImages(data) ? inlineImages : null,
+      tracking: tracking
+    });
+    const subject = getNewsletterSubject(data);
+    
+    const draft = GmailApp.createDraft(
+      data.to,
+      subject,
+      createNewsletterPlainText(data),
+      {
+        htmlBody: html,
+        cc: data.cc || '',
+        bcc: data.bcc || '',
+        attachments: [],
+        inlineImages: inlineImages
+      }
+    );
+    
+    appendSendLog({
+      action: 'Draft',
+      sheetName: sheet.getName(),
+      column: column,
+      subject: subject,
+      data: data,
+      html: html,
+      message: draft.getMessage()
+    });
+    
+    console.log(`Newsletter draft created successfully from column ${column} for:`, data.to);
+    return true;
+    
+  } catch (error) {
+    console.error(`Error creating newsletter draft from column ${column}:`, error);
+    throw new Error('Failed to create newsletter draft: ' + error.message);
   }
+}
 
-  const redFallback = '#ad2122';
-  const redGradient = 'linear-gradient(135deg, #ad2122 0%, #c13435 100%)';
-  const finalButtonText = 'Visit the Orono Technology Digital Learning Hub to learn more';
+/**
+ * Sends a test copy of a newsletter column to the current user and the Config
+ * sheet "Test Addresses" setting only. The To/CC/BCC rows are ignored, the
+ * send is not recorded in the Send Log and links are not click tracked.
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @param {Object} [options] - Send options
+ * @param {string} [options.layoutStyle] - Layout to use instead of the column's Layout Style
+ * @returns {string} Confirmation message listing the test recipients
+ */
+function sendTestNewsletterFromColumn(column, options = {}) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSheet();
+    column = validateNewsletterColumn(sheet, column);
+    const data = getNewsletterDataFromColumn(sheet, column);
+    applyLayoutOverride(data, options.layoutStyle);
 
-  // Get logos from Config sheet
-  const configSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Config');
-  let mainLogo = '';
-  let secondaryLogo = '';
+    const recipients = [Session.getActiveUser().getEmail()]
+      .concat(splitEmailList(getConfigSetting('Test Addresses', '').toString().replace(/\n/g, ',')))
+      .filter((address, index, list) => address && list.indexOf(address) === index);
 
-  if (configSheet) {
-    try {
-      mainLogo = configSheet.getRange('A2').getValue() || '';
-      secondaryLogo = configSheet.getRange('B2').getValue() || '';
-      mainLogo = mainLogo ? convertDriveImageUrl(mainLogo.toString()) : '';
-      secondaryLogo = secondaryLogo ? convertDriveImageUrl(secondaryLogo.toString()) : '';
-    } catch (e) {
-      console.error('Error retrieving logos from Config sheet:', e);
+    if (recipients.length === 0) {
+      throw new Error('No test recipients found. Add addresses to "Test Addresses" in the Settings section of the Config sheet');
     }
-  }
 
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta http-equiv="X-UA-Compatible" content="IE=edge">
-    <title>${data.title || 'Newsletter'}</title>
-    <style>
-        @import url('https://fonts.googleapis.com/css2?family=Lexend:wght@400;600;700&family=Roboto:wght@400;500;700&display=swap');
+    const validation = validateNewsletterData(data, { skipRecipients: true });
+    if (validation.errors.length > 0) {
+      console.warn(`Test send for column ${column} has validation errors:`, validation.errors.join('; '));
+    }
 
-        /* Gmail-compatible base styles */
-        body {
-            margin: 0 !important;
-            padding: 0 !important;
-            font-family: Roboto, Arial, sans-serif !important;
-            font-size: 11pt !important;
-            color: #666666 !important;
-        }
+    const inlineImages = {};
+    const html = createNewsletterHTML(data, { inlineImages: useInlineImages(data) ? inlineImages : null });
+    const subject = '[TEST] ' + getNewsletterSubject(data);
 
-        h1 { font-family: Lexend, Arial, sans-serif !important; }
-        h2 { font-family: Lexend, Arial, sans-serif !important; }
-        h3 { font-family: Lexend, Arial, sans-serif !important; }
+    GmailApp.sendEmail(
+      recipients.join(','),
+      subject,
+      createNewsletterPlainText(data),
+      {
+        htmlBody: html,
+        attachments: [],
+        inlineImages: inlineImages
+      }
+    );
 
-        /* Mobile fallback styles (Gmail may strip these, but provide for email clients that support them) */
-        @media screen and (max-width: 780px) {
-            .container {
-                width: 100% !important;
-            }
-            .content-padding {
-                padding: 20px !important;
-            }
-            .header-padding {
-                padding: 30px 20px !important;
-            }
-            .h1 {
-                font-size: 24pt !important;
-            }
-            .h2 {
-                font-size: 18pt !important;
-            }
-            .h3 {
-                font-size: 14pt !important;
-            }
-            .p {
-                font-size: 10pt !important;
-            }
-            .responsive-image img {
-                width: 100% !important;
-                height: auto !important;
-            }
-            .responsive-cell {
-                display: block !important;
-                width: 100% !important;
-                padding: 0 0 20px 0 !important;
-            }
-            .responsive-cell-padding {
-                 padding: 0 !important;
-            }
-        }
-    </style>
-</head>
-<body style="margin: 0; padding: 0; background-color: #f3f3f3; font-family: Roboto, Arial, sans-serif; font-size: 11pt; color: #666666;">
-    <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="background-color: #f3f3f3; padding: 20px 0;">
-        <tr>
-            <td align="center">
-                <table width="780" align="center" border="0" cellpadding="0" cellspacing="0" role="presentation" style="width: 100%; max-width: 780px;">
-                    <tr>
-                        <td style="padding: 0;">
-                            <table width="100%" border="0" cellpadding="0" cellspacing="0" role="presentation" class="container" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 12px rgba(45, 63, 137, 0.1);">
+    console.log(`Test newsletter sent from column ${column} to:`, recipients.join(', '));
+    return `Test newsletter sent to ${recipients.join(', ')}.`;
 
-                    <!-- Header -->
-                    <tr>
-                        <td class="header-padding" style="background-color: #2d3f89; background: linear-gradient(135deg, #2d3f89 0%, #4356a0 100%); padding: 40px 30px; text-align: center;">
-                            ${mainLogo ? `<div style="margin-bottom: 20px;"><img src="${mainLogo}" alt="Orono Technology Logo" style="max-width: 200px; height: auto; display: inline-block;"></div>` : ''}
-                            ${data.date ? `<div style="color: #eaecf5; font-size: 11pt; font-weight: 400; margin-bottom: 10px; text-transform: uppercase; letter-spacing: 1px; font-family: Roboto, Arial, sans-serif;">${Utilities.formatDate(new Date(data.date), Session.getScriptTimeZone(), 'MMMM yyyy')}</div>` : ''}
-                            ${data.title ? `<h1 class="h1" style="font-family: Lexend, Arial, sans-serif; color: #ffffff; font-size: 32pt; font-weight: 700; margin: 0 0 10px 0; line-height: 1.2;">${data.title}</h1>` : ''}
-                            ${data.subtitle ? `<p class="p" style="color: #eaecf5; font-size: 14pt; font-weight: 400; margin: 0; line-height: 1.4; font-family: Roboto, Arial, sans-serif;">${data.subtitle}</p>` : ''}
-                        </td>
-                    </tr>
-                    
-                    <!-- Content -->
-                    <tr>
-                        <td class="content-padding" style="padding: 40px 30px;">
-                            
-                            ${topicHTML}
-                            
-                            ${data.finalButtonUrl ? `
-                            <!-- Call to Action -->
-                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin-top: 40px;">
-                                <tr>
-                                    <td align="center" style="background: linear-gradient(135deg, #eaecf5 0%, #f3f3f3 100%); padding: 30px; border-radius: 8px;">
-                                        <h3 class="h3" style="font-family: Lexend, Arial, sans-serif; color: #2d3f89; font-size: 18pt; font-weight: 600; margin: 0 0 20px 0;">Ready to Learn More?</h3>
-                                        ${createButtonHTML(finalButtonText, data.finalButtonUrl, redFallback, redGradient, '14px 32px', '14pt')}
-                                    </td>
-                                </tr>
-                            </table>
-                            ` : ''}
-                            
-                        </td>
-                    </tr>
-                    
-                    <!-- Footer -->
-                    <tr>
-                        <td style="background-color: #1d2a5d; padding: 25px 30px; text-align: right; position: relative;">
-                            ${secondaryLogo ? `<img src="${secondaryLogo}" alt="Orono Technology Icon" style="max-width: 60px; height: auto; margin-bottom: 15px;">` : ''}
-                            <p class="p" style="color: #eaecf5; font-size: 10pt; font-weight: 400; margin: 0; line-height: 1.5; font-family: Roboto, Arial, sans-serif;">
-                                 ${new Date().getFullYear()} Orono Technology Digital Learning Hub<br>
-                                <span style="color: #4356a0;">Empowering Digital Learning and Innovation</span>
-                            </p>
-                        </td>
-                    </tr>
-                    
-                </table>
-                        </td>
-                    </tr>
-                </table>
-            </td>
-        </tr>
-    </table>
-</body>
-</html>`;
-  
-  return html;
+  } catch (error) {
+    console.error(`Error sending test newsletter from column ${column}:`, error);
+    throw new Error('Failed to send test newsletter: ' + error.message);
+  }
 }
 
 /**
- * Generates stacked (full-width) layout for topics
- * @param {Array} topics - Array of topic objects
- * @returns {string} HTML for stacked layout
+ * Builds the email subject from the newsletter title and date
+ * @param {Object} data - Newsletter data
+ * @returns {string} Email subject
  */
-function generateStackedLayout(topics) {
-  const blueFallback = '#2d3f89';
-  const blueGradient = 'linear-gradient(135deg, #2d3f89 0%, #4356a0 100%)';
-  return topics.map((topic, index) => {
-    const divider = index > 0 ? `
-                            <!-- DIVIDER -->
-                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin-bottom: 35px;">
-                                <tr>
-                                    <td style="border-bottom: 1px solid #eaecf5;"></td>
-                                </tr>
-                            </table>
-                            ` : '';
-
-    return divider + `
-                            <!-- Topic ${index + 1} - Stacked Layout -->
-                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
-                                <tr>
-                                    <td>
-                                        <h2 class="h2" style="font-family: Lexend, Arial, sans-serif; color: #1d2a5d; font-size: 24pt; font-weight: 600; margin: 0 0 15px 0; line-height: 1.3;">${topic.title}</h2>
-
-                                        ${topic.url ? `
-                                        <div class="responsive-image" style="margin-bottom: 20px; border-radius: 8px; overflow: hidden; border: 1px solid #eaecf5;">
-                                            <img src="${topic.url}" alt="${topic.title}" style="width: 100%; height: auto; display: block;">
-                                        </div>
-                                        ` : ''}
-
-                                        ${topic.description ? `
-                                        <div style="background-color: #eaecf5; padding: 20px; border-radius: 6px; border-left: 4px solid #2d3f89;">
-                                            <div class="p" style="color: #666666; font-size: 11pt; font-weight: 400; line-height: 1.6; font-family: Roboto, Arial, sans-serif;">${topic.description}</div>
-                                        </div>
-                                        ` : ''}
-
-                                        ${topic.buttonText && topic.buttonUrl ? `
-                                        <div style="text-align: center; margin-top: 15px;">
-                                            ${createButtonHTML(topic.buttonText, topic.buttonUrl, blueFallback, blueGradient, '10px 20px', '11pt')}
-                                        </div>
-                                        ` : ''}
-                                    </td>
-                                </tr>
-                            </table>
-                            `;
-  }).join('');
+function getNewsletterSubject(data) {
+  return stripHtmlTags(data.title) + (data.date ? ' - ' + Utilities.formatDate(new Date(data.date), Session.getScriptTimeZone(), 'MM/dd/yyyy') : '');
 }
 
 /**
- * Generates hero layout for topics (main feature + two columns)
- * @param {Array} topics - Array of topic objects
- * @returns {string} HTML for hero layout
+ * Longest subject line (in characters) that most inboxes show without cutting it off
  */
-function generateHeroLayout(topics) {
-  let html = '';
-  const blueFallback = '#2d3f89';
-  const blueGradient = 'linear-gradient(135deg, #2d3f89 0%, #4356a0 100%)';
+const MAX_SUBJECT_LENGTH = 78;
 
-  if (topics.length > 0) {
-    const heroTopic = topics[0];
-    html += `
+/**
+ * Validates a newsletter column and returns a report for the validation dialog
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.layoutStyle] - Layout to check instead of the column's Layout Style
+ * @returns {Object} Report with `column`, `title`, `errors`, `warnings` and `links`
+ *   (results of checkNewsletterLinks). Broken links, and a link check that
+ *   couldn't run, count as errors only when "Strict Link Check" is on.
+ */
+function validateNewsletterFromColumn(column, options = {}) {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  const report = { column: column, title: '', errors: [], warnings: [], links: [] };
+
+  try {
+    report.column = validateNewsletterColumn(sheet, column);
+    const data = getNewsletterDataFromColumn(sheet, report.column);
+    applyLayoutOverride(data, options.layoutStyle);
+    const result = validateNewsletterData(data);
+
+    report.title = stripHtmlTags(data.title);
+    report.errors = result.errors;
+    report.warnings = result.warnings;
+
+    // A link check that can't run (e.g. UrlFetchApp quota) shouldn't hide the other results
+    const strictLinkCheck = useStrictLinkCheck();
+    try {
+      const linkCheck = checkNewsletterLinks(data);
+      report.links = linkCheck.results;
+      report.errors = report.errors.concat(strictLinkCheck ? linkCheck.errors : []);
+      report.warnings = report.warnings.concat(strictLinkCheck ? [] : linkCheck.errors, linkCheck.warnings);
+    } catch (error) {
+      // checkNewsletterLinks already words its error as "Failed to check links: ..."
+      if (strictLinkCheck) {
+        report.errors.push(error.message);
+      } else {
+        report.warnings.push(error.message);
+      }
+    }
+  } catch (error) {
+    console.error(`Error validating newsletter from column ${column}:`, error);
+    report.errors.push(error.message);
+  }
+
+  console.log(`Validated column ${report.column}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  return report;
+}
+
+/**
+ * Runs every pre-send check on newsletter data. Errors block sending; warnings do not.
+ * @param {Object} data - Newsletter data
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.skipRecipients] - Skip the To/CC/BCC checks (e.g. for test sends)
+ * @returns {Object} `errors` and `warnings` as arrays of messages
+ */
+function validateNewsletterData(data, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const cells = data.cells || {};
+  const describe = field => cells[field] ? `${getFieldLabel(field)} (${cells[field]})` : getFieldLabel(field);
+
+  // Recipients
+  if (!options.skipRecipients) {
+    if (!splitEmailList(data.to).length) {
+      errors.push(`${describe('to')}: no recipients specified`);
+    }
+
+    ['to', 'cc', 'bcc'].forEach(field => {
+      splitEmailList(data[field]).forEach(address => {
+        const bracketed = address.match(/<([^>]+)>\s*$/);
+        if (!isValidEmail(bracketed ? bracketed[1].trim() : address)) {
+          errors.push(`${describe(field)}: "${address}" is not a valid email address`);
+        }
+      });
+    });
+  }
+
+  // Title and subject line
+  const title = stripHtmlTags(data.title || '').trim();
+  if (!title) {
+    errors.push(`${describe('title')}: a newsletter title is required`);
+  } else {
+    const subjectLength = title.length + (data.date ? ' - MM/dd/yyyy'.length : 0);
+    if (subjectLength > MAX_SUBJECT_LENGTH) {
+      warnings.push(`${describe('title')}: the subject line will be ${subjectLength} characters; most inboxes cut subjects off after about ${MAX_SUBJECT_LENGTH}`);
+    }
+  }
+
+  // Topics
+  const topics = data.topics || [];
+  topics.forEach((topic, index) => {
+    if (topic.hidden) return;
+
+    const number = topic.number || index + 1;
+    const topicCells = topic.cells || {};
+    const describeTopic = field => {
+      const label = getFieldLabel('topic.' + field, number);
+      return topicCells[field] ? `${label} (${topicCells[field]})` : label;
+    };
+    const hasContent = topic.url || stripHtmlTags(topic.description || '').trim() || topic.buttonText || topic.buttonUrl;
+
+    const blockType = resolveSectionBlockType(topic.blockType);
+    if (!blockType) {
+      warnings.push(`${describeTopic('blockType')}: "${topic.blockType}" is not a known block type (${Object.keys(SECTION_BLOCKS).map(key => SECTION_BLOCKS[key].displayName).join(', ')}), so it is shown as a topic`);
+    } else if (blockType !== 'topic') {
+      if (!SECTION_BLOCKS[blockType].isRenderable(topic)) {
+        warnings.push(`${describeTopic('blockType')}: the ${SECTION_BLOCKS[blockType].displayName} block is empty and will not appear (${SECTION_BLOCKS[blockType].description})`);
+      }
+      return;
+    }
+
+    if (topic.layout && !getNewsletterLayout(topic.layout)) {
+      warnings.push(`${describeTopic('layout')}: "${topic.layout}" is not a registered layout, so the issue layout will be used`);
+    }
+
+    if (!topic.title) {
+      if (hasContent) {
+        errors.push(`${describeTopic('title')}: topic ${number} has content but no title, so it will not appear in the email`);
+      }
+      return;
+    }
+
+    if (!hasContent) {
+      warnings.push(`${describeTopic('title')}: topic ${number} has a title but no image, description or button`);
+    }
+
+    if (topic.buttonText && !topic.buttonUrl) {
+      errors.push(`${describeTopic('buttonUrl')}: button text "${topic.buttonText}" has no URL`);
+    } else if (topic.buttonUrl && !topic.buttonText) {
+      errors.push(`${describeTopic('buttonText')}: button URL has no button text`);
+    }
+
+    if (topic.buttonUrl && !sanitizeUrl(topic.buttonUrl)) {
+      errors.push(`${describeTopic('buttonUrl')}: "${topic.buttonUrl}" ${INVALID_BUTTON_LINK_MESSAGE}`);
+    }
+
+    if (topic.url && !isValidTopicImageUrl(topic.url.toString().trim())) {
+      errors.push(`${describeTopic('url')}: image URL must be a Google Drive link, an https:// link or a valid base64 data URL`);
+    }
+  });
+
+  if (!getRenderableTopics(data).length) {
+    errors.push('The newsletter has no topics to show');
+  }
+
+  // Layout
+  const layout = getNewsletterLayout(data.layoutStyle);
+  if (!layout) {
+    const known = getNewsletterLayoutOptions().map(option => option.displayName).join(', ');
+    warnings.push(`${describe('layoutStyle')}: "${data.layoutStyle}" is not a registered layout (${known}), so ${NEWSLETTER_LAYOUTS[DEFAULT_LAYOUT].displayName} will be used`);
+  } else {
+    // Topics with their own layout and section blocks don't count toward the issue layout
+    const topicCount = getRenderableTopics(data).filter(topic =>
+      getTopicBlockType(topic) === 'topic' && !(topic.layout && getNewsletterLayout(topic.layout))).length;
+    if (topicCount > 0 && topicCount < layout.minTopics) {
+      warnings.push(`${describe('layoutStyle')}: the ${layout.displayName} layout is designed for at least ${layout.minTopics} topics, but this issue has ${topicCount}`);
+    } else if (layout.maxTopics && topicCount > layout.maxTopics) {
+      warnings.push(`${describe('layoutStyle')}: the ${layout.displayName} layout is designed for at most ${layout.maxTopics} topics, but this issue has ${topicCount}`);
+    }
+  }
+
+  // Call to action and footer links
+  if (data.finalButtonUrl && !sanitizeUrl(data.finalButtonUrl)) {
+    errors.push(`${describe('finalButtonUrl')}: "${data.finalButtonUrl}" ${INVALID_BUTTON_LINK_MESSAGE}`);
+  }
+
+  const content = getNewsletterContent(data);
+  content.ctaButtons.forEach(button => {
+    if (!button.text || !sanitizeUrl(button.url)) {
+      errors.push(`${describe('ctaButtons')}: line ${button.line} must be "Button Text | https://link"`);
+    }
+  });
+  content.socialLinks.forEach(link => {
+    if (!link.text || !sanitizeUrl(link.url)) {
+      warnings.push(`${describe('socialLinks')}: line ${link.line} must be "Name | https://link" and will be skipped`);
+    } else if (link.icon && !isValidTopicImageUrl(link.icon)) {
+      warnings.push(`${describe('socialLinks')}: the icon on line ${link.line} must be a Google Drive link, an https:// link or a base64 data URL`);
+    }
+  });
+
+  const theme = data.theme ? data.theme.toString().trim() : '';
+  if (theme && !getThemes()[normalizeLabel(theme)]) {
+    warnings.push(`${describe('theme')}: "${data.theme}" is not in the Config sheet Themes section, so the default theme will be used`);
+  }
+
+  if (useRecipientTracking(data) && !useClickTracking(data) && !useOpenTracking(data)) {
+    warnings.push(`${describe('recipientTracking')}: recipient tracking only works with click or open tracking on, so this issue will be sent as one message`);
+  }
+
+  if ((useClickTracking(data) || useOpenTracking(data)) && !getTrackingBaseUrl()) {
+    warnings.push(`${describe(useClickTracking(data) ? 'clickTracking' : 'openTracking')}: tracking is on, but the script is not deployed as a web app and no "Tracking URL" setting is set, so clicks and opens will not be tracked`);
+  }
+
+  if (data.contentFormat && getContentFormat(data.contentFormat) === null) {
+    warnings.push(`${describe('contentFormat')}: "${data.contentFormat}" is not a known content format (${Object.keys(CONTENT_FORMATS).map(key => CONTENT_FORMATS[key]).join(', ')}), so the "Content Format" setting will be used`);
+  }
+
+  // Sheet labels
+  (data.unknownLabels || []).forEach(item => {
+    warnings.push(`A${item.row}: label "${item.label}" does not match any newsletter field and is ignored`);
+  });
+
+  return { errors: errors, warnings: warnings };
+}
+
+/**
+ * Checks whether a topic image URL is usable: a Google Drive link, an https link
+ * or a valid base64 image data URL
+ * @param {string} url - Image URL
+ * @returns {boolean} True if the URL can be used as a topic image
+ */
+function isValidTopicImageUrl(url) {
+  if (!url) return false;
+  if (getDriveFileId(url)) return true;
+  if (/^data:/i.test(url)) return isValidBase64ImageUrl(url);
+  return /^https:\/\/[^\s"'<>]+$/i.test(url);
+}
+
+/**
+ * Validation message for a button link sanitizeUrl rejects
+ */
+const INVALID_BUTTON_LINK_MESSAGE = 'is not a valid button link; use an https://, http://, mailto: or tel: link without spaces, quotes or backslashes';
+
+/**
+ * Most redirects checkNewsletterLinks follows for one URL
+ */
+const MAX_LINK_REDIRECTS = 5;
+
+/**
+ * Checks whether sending should be blocked by broken links ("Strict Link Check" setting)
+ * @returns {boolean} True to check links before sending
+ */
+function useStrictLinkCheck() {
+  return isTruthyCellValue(getConfigSetting('Strict Link Check', false));
+}
+
+/**
+ * Fetches every link and image the rendered issue uses and reports the ones
+ * that are broken: HTTP errors, unreachable hosts, images that aren't images
+ * and Drive files that aren't shared publicly. Redirected links are warnings.
+ * @param {Object} data - Newsletter data
+ * @returns {Object} `errors` and `warnings` (arrays of messages) and `results`
+ *   (one entry per URL, see collectNewsletterUrls and fetchLinkStatuses)
+ */
+function checkNewsletterLinks(data) {
+  try {
+    const items = collectNewsletterUrls(data);
+    fetchLinkStatuses(items);
+    checkDriveSharing(items);
+
+    const problems = getLinkCheckProblems(items);
+    console.log(`Checked ${items.length} link(s): ${problems.errors.length} broken, ${problems.warnings.length} warning(s)`);
+    return { errors: problems.errors, warnings: problems.warnings, results: items };
+
+  } catch (error) {
+    console.error('Error checking links:', error);
+    throw new Error('Failed to check links: ' + error.message);
+  }
+}
+
+/**
+ * Lists the http(s) URLs the rendered issue uses: topic images (as rendered,
+ * after convertDriveImageUrl), the Config sheet logos (A2:D2), topic buttons,
+ * call-to-action buttons, social links and their icons, and links and images
+ * in the title, subtitle and descriptions. A URL used in several places is
+ * listed once with every place it's used.
+ * @param {Object} data - Newsletter data
+ * @returns {Array<Object>} Items with `url`, `type` ("image" or "link"),
+ *   `driveFileId` and `sources` (where the URL is used)
+ */
+function collectNewsletterUrls(data) {
+  const items = [];
+  const cells = data.cells || {};
+  const describe = field => cells[field] ? `${getFieldLabel(field)} (${cells[field]})` : getFieldLabel(field);
+
+  const add = (url, type, source) => {
+    const original = (url || '').toString().trim();
+    const fetchUrl = type === 'image' ? convertDriveImageUrl(original) : original;
+    if (!/^https?:\/\//i.test(fetchUrl)) return;
+
+    const existing = items.find(item => item.url === fetchUrl && item.type === type);
+    if (existing) {
+      existing.sources.push(source);
+      return;
+    }
+    items.push({ url: fetchUrl, type: type, driveFileId: getDriveFileId(original), sources: [source] });
+  };
+  const addContentUrls = (html, source) => {
+    (html || '').replace(/<a href="([^"]*)"|<img src="([^"]*)"/g, (match, href, src) => {
+      add(decodeHtmlEntities(href || src), href !== undefined ? 'link' : 'image', source);
+      return match;
+    });
+  };
+
+  const configSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Config');
+  if (configSheet) {
+    const logos = configSheet.getRange('A2:D2').getValues()[0];
+    add(logos[0], 'image', 'Config A2 (Main Logo)');
+    add(logos[1], 'image', 'Config B2 (Icon)');
+    // Dark mode versions are only rendered alongside a light one
+    if (logos[0]) add(logos[2], 'image', 'Config C2 (Main Logo, dark mode)');
+    if (logos[1]) add(logos[3], 'image', 'Config D2 (Icon, dark mode)');
+  }
+
+  addContentUrls(data.title, describe('title'));
+  addContentUrls(data.subtitle, describe('subtitle'));
+
+  getRenderableTopics(data).forEach(topic => {
+    const topicCells = topic.cells || {};
+    const describeTopic = field => {
+      const label = getFieldLabel('topic.' + field, topic.number);
+      return topicCells[field] ? `${label} (${topicCells[field]})` : label;
+    };
+
+    add(topic.url, 'image', describeTopic('url'));
+    add(topic.buttonUrl, 'link', describeTopic('buttonUrl'));
+    addContentUrls(topic.description, describeTopic('description'));
+  });
+
+  const content = getNewsletterContent(data);
+  if (data.finalButtonUrl) add(data.finalButtonUrl, 'link', describe('finalButtonUrl'));
+  content.ctaButtons.forEach(button => {
+    add(button.url, 'link', `${describe('ctaButtons')} line ${button.line}`);
+  });
+  content.socialLinks.filter(link => link.text && sanitizeUrl(link.url)).forEach(link => {
+    add(link.url, 'link', `${describe('socialLinks')} line ${link.line}`);
+    if (link.icon) add(link.icon, 'image', `${describe('socialLinks')} line ${link.line} icon`);
+  });
+
+  return items;
+}
+
+/**
+ * Fetches the collected URLs in parallel without following redirects, then
+ * follows each redirect chain itself (up to MAX_LINK_REDIRECTS) so the chain
+ * can be reported. Adds `status`, `contentType`, `redirects`, `finalUrl` and
+ * `fetchError` to each item.
+ * @param {Array<Object>} items - Items from collectNewsletterUrls
+ */
+function fetchLinkStatuses(items) {
+  let pending = items.map(item => {
+    item.redirects = [];
+    item.finalUrl = item.url;
+    return item;
+  });
+
+  for (let hop = 0; pending.length > 0; hop++) {
+    const responses = fetchAllUrls(pending.map(item => item.finalUrl));
+
+    pending = pending.filter((item, index) => {
+      const response = responses[index];
+      if (response instanceof Error) {
+        item.fetchError = response.message;
+        return false;
+      }
+
+      item.status = response.getResponseCode();
+      item.contentType = getResponseHeader(response, 'Content-Type');
+      const location = getResponseHeader(response, 'Location');
+      if (item.status >= 300 && item.status < 400 && location) {
+        if (hop >= MAX_LINK_REDIRECTS) {
+          item.fetchError = `more than ${MAX_LINK_REDIRECTS} redirects`;
+          return false;
+        }
+        item.finalUrl = resolveUrl(item.finalUrl, location);
+        item.redirects.push(item.finalUrl);
+        return true;
+      }
+      return false;
+    });
+  }
+}
+
+/**
+ * Fetches URLs with UrlFetchApp.fetchAll. fetchAll fails as a whole when one
+ * host can't be reached, so the URLs are then fetched one at a time to find it.
+ * @param {Array<string>} urls - URLs to fetch
+ * @returns {Array<GoogleAppsScript.URL_Fetch.HTTPResponse|Error>} Response, or the
+ *   error for a URL that couldn't be fetched, in the same order as `urls`
+ */
+function fetchAllUrls(urls) {
+  const request = url => ({ url: url, method: 'get', followRedirects: false, muteHttpExceptions: true });
+
+  try {
+    return UrlFetchApp.fetchAll(urls.map(request));
+  } catch (e) {
+    console.warn('Fetching links in parallel failed, retrying one at a time:', e.message);
+    return urls.map(url => {
+      try {
+        const options = request(url);
+        delete options.url;
+        return UrlFetchApp.fetch(url, options);
+      } catch (error) {
+        return error;
+      }
+    });
+  }
+}
+
+/**
+ * Gets a response header regardless of how its name is capitalized
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - HTTP response
+ * @param {string} name - Header name
+ * @returns {string} Header value, or '' if it's missing
+ */
+function getResponseHeader(response, name) {
+  const headers = response.getHeaders() || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  if (!key) return '';
+  return Array.isArray(headers[key]) ? headers[key][0] : headers[key].toString();
+}
+
+/**
+ * Resolves a redirect Location header against the URL that returned it
+ * @param {string} baseUrl - URL that was fetched
+ * @param {string} location - Location header (absolute, protocol-relative or relative)
+ * @returns {string} Absolute URL
+ */
+function resolveUrl(baseUrl, location) {
+  if (/^https?:\/\//i.test(location)) return location;
+
+  const base = baseUrl.match(/^(https?:)\/\/([^/?#]*)([^?#]*)/i);
+  if (location.indexOf('//') === 0) return base[1] + location;
+  if (location.charAt(0) === '/') return `${base[1]}//${base[2]}${location}`;
+
+  const directory = base[3].replace(/[^/]*$/, '') || '/';
+  return `${base[1]}//${base[2]}${directory}${location}`;
+}
+
+/**
+ * Adds `driveAccess` (the DriveApp.Access value, or '' if the script can't
+ * open the file) to items that point at Google Drive files
+ * @param {Array<Object>} items - Items from collectNewsletterUrls
+ */
+function checkDriveSharing(items) {
+  items.filter(item => item.driveFileId).forEach(item => {
+    try {
+      item.driveAccess = DriveApp.getFileById(item.driveFileId).getSharingAccess().toString();
+    } catch (e) {
+      console.warn(`Could not open Drive file ${item.driveFileId}:`, e.message);
+      item.driveAccess = '';
+    }
+  });
+}
+
+/**
+ * Turns fetched link check items into messages. Errors are links and images
+ * readers can't open; warnings are redirects and links that may need a sign-in.
+ * @param {Array<Object>} items - Items after fetchLinkStatuses and checkDriveSharing
+ * @returns {Object} `errors` and `warnings` as arrays of messages
+ */
+function getLinkCheckProblems(items) {
+  const errors = [];
+  const warnings = [];
+  const publicAccess = ['ANYONE', 'ANYONE_WITH_LINK'];
+
+  items.forEach(item => {
+    const where = item.sources.join(', ');
+    const what = item.type === 'image' ? 'image' : 'link';
+    const unshared = item.driveFileId && item.driveAccess !== undefined && publicAccess.indexOf(item.driveAccess) === -1;
+
+    if (unshared) {
+      const access = item.driveAccess ? `sharing is "${item.driveAccess}"` : 'the file could not be opened';
+      const message = `${where}: the Drive ${what} isn't shared with "Anyone with the link" (${access})`;
+      if (item.type === 'image') {
+        errors.push(message + ', so readers will see a broken image');
+      } else {
+        warnings.push(message + ', so some readers won\'t be able to open it');
+      }
+    }
+
+    if (item.fetchError) {
+      errors.push(`${where}: "${item.url}" could not be reached (${item.fetchError})`);
+    } else if (item.status >= 400) {
+      errors.push(`${where}: "${item.url}" returned HTTP ${item.status}`);
+    } else if (item.type === 'image' && !unshared && !/^image\//i.test(item.contentType || '')) {
+      // Unshared Drive images return a sign-in page, which is already reported above
+      errors.push(`${where}: "${item.url}" is not an image (${item.contentType || 'no content type'})`);
+    } else if (item.type === 'link' && item.redirects.length > 0) {
+      warnings.push(`${where}: "${item.url}" redirects to "${item.finalUrl}"`);
+    }
+  });
+
+  return { errors: errors, warnings: warnings };
+}
+
+/**
+ * Name of the sheet that records every send and draft
+ */
+const SEND_LOG_SHEET_NAME = 'Send Log';
+
+/**
+ * Column headers of the Send Log sheet
+ */
+const SEND_LOG_HEADERS = ['Timestamp', 'User', 'Action', 'Sheet', 'Column', 'Subject', 'To Count', 'CC Count', 'BCC Count', 'Layout', 'HTML Size', 'Gmail Thread ID', 'Gmail Message ID', 'Copies Sent'];
+
+/**
+ * Gets the Send Log sheet, creating it with a header row if needed. A Send Log
+ * from before "Copies Sent" was added gets that header.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Send Log sheet
+ */
+function getSendLogSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SEND_LOG_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SEND_LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, SEND_LOG_HEADERS.length)
+      .setValues([SEND_LOG_HEADERS])
+      .setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  } else if (!sheet.getRange(1, SEND_LOG_HEADERS.length).getValue()) {
+    sheet.getRange(1, SEND_LOG_HEADERS.length)
+      .setValue(SEND_LOG_HEADERS[SEND_LOG_HEADERS.length - 1])
+      .setFontWeight('bold');
+  }
+
+  return sheet;
+}
+
+/**
+ * Adds a row to the Send Log sheet
+ * @param {Object} entry - Log entry (see getSendLogRow)
+ */
+function appendSendLog(entry) {
+  try {
+    getSendLogSheet().appendRow(getSendLogRow(entry));
+  } catch (e) {
+    // The email already went out, so a logging failure must not be reported as a send failure
+    console.error('Error writing to the Send Log:', e);
+  }
+}
+
+/**
+ * Builds a Send Log row
+ * @param {Object} entry - Log entry
+ * @param {string} entry.action - "Sent" or "Draft"
+ * @param {string} entry.sheetName - Newsletter sheet name
+ * @param {string} entry.column - Column letter
+ * @param {string} entry.subject - Email subject
+ * @param {Object} entry.data - Newsletter data
+ * @param {string} entry.html - Rendered HTML
+ * @param {GoogleAppsScript.Gmail.GmailMessage} [entry.message] - Sent or draft message
+ * @param {string} [entry.copies] - Per-reader progress, e.g. "12 of 300"
+ * @returns {Array} Values in SEND_LOG_HEADERS order
+ */
+function getSendLogRow(entry) {
+  const ids = getMessageIds(entry.message);
+
+  return [
+    new Date(),
+    Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail(),
+    entry.action,
+    entry.sheetName,
+    entry.column,
+    entry.subject,
+    splitEmailList(entry.data.to).length,
+    splitEmailList(entry.data.cc).length,
+    splitEmailList(entry.data.bcc).length,
+    entry.data.layoutStyle || 'Offset',
+    entry.html.length,
+    ids.threadId,
+    ids.messageId,
+    entry.copies || ''
+  ];
+}
+
+/**
+ * Reads the Gmail thread and message ids of a sent or draft message
+ * @param {GoogleAppsScript.Gmail.GmailMessage} [message] - Message
+ * @returns {Object} `threadId` and `messageId` ('' when unavailable)
+ */
+function getMessageIds(message) {
+  const ids = { threadId: '', messageId: '' };
+  if (!message) return ids;
+
+  try {
+    ids.messageId = message.getId();
+    ids.threadId = message.getThread().getId();
+  } catch (e) {
+    console.warn('Could not read Gmail message ids for the Send Log:', e);
+  }
+  return ids;
+}
+
+/**
+ * Finds the most recent "Sent" Send Log entry for each column of a sheet
+ * @param {string} sheetName - Newsletter sheet name
+ * @returns {Object} Map of column letter to { timestamp, user }
+ */
+function getLastSends(sheetName) {
+  const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SEND_LOG_SHEET_NAME);
+  if (!logSheet || logSheet.getLastRow() < 2) return {};
+
+  const rows = logSheet.getRange(2, 1, logSheet.getLastRow() - 1, SEND_LOG_HEADERS.length).getValues();
+  const lastSends = {};
+
+  rows.forEach(row => {
+    const [timestamp, user, action, logSheetName, column] = row;
+    if (action !== 'Sent' || logSheetName !== sheetName || !column) return;
+
+    const time = new Date(timestamp);
+    const existing = lastSends[column];
+    if (!existing || time > existing.timestamp) {
+      lastSends[column] = { timestamp: time, user: user };
+    }
+  });
+
+  return lastSends;
+}
+
+/**
+ * utm_source and utm_medium values used when the UTM Source and UTM Medium
+ * settings are blank
+ */
+const UTM_DEFAULTS = {
+  source: 'newsletter',
+  medium: 'email'
+};
+
+/**
+ * Gets the UTM parameters to add to a newsletter column's links. The column's
+ * "UTM Tagging" row wins; otherwise the Config sheet "UTM Tagging" setting is used.
+ * @param {Object} data - Newsletter data
+ * @returns {Object|null} `source`, `medium`, `campaign`, `includeDomains` and
+ *   `excludeDomains`, or null if tagging is off
+ */
+function getUtmSettings(data) {
+  const enabled = data.utmTagging !== undefined && data.utmTagging !== null && data.utmTagging !== ''
+    ? isTruthyCellValue(data.utmTagging)
+    : isTruthyCellValue(getConfigSetting('UTM Tagging', false));
+  if (!enabled) return null;
+
+  return {
+    source: getConfigSetting('UTM Source', UTM_DEFAULTS.source).toString().trim(),
+    medium: getConfigSetting('UTM Medium', UTM_DEFAULTS.medium).toString().trim(),
+    campaign: getUtmCampaign(data),
+    includeDomains: parseDomainList(getConfigSetting('UTM Domains', '')),
+    excludeDomains: parseDomainList(getConfigSetting('UTM Exclude Domains', ''))
+  };
+}
+
+/**
+ * Builds the utm_campaign value from the issue date and title
+ * (e.g. "2026-03-05-spring-update")
+ * @param {Object} data - Newsletter data
+ * @returns {string} Campaign name
+ */
+function getUtmCampaign(data) {
+  const parts = [];
+  if (data.date) parts.push(Utilities.formatDate(new Date(data.date), Session.getScriptTimeZone(), 'yyyy-MM-dd'));
+
+  const titleSlug = slugify(htmlToPlainText(data.title || ''));
+  if (titleSlug) parts.push(titleSlug);
+
+  return parts.join('-') || 'newsletter';
+}
+
+/**
+ * Turns text into a lowercase, hyphen-separated slug
+ * @param {string} text - Plain text
+ * @returns {string} Slug of at most 60 characters
+ */
+function slugify(text) {
+  return (text || '').toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 60)
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Splits a domain list setting into bare host names
+ * @param {string} value - Domains separated by commas, semicolons or whitespace
+ *   ("example.com", "https://www.example.com/" and "*.example.com" all work)
+ * @returns {Array<string>} Lowercase domains
+ */
+function parseDomainList(value) {
+  return (value || '').toString()
+    .split(/[,;\s]+/)
+    .map(domain => domain.trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^\*\./, '')
+      .replace(/^www\./, '')
+      .replace(/[/?#:].*$/, ''))
+    .filter(domain => domain);
+}
+
+/**
+ * Checks whether a host name is one of the domains or a subdomain of one
+ * @param {string} host - Lowercase host name
+ * @param {Array<string>} domains - Domains from parseDomainList
+ * @returns {boolean} True if the host matches
+ */
+function isDomainInList(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith('.' + domain));
+}
+
+/**
+ * Adds the UTM parameters to an http(s) link. The existing query string and
+ * fragment are kept, and UTM parameters the link already has are not replaced.
+ * Other links, and links to domains the settings leave out, are returned unchanged.
+ * @param {string} url - Link URL
+ * @param {Object} [utm] - Settings from getUtmSettings
+ * @returns {string} Tagged URL, or the original URL
+ */
+function addUtmParameters(url, utm) {
+  const link = (url || '').toString().trim();
+  const match = link.match(/^(https?:\/\/([^/?#]*))([^?#]*)(\?[^#]*)?(#.*)?$/i);
+  if (!utm || !match) return url;
+
+  const host = match[2].replace(/^[^@]*@/, '').replace(/:\d+$/, '').toLowerCase();
+  if (utm.includeDomains.length && !isDomainInList(host, utm.includeDomains)) return url;
+  if (isDomainInList(host, utm.excludeDomains)) return url;
+
+  const query = match[4] || '';
+  const existingKeys = query.slice(1).split('&').map(pair => {
+    try {
+      return decodeURIComponent(pair.split('=')[0]).toLowerCase();
+    } catch (e) {
+      return pair.split('=')[0].toLowerCase();
+    }
+  });
+  const added = [['utm_source', utm.source], ['utm_medium', utm.medium], ['utm_campaign', utm.campaign]]
+    .filter(param => param[1] && existingKeys.indexOf(param[0]) === -1)
+    .map(param => `${param[0]}=${encodeURIComponent(param[1])}`);
+  if (!added.length) return url;
+
+  const separator = !query ? '?' : (query === '?' || query.slice(-1) === '&' ? '' : '&');
+  return match[1] + match[3] + query + separator + added.join('&') + (match[5] || '');
+}
+
+/**
+ * Adds the UTM parameters to the links of sanitized content
+ * @param {string} html - Sanitized content HTML
+ * @param {Object} [utm] - Settings from getUtmSettings
+ * @returns {string} HTML with tagged links
+ */
+function tagContentLinks(html, utm) {
+  if (!html || !utm) return html || '';
+
+  return html.replace(/<a href="([^"]*)"/g, (match, href) =>
+    `<a href="${escapeAttribute(addUtmParameters(decodeHtmlEntities(href), utm))}"`);
+}
+
+/**
+ * Name of the sheet that records tracked link clicks
+ */
+const CLICKS_SHEET_NAME = 'Clicks';
+
+/**
+ * Column headers of the Clicks sheet
+ */
+const CLICKS_HEADERS = ['Timestamp', 'Sheet', 'Column', 'Link ID', 'URL', 'Recipient'];
+
+/**
+ * Name of the sheet that records tracking image loads
+ */
+const OPENS_SHEET_NAME = 'Opens';
+
+/**
+ * Column headers of the Opens sheet
+ */
+const OPENS_HEADERS = ['Timestamp', 'Sheet', 'Column', 'Recipient'];
+
+/**
+ * Name of the sheet "Build Engagement Report" writes
+ */
+const ENGAGEMENT_SHEET_NAME = 'Engagement';
+
+/**
+ * Script property holding the key tracked links are signed with
+ */
+const TRACKING_SECRET_PROPERTY = 'TRACKING_SECRET';
+
+/**
+ * Checks whether a newsletter column should be sent with tracked links.
+ * The column's "Click Tracking" row wins; otherwise the Config sheet
+ * "Click Tracking" setting is used.
+ * @param {Object} data - Newsletter data
+ * @returns {boolean} True to rewrite links through the click redirect
+ */
+function useClickTracking(data) {
+  if (data.clickTracking !== undefined && data.clickTracking !== null && data.clickTracking !== '') {
+    return isTruthyCellValue(data.clickTracking);
+  }
+  return isTruthyCellValue(getConfigSetting('Click Tracking', false));
+}
+
+/**
+ * Checks whether a newsletter column should be sent with the open tracking image.
+ * The column's "Open Tracking" row wins; otherwise the Config sheet
+ * "Open Tracking" setting is used.
+ * @param {Object} data - Newsletter data
+ * @returns {boolean} True to add the tracking image
+ */
+function useOpenTracking(data) {
+  if (data.openTracking !== undefined && data.openTracking !== null && data.openTracking !== '') {
+    return isTruthyCellValue(data.openTracking);
+  }
+  return isTruthyCellValue(getConfigSetting('Open Tracking', false));
+}
+
+/**
+ * Gets the web app URL tracked links point to: the "Tracking URL" setting or
+ * the URL of the current web app deployment
+ * @returns {string} Web app URL, or '' if the script isn't deployed
+ */
+function getTrackingBaseUrl() {
+  const configured = getConfigSetting('Tracking URL', '').toString().trim();
+  if (configured) return configured;
+
+  try {
+    return ScriptApp.getService().getUrl() || '';
+  } catch (e) {
+    console.warn('Could not read the web app URL:', e);
+    return '';
+  }
+}
+
+/**
+ * Gets the key tracked links are signed with, creating it on first use
+ * @returns {string} Signing key
+ */
+function getTrackingSecret() {
+  const properties = PropertiesService.getScriptProperties();
+  let secret = properties.getProperty(TRACKING_SECRET_PROPERTY);
+
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty(TRACKING_SECRET_PROPERTY, secret);
+  }
+
+  return secret;
+}
+
+/**
+ * Builds the tracking settings createNewsletterHTML uses to rewrite links and
+ * add the open tracking image
+ * @param {Object} data - Newsletter data
+ * @param {string} sheetName - Newsletter sheet name
+ * @param {string} column - Column letter
+ * @returns {Object|null} Tracking settings, or null if tracking is off or
+ *   unavailable. recipient is blank; sendRecipientCopies fills it in per reader.
+ */
+function getEmailTracking(data, sheetName, column) {
+  const clicks = useClickTracking(data);
+  const opens = useOpenTracking(data);
+  if (!clicks && !opens) return null;
+
+  const baseUrl = getTrackingBaseUrl();
+  if (!baseUrl) {
+    console.warn('Tracking is on, but the script is not deployed as a web app; sending without tracking');
+    return null;
+  }
+
+  const secret = getTrackingSecret();
+  return {
+    baseUrl: baseUrl,
+    clicks: clicks,
+    opens: opens,
+    sheetName: sheetName,
+    column: column,
+    recipient: '',
+    secret: secret
+  };
+}
+
+/**
+ * Hashes a reader's email address for the Clicks and Opens sheets, so readers
+ * can be counted once without the sheets holding their addresses
+ * @param {string} [address] - Email address
+ * @param {string} secret - Tracking secret
+ * @returns {string} Hash, or '' without an address
+ */
+function hashTrackingRecipient(address, secret) {
+  return address ? signTrackingValue(address.toString().trim().toLowerCase(), secret).substring(0, 16) : '';
+}
+
+/**
+ * Checks whether a tracked newsletter column should be sent as one copy per
+ * reader. The column's "Recipient Tracking" row wins; otherwise the Config
+ * sheet "Recipient Tracking" setting is used.
+ * @param {Object} data - Newsletter data
+ * @returns {boolean} True to send each reader their own copy
+ */
+function useRecipientTracking(data) {
+  if (data.recipientTracking !== undefined && data.recipientTracking !== null && data.recipientTracking !== '') {
+    return isTruthyCellValue(data.recipientTracking);
+  }
+  return isTruthyCellValue(getConfigSetting('Recipient Tracking', false));
+}
+
+/**
+ * Signs a value with HMAC-SHA256
+ * @param {string} value - Value to sign
+ * @param {string} secret - Signing key
+ * @returns {string} URL-safe base64 signature without padding
+ */
+function signTrackingValue(value, secret) {
+  const signature = Utilities.computeHmacSha256Signature(value, secret);
+  return Utilities.base64EncodeWebSafe(signature).replace(/=+$/, '');
+}
+
+/**
+ * Checks a signature against the expected one in constant time, so response
+ * timing doesn't reveal how many leading characters of a guess were right
+ * @param {string} signature - Signature from the request
+ * @param {string} expected - Signature computed with signTrackingValue
+ * @returns {boolean} Whether the signatures match
+ */
+function isValidTrackingSignature(signature, expected) {
+  if (typeof signature !== 'string' || !signature || signature.length !== expected.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= signature.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Joins the tracked parameters of a click link in a fixed order for signing
+ * @param {Object} params - Link parameters (c, n, l, u, r)
+ * @returns {string} String to sign
+ */
+function getClickSignatureBase(params) {
+  return ['click', params.c, params.n, params.l, params.u, params.r].map(value => value || '').join('\n');
+}
+
+/**
+ * Joins the parameters of an open tracking image in a fixed order for signing
+ * @param {Object} params - Image parameters (c, n, r)
+ * @returns {string} String to sign
+ */
+function getOpenSignatureBase(params) {
+  return ['open', params.c, params.n, params.r].map(value => value || '').join('\n');
+}
+
+/**
+ * Builds a web app URL from its parameters, skipping empty ones
+ * @param {string} baseUrl - Web app URL
+ * @param {string} action - Request type ("click" or "open")
+ * @param {Object} params - Parameters, including the signature
+ * @returns {string} URL
+ */
+function buildTrackingUrl(baseUrl, action, params) {
+  const query = ['a=' + action].concat(Object.keys(params)
+    .filter(key => params[key])
+    .map(key => `${key}=${encodeURIComponent(params[key])}`));
+  return baseUrl + (baseUrl.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+}
+
+/**
+ * Rewrites a link so it goes through the click redirect. Only http(s) links
+ * are tracked; mailto and tel links are returned unchanged.
+ * @param {string} url - Destination URL
+ * @param {string} linkId - Identifies the link within the issue (e.g. "topic2-button")
+ * @param {Object} [tracking] - Settings from getEmailTracking
+ * @returns {string} Tracked URL, or the original URL
+ */
+function getTrackedUrl(url, linkId, tracking) {
+  const destination = (url || '').toString().trim();
+  if (!tracking || !tracking.clicks || !/^https?:\/\//i.test(destination)) return url;
+
+  const params = {
+    c: tracking.column,
+    n: tracking.sheetName,
+    l: linkId,
+    u: destination,
+    r: tracking.recipient
+  };
+  params.sig = signTrackingValue(getClickSignatureBase(params), tracking.secret);
+  return buildTrackingUrl(tracking.baseUrl, 'click', params);
+}
+
+/**
+ * Gets the URL of the open tracking image for an issue
+ * @param {Object} [tracking] - Settings from getEmailTracking
+ * @returns {string} Image URL, or '' if open tracking is off
+ */
+function getOpenTrackingUrl(tracking) {
+  if (!tracking || !tracking.opens) return '';
+
+  const params = {
+    c: tracking.column,
+    n: tracking.sheetName,
+    r: tracking.recipient
+  };
+  params.sig = signTrackingValue(getOpenSignatureBase(params), tracking.secret);
+  return buildTrackingUrl(tracking.baseUrl, 'open', params);
+}
+
+/**
+ * Rewrites the links of sanitized content through the click redirect
+ * @param {string} html - Sanitized content HTML
+ * @param {string} linkIdPrefix - Prefix for the link ids (e.g. "topic2"); links are numbered from 1
+ * @param {Object} [tracking] - Settings from getEmailTracking
+ * @returns {string} HTML with tracked links
+ */
+function trackContentLinks(html, linkIdPrefix, tracking) {
+  if (!html || !tracking || !tracking.clicks) return html || '';
+
+  let count = 0;
+  return html.replace(/<a href="([^"]*)"/g, (match, href) => {
+    count++;
+    return `<a href="${escapeAttribute(getTrackedUrl(decodeHtmlEntities(href), `${linkIdPrefix}-link${count}`, tracking))}"`;
+  });
+}
+
+/**
+ * Web app entry point. Serves tracked link clicks (a=click): the signature is
+ * checked, the click is logged to the Clicks sheet and the reader is
+ * redirected to the destination. Also serves the open tracking image (a=open),
+ * logging the open to the Opens sheet.
+ * @param {Object} e - Web app request event
+ * @returns {GoogleAppsScript.HTML.HtmlOutput|GoogleAppsScript.Content.TextOutput} Response
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+
+  if (params.a === 'click') {
+    return handleClickRequest(params);
+  }
+
+  if (params.a === 'open') {
+    return handleOpenRequest(params);
+  }
+
+  return ContentService.createTextOutput('Newsletter Tools').setMimeType(ContentService.MimeType.TEXT);
+}
+
+/**
+ * Handles a tracked link click
+ * @param {Object} params - Request parameters (c, n, l, u, r, sig)
+ * @returns {GoogleAppsScript.HTML.HtmlOutput|GoogleAppsScript.Content.TextOutput} Redirect page
+ */
+function handleClickRequest(params) {
+  const expected = signTrackingValue(getClickSignatureBase(params), getTrackingSecret());
+  const destination = sanitizeUrl(params.u);
+
+  // Only links this script signed are followed, so the endpoint can't be used as an open redirect
+  if (!isValidTrackingSignature(params.sig, expected) || !/^https?:\/\//i.test(destination)) {
+    console.warn('Rejected click with an invalid signature for', params.u);
+    return ContentService.createTextOutput('This link is invalid or has expired.').setMimeType(ContentService.MimeType.TEXT);
+  }
+
+  appendTrackingRow(CLICKS_SHEET_NAME, CLICKS_HEADERS, [new Date(), params.n || '', params.c || '', params.l || '', destination, params.r || '']);
+  return createRedirectOutput(destination);
+}
+
+/**
+ * Handles a load of the open tracking image. Web apps can't serve images, so
+ * the response is empty; the request itself is what gets counted.
+ * @param {Object} params - Request parameters (c, n, r, sig)
+ * @returns {GoogleAppsScript.Content.TextOutput} Empty response
+ */
+function handleOpenRequest(params) {
+  const expected = signTrackingValue(getOpenSignatureBase(params), getTrackingSecret());
+
+  if (isValidTrackingSignature(params.sig, expected)) {
+    appendTrackingRow(OPENS_SHEET_NAME, OPENS_HEADERS, [new Date(), params.n || '', params.c || '', params.r || '']);
+  } else {
+    console.warn('Rejected open with an invalid signature for column', params.c);
+  }
+
+  return ContentService.createTextOutput('').setMimeType(ContentService.MimeType.TEXT);
+}
+
+/**
+ * Adds a row to a tracking sheet (Clicks or Opens). No script lock is taken:
+ * a send holds that lock for minutes, and appendRow is atomic on its own.
+ * @param {string} sheetName - Tracking sheet name
+ * @param {Array<string>} headers - Header row, in case the sheet was deleted after the send
+ * @param {Array} row - Values to append
+ */
+function appendTrackingRow(sheetName, headers, row) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName) || createTrackingSheet(sheetName, headers);
+    sheet.appendRow(row);
+  } catch (e) {
+    // The reader should still get to the link (or the image) when logging fails
+    console.error(`Error writing to the ${sheetName} sheet:`, e);
+  }
+}
+
+/**
+ * Creates the Clicks and Opens sheets an issue's tracking will write to, so
+ * the first clicks and opens only have to append a row
+ * @param {Object} [tracking] - Settings from getEmailTracking
+ */
+function createTrackingSheets(tracking) {
+  if (!tracking) return;
+  if (tracking.clicks) createTrackingSheet(CLICKS_SHEET_NAME, CLICKS_HEADERS);
+  if (tracking.opens) createTrackingSheet(OPENS_SHEET_NAME, OPENS_HEADERS);
+}
+
+/**
+ * Gets a tracking sheet, creating it with a bold, frozen header row if needed.
+ * Takes the document lock (not the script lock sends hold) so two requests
+ * can't both create the sheet.
+ * @param {string} sheetName - Tracking sheet name
+ * @param {Array<string>} headers - Header row
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} Tracking sheet
+ */
+function createTrackingSheet(sheetName, headers) {
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+
+  try {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(sheetName);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length)
+        .setValues([headers])
+        .setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Builds a page that sends the reader on to a URL. Web apps can't answer with
+ * a 302, and HtmlService serves the page in a sandboxed iframe that may only
+ * navigate the top window after a click, so the script redirect below only
+ * works where the browser allows it. Otherwise the reader sees a one-click
+ * "Continue to ..." link (a meta refresh would only load the site inside the
+ * iframe, which most sites refuse).
+ * @param {string} url - Destination URL (already checked with sanitizeUrl)
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} Redirect page
+ */
+function createRedirectOutput(url) {
+  const hostMatch = url.match(/^https?:\/\/([^\/?#]+)/i);
+  const host = hostMatch ? hostMatch[1].replace(/^[^@]*@/, '') : url;
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <base target="_top">
+    </head>
+    <body style="font-family: Arial, sans-serif; padding: 40px 20px; text-align: center;">
+      <p style="margin: 0 0 20px 0;">
+        <a href="${escapeAttribute(url)}" target="_top" style="display: inline-block; padding: 12px 24px; background: #1a73e8; color: #ffffff; border-radius: 4px; font-size: 16px; text-decoration: none;">Continue to ${escapeHtml(host)}</a>
+      </p>
+      <p style="margin: 0; color: #5f6368; font-size: 12px; word-break: break-all;">${escapeHtml(url)}</p>
+      <script>
+        try {
+          window.top.location.replace(${JSON.stringify(url).replace(/</g, '\\u003c')});
+        } catch (e) {
+          // Blocked without a click; the link above does the rest
+        }
+      </script>
+    </body>
+    </html>
+  `;
+
+  return HtmlService.createHtmlOutput(html).setTitle('Continue to ' + host);
+}
+
+/**
+ * Reads a sheet's rows (without the header row) as objects keyed by header
+ * @param {string} sheetName - Sheet name
+ * @returns {Array<Object>} Rows, or [] if the sheet doesn't exist
+ */
+function getSheetRecords(sheetName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0].map(header => header.toString());
+  return values.slice(1).map(row => headers.reduce((record, header, index) => {
+    record[header] = row[index];
+    return record;
+  }, {}));
+}
+
+/**
+ * Gets the topic a tracked link belongs to from its link id
+ * @param {string} linkId - Link id such as "topic2-button", "topic2-link1" or "cta"
+ * @returns {Object} `number` (0 when not a topic) and `label`
+ */
+function getLinkTopic(linkId) {
+  const match = (linkId || '').toString().match(/^topic(\d+)-/);
+  if (match) return { number: parseInt(match[1], 10), label: `Topic ${match[1]}` };
+  if (/^cta/.test(linkId || '')) return { number: 0, label: 'Call to Action' };
+  return { number: 0, label: 'Other' };
+}
+
+/**
+ * Combines Send Log, Opens and Clicks records into per-issue and per-topic totals.
+ * Unique clicks count the readers who clicked (once per issue and once per
+ * topic), so only clicks from copies sent with Recipient Tracking are counted;
+ * clicks without a recipient only count toward the click totals.
+ * @param {Array<Object>} sends - Send Log records
+ * @param {Array<Object>} opens - Opens records
+ * @param {Array<Object>} clicks - Clicks records
+ * @returns {Object} `issues`, `topics` and `topTopics` (up to 10, most clicks first)
+ */
+function summarizeEngagement(sends, opens, clicks) {
+  const issues = {};
+  const topics = {};
+  const issueFor = (sheetName, column) => {
+    const key = `${sheetName}!${column}`;
+    if (!issues[key]) {
+      issues[key] = { sheetName: sheetName, column: column, subject: '', sentAt: '', recipients: 0, opens: 0, clicks: 0, uniqueClicks: 0 };
+    }
+    return issues[key];
+  };
+
+  sends.filter(send => send['Action'] === 'Sent').forEach(send => {
+    const issue = issueFor(send['Sheet'], send['Column']);
+    // A column sent more than once is reported with its latest send
+    if (!issue.sentAt || new Date(send['Timestamp']) > new Date(issue.sentAt)) {
+      issue.subject = send['Subject'];
+      issue.sentAt = send['Timestamp'];
+      issue.recipients = ['To Count', 'CC Count', 'BCC Count'].reduce((total, header) => total + (Number(send[header]) || 0), 0);
+    }
+  });
+
+  opens.forEach(open => {
+    issueFor(open['Sheet'], open['Column']).opens++;
+  });
+
+  const readers = {};
+  const countReader = key => {
+    if (readers[key]) return false;
+    readers[key] = true;
+    return true;
+  };
+  clicks.forEach(click => {
+    const issue = issueFor(click['Sheet'], click['Column']);
+    const linkTopic = getLinkTopic(click['Link ID']);
+    const topicKey = `${click['Sheet']}!${click['Column']}!${linkTopic.label}`;
+    if (!topics[topicKey]) {
+      topics[topicKey] = { sheetName: click['Sheet'], column: click['Column'], topic: linkTopic.label, topicNumber: linkTopic.number, title: '', clicks: 0, uniqueClicks: 0 };
+    }
+
+    issue.clicks++;
+    topics[topicKey].clicks++;
+
+    const recipient = click['Recipient'];
+    if (recipient) {
+      if (countReader(`${click['Sheet']}!${click['Column']}!${recipient}`)) issue.uniqueClicks++;
+      if (countReader(`${topicKey}!${recipient}`)) topics[topicKey].uniqueClicks++;
+    }
+  });
+
+  const topicList = Object.keys(topics).map(key => Object.assign(topics[key], { subject: issueFor(topics[key].sheetName, topics[key].column).subject }));
+  const byClicks = (a, b) => b.clicks - a.clicks || b.uniqueClicks - a.uniqueClicks;
+
+  return {
+    issues: Object.keys(issues).map(key => issues[key])
+      .sort((a, b) => (a.sentAt ? new Date(a.sentAt).getTime() : 0) - (b.sentAt ? new Date(b.sentAt).getTime() : 0)),
+    topics: topicList,
+    topTopics: topicList.filter(topic => topic.topicNumber).sort(byClicks).slice(0, 10)
+  };
+}
+
+/**
+ * Builds the Engagement sheet from the Send Log, Opens and Clicks sheets:
+ * opens and clicks per issue, clicks per topic, the top topics across issues
+ * and a chart of opens and clicks per issue
+ * @returns {string} Summary message
+ */
+function buildEngagementReport() {
+  try {
+    const summary = summarizeEngagement(
+      getSheetRecords(SEND_LOG_SHEET_NAME),
+      getSheetRecords(OPENS_SHEET_NAME),
+      getSheetRecords(CLICKS_SHEET_NAME)
+    );
+    addTopicTitles(summary.topics);
+
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(ENGAGEMENT_SHEET_NAME) || spreadsheet.insertSheet(ENGAGEMENT_SHEET_NAME);
+    sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+    sheet.clear();
+
+    const issueName = item => item.subject || `${item.sheetName} ${item.column}`;
+    let row = 1;
+    const writeTable = (title, headers, rows, note) => {
+      sheet.getRange(row, 1).setValue(title).setFontWeight('bold');
+      if (note) {
+        sheet.getRange(row, 2).setValue(note).setFontStyle('italic');
+      }
+      sheet.getRange(row + 1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      if (rows.length) {
+        sheet.getRange(row + 2, 1, rows.length, headers.length).setValues(rows);
+      }
+      const tableStart = row + 1;
+      row += rows.length + 4;
+      return tableStart;
+    };
+
+    const issueTableStart = writeTable('Issues', ['Issue', 'Sheet', 'Column', 'Sent', 'Recipients', 'Opens', 'Clicks', 'Unique Clicks'],
+      summary.issues.map(issue => [issueName(issue), issue.sheetName, issue.column, issue.sentAt, issue.recipients, issue.opens, issue.clicks, issue.uniqueClicks]),
+      'Unique Clicks counts readers, and only for issues sent with Recipient Tracking');
+    writeTable('Clicks by Topic', ['Issue', 'Topic', 'Title', 'Clicks', 'Unique Clicks'],
+      summary.topics.map(topic => [issueName(topic), topic.topic, topic.title, topic.clicks, topic.uniqueClicks]));
+    writeTable('Top Topics Across Issues', ['Rank', 'Issue', 'Topic', 'Title', 'Clicks', 'Unique Clicks'],
+      summary.topTopics.map((topic, index) => [index + 1, issueName(topic), topic.topic, topic.title, topic.clicks, topic.uniqueClicks]));
+
+    if (summary.issues.length) {
+      const chart = sheet.newChart()
+        .asColumnChart()
+        .addRange(sheet.getRange(issueTableStart, 1, summary.issues.length + 1, 1))
+        .addRange(sheet.getRange(issueTableStart, 6, summary.issues.length + 1, 1))
+        .addRange(sheet.getRange(issueTableStart, 7, summary.issues.length + 1, 1))
+        .setNumHeaders(1)
+        .setOption('title', 'Opens and Clicks per Issue')
+        .setPosition(1, 10, 0, 0)
+        .build();
+      sheet.insertChart(chart);
+    }
+
+    const message = `Engagement report built for ${summary.issues.length} issue(s) and ${summary.topics.length} topic(s).`;
+    console.log(message);
+    sheet.activate();
+    spreadsheet.toast(message, 'Engagement Report');
+    return message;
+
+  } catch (error) {
+    console.error('Error building engagement report:', error);
+    throw new Error('Failed to build engagement report: ' + error.message);
+  }
+}
+
+/**
+ * Fills in the topic titles of engagement topics from their newsletter columns
+ * @param {Array<Object>} topics - Topics from summarizeEngagement
+ */
+function addTopicTitles(topics) {
+  const issueData = {};
+
+  topics.forEach(topic => {
+    if (!topic.topicNumber) return;
+
+    const key = `${topic.sheetName}!${topic.column}`;
+    if (!(key in issueData)) {
+      try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(topic.sheetName);
+        issueData[key] = sheet ? getNewsletterDataFromColumn(sheet, topic.column) : null;
+      } catch (e) {
+        console.warn(`Could not read topic titles for ${key}:`, e.message);
+        issueData[key] = null;
+      }
+    }
+
+    const data = issueData[key];
+    const match = data && data.topics.find(item => item.number === topic.topicNumber);
+    topic.title = match ? htmlToPlainText(match.title) : '';
+  });
+}
+
+/**
+ * Splits a To/CC/BCC cell into individual addresses
+ * @param {string} value - Cell value with addresses separated by commas or semicolons
+ * @returns {Array<string>} Trimmed, non-empty addresses
+ */
+function splitEmailList(value) {
+  if (!value) return [];
+  return value.toString()
+    .split(/[,;]/)
+    .map(address => address.trim())
+    .filter(address => address);
+}
+
+/**
+ * Document property holding scheduled sends, keyed by "Sheet!Column"
+ */
+const SCHEDULED_SENDS_PROPERTY = 'scheduledSends';
+
+/**
+ * Schedules a newsletter column to be sent automatically at a given time.
+ * Scheduling a column that is already scheduled replaces the earlier time.
+ * A column the Send Log already marks as sent is only scheduled when
+ * options.confirmResend is set; the confirmation is stored with the schedule.
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @param {number} sendAt - Send time in milliseconds since the epoch
+ * @param {Object} [options] - Send options
+ * @param {boolean} [options.confirmResend] - Schedule even if the column was already sent
+ * @param {string} [options.layoutStyle] - Layout to send with instead of the column's Layout Style
+ * @returns {string} Confirmation message
+ */
+function scheduleNewsletterSend(column, sendAt, options = {}) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSheet();
+    column = validateNewsletterColumn(sheet, column);
+    const sendDate = new Date(Number(sendAt));
+
+    if (isNaN(sendDate.getTime())) {
+      throw new Error('Please choose a valid send date and time');
+    }
+
+    if (sendDate.getTime() < Date.now() + 60 * 1000) {
+      throw new Error('The send time must be at least one minute in the future');
+    }
+
+    const lastSend = getLastSends(sheet.getName())[column];
+    if (lastSend && !options.confirmResend) {
+      throw new Error(`Column ${column} was already sent on ${formatScheduleTime(lastSend.timestamp)} by ${lastSend.user || 'unknown user'}. Confirm "send again" to schedule it a second time`);
+    }
+
+    const data = getNewsletterDataFromColumn(sheet, column);
+
+    if (!data.to) {
+      throw new Error(`No recipients specified in "To" field for column ${column}`);
+    }
+
+    if (!data.title) {
+      throw new Error(`Newsletter title is required for column ${column}`);
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const schedules = getScheduledSends();
+      const key = getScheduleKey(sheet.getName(), column);
+
+      if (schedules[key]) {
+        if (schedules[key].status === 'sending' && !isUnfinishedScheduledSend(schedules[key], Date.now())) {
+          throw new Error(`Column ${column} is being sent right now and cannot be rescheduled`);
+        }
+        deleteTriggerById(schedules[key].triggerId);
+        deleteTriggerById(schedules[key].checkTriggerId);
+      }
+
+      const trigger = ScriptApp.newTrigger('runScheduledSends')
+        .timeBased()
+        .at(sendDate)
+        .create();
+
+      schedules[key] = {
+        sheetName: sheet.getName(),
+        column: column,
+        sendAt: sendDate.getTime(),
+        triggerId: trigger.getUniqueId(),
+        status: 'scheduled',
+        scheduledBy: Session.getActiveUser().getEmail(),
+        layoutStyle: options.layoutStyle || '',
+        confirmResend: !!options.confirmResend
+      };
+      saveScheduledSends(schedules);
+    } finally {
+      lock.releaseLock();
+    }
+
+    const when = formatScheduleTime(sendDate);
+    setScheduleStatus(sheet, column, `Scheduled: ${when}`);
+    console.log(`Newsletter in column ${column} scheduled for ${when}`);
+    return `Newsletter in column ${column} scheduled for ${when}.`;
+
+  } catch (error) {
+    console.error(`Error scheduling newsletter from column ${column}:`, error);
+    throw new Error('Failed to schedule newsletter: ' + error.message);
+  }
+}
+
+/**
+ * Cancels a scheduled send for a newsletter column
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @returns {string} Confirmation message
+ */
+function cancelScheduledSend(column) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSheet();
+    column = validateNewsletterColumn(sheet, column);
+    const key = getScheduleKey(sheet.getName(), column);
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const schedules = getScheduledSends();
+      const schedule = schedules[key];
+
+      if (!schedule) {
+        throw new Error(`Column ${column} has no scheduled send`);
+      }
+
+      // A send whose run never finished can be cleared
+      if (schedule.status === 'sending' && !isUnfinishedScheduledSend(schedule, Date.now())) {
+        throw new Error(`Column ${column} is being sent right now and cannot be cancelled`);
+      }
+
+      deleteTriggerById(schedule.triggerId);
+      deleteTriggerById(schedule.checkTriggerId);
+      delete schedules[key];
+      saveScheduledSends(schedules);
+    } finally {
+      lock.releaseLock();
+    }
+
+    setScheduleStatus(sheet, column, '');
+    console.log(`Scheduled send cancelled for column ${column}`);
+    return `Scheduled send cancelled for column ${column}.`;
+
+  } catch (error) {
+    console.error(`Error cancelling scheduled send for column ${column}:`, error);
+    throw new Error('Failed to cancel scheduled send: ' + error.message);
+  }
+}
+
+/**
+ * Apps Script stops a run after six minutes, so a scheduled send still marked
+ * "sending" for longer than this belongs to a run that never finished
+ */
+const SCHEDULED_SEND_TIME_LIMIT = 6 * 60 * 1000;
+
+/**
+ * Time-driven trigger handler that sends the newsletter whose scheduled time
+ * came first. One newsletter is sent per run, so several newsletters due at
+ * once can't push a run past the time limit; a follow-up trigger sends the
+ * next one. Sends left "sending" by a run that was stopped are marked failed.
+ * The script lock and the "sending" status make sure overlapping trigger runs
+ * never send the same newsletter twice.
+ * @param {Object} e - Time-driven trigger event
+ */
+function runScheduledSends(e) {
+  const lock = LockService.getScriptLock();
+
+  if (!lock.tryLock(5 * 60 * 1000)) {
+    // Another run is still sending; try again shortly instead of dropping this run
+    console.warn('Scheduled send already in progress, retrying in one minute');
+    ScriptApp.newTrigger('runScheduledSends').timeBased().after(60 * 1000).create();
+    if (e && e.triggerUid) deleteTriggerById(e.triggerUid);
+    return;
+  }
+
+  try {
+    const schedules = getScheduledSends();
+    const now = Date.now();
+
+    Object.keys(schedules).filter(key => isUnfinishedScheduledSend(schedules[key], now)).forEach(key => {
+      finishScheduledSend(schedules, key, 'Failed: run did not finish');
+    });
+
+    const dueKeys = Object.keys(schedules)
+      .filter(key => schedules[key].status === 'scheduled' && schedules[key].sendAt <= now + 60 * 1000)
+      .sort((a, b) => schedules[a].sendAt - schedules[b].sendAt);
+    if (!dueKeys.length) return;
+
+    // Marked as sending before the first email goes out, so a run that dies
+    // part way through can never pick the same newsletter up again. The check
+    // trigger marks it failed if that happens; a finished send deletes it.
+    const key = dueKeys[0];
+    const schedule = schedules[key];
+    schedule.status = 'sending';
+    schedule.startedAt = now;
+    schedule.checkTriggerId = ScriptApp.newTrigger('runScheduledSends')
+      .timeBased()
+      .after(SCHEDULED_SEND_TIME_LIMIT + 60 * 1000)
+      .create()
+      .getUniqueId();
+    saveScheduledSends(schedules);
+
+    let status;
+    try {
+      // This run already holds the script lock
+      const result = sendNewsletterWhileLocked(schedule.column, {
+        sheetName: schedule.sheetName,
+        layoutStyle: schedule.layoutStyle,
+        confirmResend: schedule.confirmResend,
+        scheduled: true
+      });
+      // continueRecipientSends writes the final status of a per-reader send
+      status = typeof result === 'string' ? result : `Sent: ${formatScheduleTime(new Date())}`;
+    } catch (error) {
+      console.error(`Error sending scheduled newsletter ${key}:`, error);
+      status = `Failed: ${error.message}`;
+    }
+
+    finishScheduledSend(schedules, key, status);
+
+    if (dueKeys.length > 1) {
+      ScriptApp.newTrigger('runScheduledSends').timeBased().after(60 * 1000).create();
+    }
+
+  } finally {
+    if (e && e.triggerUid) deleteTriggerById(e.triggerUid);
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Checks whether a scheduled send was started by a run that never finished
+ * @param {Object} schedule - Scheduled send
+ * @param {number} now - Current time in milliseconds since the epoch
+ * @returns {boolean} True if it has been "sending" for longer than SCHEDULED_SEND_TIME_LIMIT
+ */
+function isUnfinishedScheduledSend(schedule, now) {
+  return schedule.status === 'sending' && now - (schedule.startedAt || schedule.sendAt) > SCHEDULED_SEND_TIME_LIMIT;
+}
+
+/**
+ * Removes a scheduled send and its trigger, then shows its final status on the sheet
+ * @param {Object} schedules - Scheduled sends keyed by "Sheet!Column" (saved by this function)
+ * @param {string} key - Schedule key
+ * @param {string} status - Status text, e.g. "Sent: ..." or "Failed: ..."
+ */
+function finishScheduledSend(schedules, key, status) {
+  const schedule = schedules[key];
+  deleteTriggerById(schedule.triggerId);
+  deleteTriggerById(schedule.checkTriggerId);
+  delete schedules[key];
+  saveScheduledSends(schedules);
+
+  try {
+    setScheduleStatus(getNewsletterSheet(schedule.sheetName), schedule.column, status);
+  } catch (statusError) {
+    console.error(`Error writing schedule status for ${key}:`, statusError);
+  }
+  console.log(`Scheduled send for ${key}: ${status}`);
+}
+
+/**
+ * Reads all scheduled sends from document properties
+ * @returns {Object} Scheduled sends keyed by "Sheet!Column"
+ */
+function getScheduledSends() {
+  const stored = PropertiesService.getDocumentProperties().getProperty(SCHEDULED_SENDS_PROPERTY);
+  if (!stored) return {};
+
+  try {
+    return JSON.parse(stored);
+  } catch (e) {
+    console.error('Error reading scheduled sends:', e);
+    return {};
+  }
+}
+
+/**
+ * Saves all scheduled sends to document properties
+ * @param {Object} schedules - Scheduled sends keyed by "Sheet!Column"
+ */
+function saveScheduledSends(schedules) {
+  PropertiesService.getDocumentProperties().setProperty(SCHEDULED_SENDS_PROPERTY, JSON.stringify(schedules));
+}
+
+/**
+ * Builds the key a scheduled send is stored under
+ * @param {string} sheetName - Newsletter sheet name
+ * @param {string} column - Column letter
+ * @returns {string} Schedule key
+ */
+function getScheduleKey(sheetName, column) {
+  return `${sheetName}!${column}`;
+}
+
+/**
+ * Deletes a project trigger by its unique id, if it still exists
+ * @param {string} triggerId - Trigger unique id
+ */
+function deleteTriggerById(triggerId) {
+  if (!triggerId) return;
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getUniqueId() === triggerId) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+/**
+ * Formats a schedule time for display
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date and time
+ */
+function formatScheduleTime(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'MM/dd/yyyy h:mm a');
+}
+
+/**
+ * Shows the schedule status in the column's "Schedule Status" row, or as a note
+ * on the date cell when the sheet has no such row
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The newsletter sheet
+ * @param {string} column - Column letter
+ * @param {string} status - Status text (empty to clear)
+ */
+function setScheduleStatus(sheet, column, status) {
+  const statusRow = getSheetSchema(sheet).rows.scheduleStatus;
+
+  if (statusRow) {
+    sheet.getRange(column + statusRow).setValue(status);
+  } else {
+    sheet.getRange(column + '1').setNote(status);
+  }
+}
+
+/**
+ * Legacy functions for backward compatibility (use Column B)
+ */
+function generateNewsletterHTML() {
+  return generateNewsletterHTMLFromColumn('B');
+}
+
+function sendNewsletterEmail() {
+  return sendNewsletterFromColumn('B');
+}
+
+/**
+ * Default Column A labels and the newsletter fields they map to.
+ * Labels are matched case-insensitively, ignoring spaces and punctuation,
+ * so "Topic 1 Title" also matches "Topic1Title". In topic labels "#" stands
+ * for the topic number, so "Topic # Title" matches "Topic 1 Title", "Topic 7 Title", ...
+ */
+const DEFAULT_FIELD_LABELS = {
+  'Title': 'title',
+  'Subtitle': 'subtitle',
+  'Topic # Title': 'topic.title',
+  'Topic # URL': 'topic.url',
+  'Topic # Image URL': 'topic.url',
+  'Topic # Text': 'topic.description',
+  'Topic # Description': 'topic.description',
+  'Topic # Button Text': 'topic.buttonText',
+  'Topic # Button URL': 'topic.buttonUrl',
+  'Topic # Hide': 'topic.hidden',
+  'Topic # Layout': 'topic.layout',
+  'Topic # Block': 'topic.blockType',
+  'Topic # Type': 'topic.blockType',
+  'Final Button URL': 'finalButtonUrl',
+  'Final Button Text': 'finalButtonText',
+  'CTA Button Text': 'finalButtonText',
+  'CTA Heading': 'ctaHeading',
+  'Extra CTA Buttons': 'ctaButtons',
+  'CTA Buttons': 'ctaButtons',
+  'Hide CTA': 'hideCta',
+  'Organization Name': 'organizationName',
+  'Footer Tagline': 'footerTagline',
+  'Contact Info': 'contactInfo',
+  'Social Links': 'socialLinks',
+  'Mailing Address': 'mailingAddress',
+  'Receiving Note': 'receivingNote',
+  "Why You're Receiving This": 'receivingNote',
+  'To': 'to',
+  'CC': 'cc',
+  'BCC': 'bcc',
+  'Layout Style': 'layoutStyle',
+  'Layout': 'layoutStyle',
+  'Archived': 'archived',
+  'Schedule Status': 'scheduleStatus',
+  'Send Status': 'scheduleStatus',
+  'Inline Images': 'inlineImages',
+  'Theme': 'theme',
+  'Content Format': 'contentFormat',
+  'Format': 'contentFormat',
+  'Click Tracking': 'clickTracking',
+  'Track Clicks': 'clickTracking',
+  'Open Tracking': 'openTracking',
+  'Track Opens': 'openTracking',
+  'Recipient Tracking': 'recipientTracking',
+  'Track Recipients': 'recipientTracking',
+  'UTM Tagging': 'utmTagging'
+};
+
+/**
+ * Call-to-action and footer content, with the built-in defaults. Each field can
+ * be set for all newsletters in the Config sheet "Settings" section or for one
+ * column with a Column A row, using any label from DEFAULT_FIELD_LABELS.
+ */
+const NEWSLETTER_CONTENT_DEFAULTS = {
+  ctaHeading: 'Ready to Learn More?',
+  finalButtonText: 'Visit the Orono Technology Digital Learning Hub to learn more',
+  ctaButtons: '',
+  hideCta: '',
+  organizationName: 'Orono Technology Digital Learning Hub',
+  footerTagline: 'Empowering Digital Learning and Innovation',
+  contactInfo: '',
+  socialLinks: '',
+  mailingAddress: '',
+  receivingNote: ''
+};
+
+/**
+ * Fields whose Column A label must be present on every newsletter sheet
+ */
+const REQUIRED_FIELDS = ['title', 'to'];
+
+/**
+ * Normalizes a Column A label for matching (lower case, letters and digits only)
+ * @param {*} label - Label cell value
+ * @returns {string} Normalized label
+ */
+function normalizeLabel(label) {
+  if (label === null || label === undefined) return '';
+  return label.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Config sheet values, read once per execution (every Apps Script execution
+ * starts with fresh globals, so edits to the sheet are picked up by the next run)
+ */
+let configValuesCache = null;
+
+/**
+ * Gets every value on the Config sheet, reading the sheet on first use only
+ * @returns {Array<Array<*>>} Config sheet values, or [] without a Config sheet
+ */
+function getConfigValues() {
+  if (!configValuesCache) {
+    const configSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Config');
+    configValuesCache = configSheet ? configSheet.getDataRange().getValues() : [];
+  }
+  return configValuesCache;
+}
+
+/**
+ * Reads a named section from the Config sheet. A section starts at a cell in
+ * column A holding the section name and runs until the next blank row.
+ * @param {string} sectionName - Section heading (e.g. "Field Labels")
+ * @returns {Array<Array<*>>} Section rows, without the heading row
+ */
+function getConfigSection(sectionName) {
+  const values = getConfigValues();
+  const key = normalizeLabel(sectionName);
+  const start = values.findIndex(row => normalizeLabel(row[0]) === key);
+  if (start === -1) return [];
+
+  const rows = [];
+  for (let i = start + 1; i < values.length; i++) {
+    if (values[i][0] === '' || values[i][0] === null) break;
+    rows.push(values[i]);
+  }
+  return rows;
+}
+
+/**
+ * Settings map built by getConfigSettings, kept for the rest of the execution
+ */
+let configSettingsCache = null;
+
+/**
+ * Reads the Config sheet "Settings" section (Setting in column A, Value in column B)
+ * @returns {Object} Map of normalized setting name to value
+ */
+function getConfigSettings() {
+  if (configSettingsCache) return configSettingsCache;
+
+  const settings = {};
+
+  try {
+    getConfigSection('Settings').forEach(row => {
+      settings[normalizeLabel(row[0])] = row[1];
+    });
+    configSettingsCache = settings;
+  } catch (e) {
+    console.error('Error reading settings from Config sheet:', e);
+  }
+
+  return settings;
+}
+
+/**
+ * Gets one value from the Config sheet "Settings" section
+ * @param {string} name - Setting name (e.g. "Test Addresses")
+ * @param {*} defaultValue - Value to use when the setting is missing or blank
+ * @returns {*} Setting value
+ */
+function getConfigSetting(name, defaultValue) {
+  const value = getConfigSettings()[normalizeLabel(name)];
+  return value === undefined || value === '' || value === null ? defaultValue : value;
+}
+
+/**
+ * Builds the label-to-field map from DEFAULT_FIELD_LABELS and the Config sheet
+ * "Field Labels" section
+ * @returns {Object} `fields` (normalized label -> field) and `topicFields`
+ *   (list of { pattern, field } for "#" topic labels)
+ */
+function getFieldLabelMap() {
+  const knownFields = new Set(Object.values(DEFAULT_FIELD_LABELS));
+  const labelMap = { fields: {}, topicFields: [] };
+
+  const addLabel = (label, field) => {
+    if (field.indexOf('topic.') === 0) {
+      const parts = label.toString().split('#').map(normalizeLabel);
+      if (parts.length !== 2) {
+        console.warn(`Topic label "${label}" needs exactly one "#" for the topic number, ignoring`);
+        return;
+      }
+      labelMap.topicFields.unshift({
+        pattern: new RegExp(`^${parts[0]}(\\d+)${parts[1]}$`),
+        field: field.substring('topic.'.length)
+      });
+    } else {
+      labelMap.fields[normalizeLabel(label)] = field;
+    }
+  };
+
+  Object.keys(DEFAULT_FIELD_LABELS).forEach(label => addLabel(label, DEFAULT_FIELD_LABELS[label]));
+
+  try {
+    getConfigSection('Field Labels').forEach(row => {
+      const field = row[1] ? row[1].toString().trim() : '';
+      if (!normalizeLabel(row[0]) || !field) return;
+
+      if (!knownFields.has(field)) {
+        console.warn(`Config "Field Labels": "${row[0]}" maps to unknown field "${field}", ignoring`);
+        return;
+      }
+      addLabel(row[0], field);
+    });
+  } catch (e) {
+    console.error('Error reading field labels from Config sheet:', e);
+  }
+
+  return labelMap;
+}
+
+/**
+ * Gets the default Column A label for a field, for use in messages
+ * @param {string} field - Field name (e.g. "title" or "topic.buttonUrl")
+ * @param {number} [topicNumber] - Topic number for topic fields
+ * @returns {string} Label text
+ */
+function getFieldLabel(field, topicNumber) {
+  const label = Object.keys(DEFAULT_FIELD_LABELS).find(key => DEFAULT_FIELD_LABELS[key] === field);
+  if (!label) return field;
+  return topicNumber ? label.replace('#', topicNumber) : label;
+}
+
+/**
+ * Locates each newsletter field on the sheet by its Column A label. Topics are
+ * repeating five-row blocks (Title, URL, Description, Button Text, Button URL,
+ * plus an optional Hide row) grouped by the number in their labels, so adding
+ * "Topic 4 ..." rows adds a topic.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The newsletter sheet
+ * @returns {Object} Schema with `rows` (field -> row number), `topics` (ordered list
+ *   of { number, rows }), `unknownLabels` and `missingFields`
+ */
+function getSheetSchema(sheet) {
+  const labelMap = getFieldLabelMap();
+  const lastRow = sheet.getLastRow();
+  const labels = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, 1).getValues() : [];
+  const rows = {};
+  const topicBlocks = {};
+  const unknownLabels = [];
+
+  const assignRow = (target, field, rowNumber, label) => {
+    if (target[field]) {
+      console.warn(`Label "${label}" in row ${rowNumber} duplicates row ${target[field]}, using row ${target[field]}`);
+    } else {
+      target[field] = rowNumber;
+    }
+  };
+
+  labels.forEach((labelRow, i) => {
+    const label = labelRow[0];
+    if (label === '' || label === null) return;
+
+    const rowNumber = i + 2;
+    const normalized = normalizeLabel(label);
+    const field = labelMap.fields[normalized];
+    if (field) {
+      assignRow(rows, field, rowNumber, label);
+      return;
+    }
+
+    const topicField = labelMap.topicFields.find(item => item.pattern.test(normalized));
+    if (topicField) {
+      const number = parseInt(normalized.match(topicField.pattern)[1], 10);
+      topicBlocks[number] = topicBlocks[number] || { number: number, rows: {} };
+      assignRow(topicBlocks[number].rows, topicField.field, rowNumber, label);
+      return;
+    }
+
+    unknownLabels.push({ row: rowNumber, label: label.toString() });
+  });
+
+  return {
+    rows: rows,
+    topics: Object.keys(topicBlocks)
+      .map(number => topicBlocks[number])
+      .sort((a, b) => a.number - b.number),
+    unknownLabels: unknownLabels,
+    missingFields: REQUIRED_FIELDS.filter(field => !rows[field])
+  };
+}
+
+/**
+ * Gets the sheet schema and fails if any required label is missing
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The newsletter sheet
+ * @returns {Object} Sheet schema (see getSheetSchema)
+ */
+function getRequiredSheetSchema(sheet) {
+  const schema = getSheetSchema(sheet);
+
+  if (schema.missingFields.length > 0) {
+    const labels = schema.missingFields.map(field => `"${getFieldLabel(field)}"`).join(', ');
+    throw new Error(`Sheet "${sheet.getName()}" is missing required label(s) in column A: ${labels}. ` +
+      'Add the row(s) or map your own labels in the "Field Labels" section of the Config sheet.');
+  }
+
+  if (schema.unknownLabels.length > 0) {
+    console.warn('Unknown labels in column A:', schema.unknownLabels.map(item => `A${item.row} "${item.label}"`).join(', '));
+  }
+
+  return schema;
+}
+
+/**
+ * Extracts newsletter data from specified column with rich text formatting support
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The active sheet
+ * @param {string} column - Column letter (e.g. B, AA)
+ * @returns {Object} Newsletter data object
+ */
+function getNewsletterDataFromColumn(sheet, column) {
+  const schema = getRequiredSheetSchema(sheet);
+  const cellFor = (rows, field) => rows[field] ? column + rows[field] : null;
+  const value = (rows, field) => cellFor(rows, field) ? sheet.getRange(cellFor(rows, field)).getValue() : '';
+  const contentFormat = getContentFormat(value(schema.rows, 'contentFormat'));
+  const richTextOptions = {
+    preserveFontSize: isTruthyCellValue(getConfigSetting('Preserve Font Sizes', false)),
+    contentFormat: contentFormat || DEFAULT_CONTENT_FORMAT
+  };
+  const formatted = (rows, field) => cellFor(rows, field) ? getFormattedCellValue(sheet, cellFor(rows, field), richTextOptions) : '';
+  const singleLine = (rows, field) => cellFor(rows, field) ? getFormattedCellValueSingleLine(sheet, cellFor(rows, field), richTextOptions) : '';
+
+  const cellsFor = rows => Object.keys(rows).reduce((cells, field) => {
+    cells[field] = column + rows[field];
+    return cells;
+  }, {});
+
+  const data = {
+    column: column,
+    cells: cellsFor(schema.rows),
+    date: sheet.getRange(column + '1').getValue(),
+    title: singleLine(schema.rows, 'title'),
+    subtitle: formatted(schema.rows, 'subtitle'),
+    topics: schema.topics.map(block => ({
+      number: block.number,
+      cells: cellsFor(block.rows),
+      title: singleLine(block.rows, 'title'),
+      url: value(block.rows, 'url'),
+      description: formatted(block.rows, 'description'),
+      buttonText: value(block.rows, 'buttonText'),
+      buttonUrl: value(block.rows, 'buttonUrl'),
+      hidden: isTruthyCellValue(value(block.rows, 'hidden')),
+      layout: value(block.rows, 'layout'),
+      blockType: value(block.rows, 'blockType')
+    })),
+    finalButtonUrl: value(schema.rows, 'finalButtonUrl'),
+    to: value(schema.rows, 'to'),
+    cc: value(schema.rows, 'cc'),
+    bcc: value(schema.rows, 'bcc'),
+    layoutStyle: value(schema.rows, 'layoutStyle'),
+    inlineImages: value(schema.rows, 'inlineImages'),
+    theme: value(schema.rows, 'theme'),
+    contentFormat: value(schema.rows, 'contentFormat'),
+    clickTracking: value(schema.rows, 'clickTracking'),
+    openTracking: value(schema.rows, 'openTracking'),
+    recipientTracking: value(schema.rows, 'recipientTracking'),
+    utmTagging: value(schema.rows, 'utmTagging'),
+    unknownLabels: schema.unknownLabels
+  };
+
+  Object.keys(NEWSLETTER_CONTENT_DEFAULTS).forEach(field => {
+    data[field] = value(schema.rows, field);
+  });
+  
+  // Sanitize HTML content for security
+  if (data.title) data.title = sanitizeHtml(data.title);
+  if (data.subtitle) data.subtitle = sanitizeHtml(data.subtitle);
+  data.topics.forEach(topic => {
+    if (topic.title) topic.title = sanitizeHtml(topic.title);
+    if (topic.description) topic.description = sanitizeHtml(topic.description);
+  });
+  
+  return data;
+}
+
+/**
+ * Legacy function for backward compatibility
+ */
+function getNewsletterData(sheet) {
+  return getNewsletterDataFromColumn(sheet, 'B');
+}
+
+/**
+ * Converts a Google Drive sharing URL into a direct image link suitable for embedding.
+ * Other URLs (direct links, data URLs) are passed through unchanged.
+ * @param {string} url The URL to process.
+ * @returns {string} The processed image URL.
+ */
+function convertDriveImageUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return '';
+  }
+
+  const fileId = getDriveFileId(url);
+
+  if (fileId) {
+    // Construct the direct image view URL
+    const directUrl = `https://drive.google.com/uc?export=view&id=${fileId}`;
+    console.log(`Converted Google Drive link to direct URL: ${directUrl}`);
+    return directUrl;
+  }
+
+  // If it's not a matching Google Drive link, return it as is.
+  // This handles direct image URLs and existing data URIs.
+  return url;
+}
+
+/**
+ * Extracts the file id from a Google Drive link (sharing, open or direct links)
+ * @param {string} url - URL to inspect
+ * @returns {string} Drive file id, or an empty string if the URL is not a Drive link
+ */
+function getDriveFileId(url) {
+  if (!url || typeof url !== 'string') return '';
+
+  const sharingMatch = url.match(/drive\.google\.com\/file\/d\/([a-zA-Z0-9_-]+)/);
+  if (sharingMatch) return sharingMatch[1];
+
+  const idMatch = url.match(/drive\.google\.com\/(?:open|uc)\?(?:[^#]*&)?id=([a-zA-Z0-9_-]+)/);
+  return idMatch ? idMatch[1] : '';
+}
+
+/**
+ * Validates if a string is a properly formatted base64 data URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if valid base64 data URL
+ */
+function isValidBase64ImageUrl(url) {
+  if (!url || typeof url !== 'string') return false;
+  
+  const dataUrlPattern = /^data:image\/(png|jpg|jpeg|gif|webp|svg\+xml);base64,([A-Za-z0-9+/=]+)$/i;
+  return dataUrlPattern.test(url);
+}
+
+/**
+ * Checks whether a newsletter column should be sent with inline (cid:) images.
+ * The column's "Inline Images" row wins; otherwise the Config sheet
+ * "Inline Images" setting is used.
+ * @param {Object} data - Newsletter data
+ * @returns {boolean} True to embed images as inline attachments
+ */
+function useInlineImages(data) {
+  if (data.inlineImages !== undefined && data.inlineImages !== null && data.inlineImages !== '') {
+    return isTruthyCellValue(data.inlineImages);
+  }
+  return isTruthyCellValue(getConfigSetting('Inline Images', false));
+}
+
+/**
+ * Gets the src to use for an image. With an inline image map the image is
+ * fetched, added to the map and referenced by content id; if it cannot be
+ * fetched the linked URL is used instead.
+ * @param {string} url - Image URL (Drive link, https URL or data URL)
+ * @param {Object} [inlineImages] - Map of content id -> blob to add to
+ * @returns {string} Image src
+ */
+function getImageSrc(url, inlineImages) {
+  if (!url || typeof url !== 'string') return '';
+  if (!inlineImages) return sanitizeUrl(convertDriveImageUrl(url), 'image');
+
+  try {
+    const contentId = getInlineImageId(url);
+    if (!inlineImages[contentId]) {
+      inlineImages[contentId] = fetchImageBlob(url).setName(contentId);
+    }
+    return 'cid:' + contentId;
+  } catch (error) {
+    console.warn(`Could not embed image ${url.substring(0, 80)}, linking to it instead:`, error.message);
+    return sanitizeUrl(convertDriveImageUrl(url), 'image');
+  }
+}
+
+/**
+ * Builds a stable content id for an inline image so repeated images are attached once
+ * @param {string} url - Image URL
+ * @returns {string} Content id
+ */
+function getInlineImageId(url) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, url, Utilities.Charset.UTF_8);
+  return 'img' + digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('').substring(0, 16);
+}
+
+/**
+ * Fetches an image as a blob from a Google Drive link, an https URL or a base64 data URL
+ * @param {string} url - Image URL
+ * @returns {GoogleAppsScript.Base.Blob} Image blob
+ */
+function fetchImageBlob(url) {
+  const dataMatch = url.match(/^data:(image\/[a-z0-9.+-]+);base64,(.+)$/i);
+  if (dataMatch) {
+    if (!isValidBase64ImageUrl(url)) {
+      throw new Error('Invalid base64 image data URL');
+    }
+    return Utilities.newBlob(Utilities.base64Decode(dataMatch[2]), dataMatch[1].toLowerCase());
+  }
+
+  const fileId = getDriveFileId(url);
+  if (fileId) {
+    return DriveApp.getFileById(fileId).getBlob();
+  }
+
+  if (!/^https:\/\//i.test(url)) {
+    throw new Error('Only Google Drive links, https URLs and data URLs can be embedded');
+  }
+
+  const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true, followRedirects: true });
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`HTTP ${response.getResponseCode()}`);
+  }
+
+  const blob = response.getBlob();
+  if (!/^image\//i.test(blob.getContentType() || '')) {
+    throw new Error(`Not an image (${blob.getContentType()})`);
+  }
+  return blob;
+}
+
+/**
+ * Built-in theme (the Orono Technology palette). Config sheet themes start from
+ * these values, so a theme row only needs the cells it changes.
+ */
+const DEFAULT_THEME = {
+  name: 'Default',
+  primaryColor: '#2d3f89',
+  secondaryColor: '#4356a0',
+  accentColor: '#ad2122',
+  accentSecondaryColor: '#c13435',
+  headingColor: '#1d2a5d',
+  textColor: '#666666',
+  backgroundColor: '#f3f3f3',
+  contentBackgroundColor: '#ffffff',
+  panelColor: '#eaecf5',
+  headerTextColor: '#ffffff',
+  headerSubtextColor: '#eaecf5',
+  footerColor: '#1d2a5d',
+  footerTextColor: '#eaecf5',
+  footerAccentColor: '#4356a0',
+  headingFont: 'Lexend, Arial, sans-serif',
+  bodyFont: 'Roboto, Arial, sans-serif',
+  fontImportUrl: 'https://fonts.googleapis.com/css2?family=Lexend:wght@400;600;700&family=Roboto:wght@400;500;700&display=swap',
+  buttonStyle: 'gradient',
+  buttonTextColor: '#ffffff',
+  buttonRadius: '6px',
+  buttonShadow: '0 4px 8px rgba(0, 0, 0, 0.25)',
+  linkColor: '#2d3f89',
+  linkDecoration: 'underline',
+  darkLinkColor: '#9fb0f0',
+  darkBackgroundColor: '#121212',
+  darkContentBackgroundColor: '#1e1e1e',
+  darkPanelColor: '#2a2f45',
+  darkTextColor: '#d0d3e0',
+  darkHeadingColor: '#ffffff'
+};
+
+/**
+ * Reads the Config sheet "Themes" section. The first row holds the property
+ * names (matched like field labels, so "Primary Color", "Primary" and
+ * "primaryColor" all work) and each following row is one theme.
+ * @returns {Object} Map of normalized theme name -> theme
+ */
+function getThemes() {
+  const themes = {};
+  themes[normalizeLabel(DEFAULT_THEME.name)] = DEFAULT_THEME;
+
+  try {
+    const rows = getConfigSection('Themes');
+    if (rows.length < 2) return themes;
+
+    const properties = {};
+    Object.keys(DEFAULT_THEME).forEach(key => {
+      properties[normalizeLabel(key)] = key;
+      properties[normalizeLabel(key.replace(/Color$/, ''))] = key;
+    });
+    const header = rows[0].map(cell => properties[normalizeLabel(cell)] || null);
+
+    rows.slice(1).forEach(row => {
+      const theme = Object.assign({}, DEFAULT_THEME);
+      header.forEach((key, index) => {
+        const value = row[index] === null || row[index] === undefined ? '' : row[index].toString().trim();
+        if (key === 'fontImportUrl') {
+          theme[key] = sanitizeFontImportUrl(value);
+          if (value && !theme[key]) {
+            console.warn(`Ignoring theme font import URL "${value}": it is not a plain https:// URL`);
+          }
+        } else if (key && value) {
+          // Theme values end up inside style attributes
+          theme[key] = value.replace(/[<>"{};]/g, '');
+        }
+      });
+      if (theme.name) {
+        themes[normalizeLabel(theme.name)] = theme;
+      }
+    });
+  } catch (e) {
+    console.error('Error reading themes from Config sheet:', e);
+  }
+
+  return themes;
+}
+
+/**
+ * Checks a theme's font import URL, which ends up inside @import url('...').
+ * Quotes, parentheses, backslashes and whitespace could end the url() early,
+ * so URLs containing them are rejected.
+ * @param {string} url - Font stylesheet URL
+ * @returns {string} The URL, or '' if it's not a safe https:// URL
+ */
+function sanitizeFontImportUrl(url) {
+  const value = (url || '').toString().trim();
+  if (!/^https:\/\//i.test(value) || /['"()\\\s<>{}]/.test(value)) return '';
+  return sanitizeUrl(value);
+}
+
+/**
+ * Gets a theme by name, falling back to the "Default Theme" setting and then DEFAULT_THEME
+ * @param {string} [name] - Theme name from the column's Theme row
+ * @returns {Object} Theme
+ */
+function getTheme(name) {
+  const themes = getThemes();
+  const themeName = (name || getConfigSetting('Default Theme', '')).toString().trim();
+  if (!themeName) return DEFAULT_THEME;
+
+  const theme = themes[normalizeLabel(themeName)];
+  if (!theme) {
+    console.warn(`Theme "${themeName}" is not defined in the Config sheet, using the default theme`);
+    return DEFAULT_THEME;
+  }
+  return theme;
+}
+
+/**
+ * Converts a #rgb or #rrggbb color to an rgba() value
+ * @param {string} hex - Hex color
+ * @param {number} alpha - Opacity from 0 to 1
+ * @returns {string} rgba() color (black if the color is not hex)
+ */
+function hexToRgba(hex, alpha) {
+  let digits = (hex || '').toString().trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(digits)) {
+    digits = digits.split('').map(digit => digit + digit).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(digits)) {
+    return `rgba(0, 0, 0, ${alpha})`;
+  }
+  const value = parseInt(digits, 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Resolves the call-to-action and footer content for a newsletter: the column's
+ * row wins, then the Config sheet setting, then NEWSLETTER_CONTENT_DEFAULTS
+ * @param {Object} data - Newsletter data
+ * @returns {Object} Content with `hideCta` as a boolean and `ctaButtons` /
+ *   `socialLinks` parsed into link lists
+ */
+function getNewsletterContent(data) {
+  const settings = getConfigSettings();
+  const isBlank = value => value === undefined || value === null || value === '';
+  const content = {};
+
+  Object.keys(NEWSLETTER_CONTENT_DEFAULTS).forEach(field => {
+    const setting = Object.keys(DEFAULT_FIELD_LABELS)
+      .filter(label => DEFAULT_FIELD_LABELS[label] === field)
+      .map(label => settings[normalizeLabel(label)])
+      .find(value => !isBlank(value));
+
+    if (!isBlank(data[field])) {
+      content[field] = data[field];
+    } else {
+      content[field] = isBlank(setting) ? NEWSLETTER_CONTENT_DEFAULTS[field] : setting;
+    }
+  });
+
+  content.hideCta = isTruthyCellValue(content.hideCta);
+  content.ctaButtons = parseLinkLines(content.ctaButtons);
+  content.socialLinks = parseLinkLines(content.socialLinks);
+  return content;
+}
+
+/**
+ * Parses "Text | URL" lines (an optional third part holds an icon URL)
+ * @param {string} value - Cell or setting value, one link per line
+ * @returns {Array<Object>} Links as { line, text, url, icon }; incomplete lines
+ *   are kept so validation can point at them
+ */
+function parseLinkLines(value) {
+  if (!value) return [];
+
+  return value.toString().split(/\r?\n/)
+    .map((line, index) => {
+      const parts = line.split('|').map(part => part.trim());
+      return { line: index + 1, text: parts[0] || '', url: parts[1] || '', icon: parts[2] || '' };
+    })
+    .filter(link => link.text || link.url || link.icon);
+}
+
+/**
+ * Escapes multi-line footer text for HTML, keeping its line breaks
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+function formatFooterText(text) {
+  return escapeHtml(text).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Lists the call-to-action buttons: the final button (when it has a URL)
+ * followed by any complete extra CTA buttons
+ * @param {Object} data - Newsletter data
+ * @param {Object} content - Content from getNewsletterContent
+ * @returns {Array<Object>} Buttons as { text, url }
+ */
+function getCtaButtons(data, content) {
+  const buttons = data.finalButtonUrl ? [{ text: content.finalButtonText.toString(), url: data.finalButtonUrl }] : [];
+  return buttons.concat(content.ctaButtons.filter(button => button.text && button.url));
+}
+
+/**
+ * Creates HTML for a styled button with a consistent drop shadow and fallbacks.
+ * The theme's button style decides between a gradient, a solid or an outline button.
+ * Desktop Outlook ignores gradients, radius and shadows on links, so it gets a
+ * VML roundrect inside an MSO conditional instead of the styled <a>.
+ * @param {string} text The button text (plain text, escaped here).
+ * @param {string} url The button URL (checked with sanitizeUrl and escaped here).
+ * @param {Object} theme The newsletter theme (see DEFAULT_THEME).
+ * @param {Object} options Button colors and sizing.
+ * @param {string} options.color The main button color, also the fallback for older clients.
+ * @param {string} options.secondaryColor The color the gradient fades to.
+ * @param {string} options.padding The padding for the button (e.g., '10px 20px').
+ * @param {string} options.fontSize The font size for the button text (e.g., '14pt').
+ * @returns {string} The complete HTML for the button (VML for Outlook, <a> for everything else),
+ *   or '' if the URL is not allowed by sanitizeUrl.
+ */
+function createButtonHTML(text, url, theme, options) {
+  const href = sanitizeUrl(url);
+  if (!href) {
+    console.warn(`Leaving out button "${stripHtmlTags(text || '')}": unsupported URL ${(url || '').toString().substring(0, 80)}`);
+    return '';
+  }
+
+  const buttonStyle = (theme.buttonStyle || 'gradient').toString().trim().toLowerCase();
+  const colors = buttonStyle === 'outline' ? [
+    'background-color: transparent;',
+    `border: 2px solid ${options.color};`,
+    `color: ${options.color};`
+  ] : [
+    `background-color: ${options.color};`,
+    buttonStyle === 'solid' ? '' : `background: linear-gradient(135deg, ${options.color} 0%, ${options.secondaryColor} 100%);`,
+    `color: ${theme.buttonTextColor};`
+  ];
+
+  const style = colors.concat([
+    'text-decoration: none;',
+    `padding: ${options.padding};`,
+    `border-radius: ${theme.buttonRadius};`,
+    `font-size: ${options.fontSize};`,
+    'font-weight: 600;',
+    `font-family: ${theme.headingFont};`,
+    'display: inline-block;',
+    buttonStyle === 'outline' ? '' : `box-shadow: ${theme.buttonShadow};`
+  ]).filter(Boolean).join(' ');
+
+  const size = getButtonSize(text, options.padding, options.fontSize);
+  const radius = parseInt(theme.buttonRadius, 10) || 0;
+  const arcSize = Math.min(50, Math.round(radius / size.height * 100));
+  const fill = buttonStyle === 'outline'
+    ? `strokecolor="${options.color}" strokeweight="2px" filled="f"`
+    : `stroke="f" fillcolor="${options.color}"`;
+
+  return `<!--[if mso]>
+<v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${escapeAttribute(href)}" style="height: ${size.height}px; v-text-anchor: middle; width: ${size.width}px;" arcsize="${arcSize}%" ${fill}>
+<w:anchorlock/>
+<center style="color: ${buttonStyle === 'outline' ? options.color : theme.buttonTextColor}; font-family: Arial, sans-serif; font-size: ${options.fontSize}; font-weight: bold;">${escapeHtml(text)}</center>
+</v:roundrect>
+<![endif]--><!--[if !mso]><!-- --><a href="${escapeAttribute(href)}" style="${style}">${escapeHtml(text)}</a><!--<![endif]-->`;
+}
+
+/**
+ * Estimates the pixel size of a button for its Outlook VML version, which cannot
+ * size itself to the text. Long labels wrap onto extra lines instead of
+ * growing past the width of the content area.
+ * @param {string} text - Button text (may contain entities)
+ * @param {string} padding - CSS padding, e.g. '10px 20px'
+ * @param {string} fontSize - CSS font size in pt or px, e.g. '11pt'
+ * @returns {Object} `width` and `height` in pixels
+ */
+function getButtonSize(text, padding, fontSize) {
+  const maxWidth = 560;
+  const fontPx = /pt$/i.test(fontSize) ? parseFloat(fontSize) * 4 / 3 : parseFloat(fontSize) || 16;
+  const paddings = (padding || '').toString().split(/\s+/).map(value => parseFloat(value) || 0);
+  const paddingY = paddings[0] || 0;
+  const paddingX = paddings.length > 1 ? paddings[1] : paddingY;
+
+  // Average glyph width of a bold sans-serif face is about 0.6em
+  const textWidth = htmlToPlainText(text).length * fontPx * 0.6;
+  const lines = Math.max(1, Math.ceil(textWidth / (maxWidth - paddingX * 2)));
+
+  return {
+    width: Math.ceil(Math.min(maxWidth, textWidth + paddingX * 2)),
+    height: Math.ceil(lines * fontPx * 1.3 + paddingY * 2)
+  };
+}
+
+/**
+ * Gets the topics and section blocks that will appear in the email. Topics need
+ * a title; the image is optional. Hidden blocks are left out on purpose, and
+ * topics with content but no title are skipped with a warning. Section blocks
+ * only need the content their block type uses.
+ * @param {Object} data - Newsletter data
+ * @returns {Array<Object>} Topics and blocks to render, in sheet order
+ */
+function getRenderableTopics(data) {
+  return (data.topics || []).filter((topic, index) => {
+    const number = topic.number || index + 1;
+
+    if (topic.hidden) {
+      console.log(`Topic ${number} is marked hidden and will not be rendered`);
+      return false;
+    }
+
+    const blockType = getTopicBlockType(topic);
+    if (blockType !== 'topic') {
+      return SECTION_BLOCKS[blockType].isRenderable(topic);
+    }
+
+    if (!topic.title) {
+      if (topic.url || topic.description || topic.buttonText || topic.buttonUrl) {
+        console.warn(`Topic ${number} has content but no title and will not be rendered`);
+      }
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Gets the block type of a topic block from its "Topic N Block" row
+ * @param {Object} topic - Topic object
+ * @returns {string} A SECTION_BLOCKS key, or 'topic' for ordinary (and unknown) blocks
+ */
+function getTopicBlockType(topic) {
+  const blockType = resolveSectionBlockType(topic.blockType);
+  return blockType || 'topic';
+}
+
+/**
+ * Resolves a block type name, including aliases such as "Letter" or "Callout"
+ * @param {string} value - Block type as typed in the sheet
+ * @returns {string|null} SECTION_BLOCKS key, 'topic' for blank or "Topic",
+ *   or null if the name is unknown
+ */
+function resolveSectionBlockType(value) {
+  const name = normalizeLabel(value);
+  if (!name || name === 'topic') return 'topic';
+  const key = SECTION_BLOCK_ALIASES[name] || name;
+  return SECTION_BLOCKS[key] ? key : null;
+}
+
+/**
+ * Non-topic blocks that can be placed between topics with a "Topic N Block" row.
+ * They reuse the topic rows: Title and Description hold the block's text.
+ */
+const SECTION_BLOCKS = {
+  intro: {
+    displayName: 'Intro',
+    description: 'A text-only intro or letter (Title optional, Description is the text)',
+    isRenderable: topic => !!(topic.title || stripHtmlTags(topic.description || '').trim()),
+    render: generateIntroBlockHTML
+  },
+  section: {
+    displayName: 'Section',
+    description: 'A divider with a section heading (Title, optional Description as a subheading)',
+    isRenderable: topic => !!topic.title,
+    render: generateSectionBlockHTML
+  },
+  quote: {
+    displayName: 'Quote',
+    description: 'A quote or callout box (Description is the quote, Title the attribution)',
+    isRenderable: topic => !!stripHtmlTags(topic.description || '').trim(),
+    render: generateQuoteBlockHTML
+  },
+  spacer: {
+    displayName: 'Spacer',
+    description: 'Empty space (Description may give the height in pixels)',
+    isRenderable: () => true,
+    render: generateSpacerBlockHTML
+  }
+};
+
+/**
+ * Other names accepted for section block types
+ */
+const SECTION_BLOCK_ALIASES = {
+  letter: 'intro',
+  text: 'intro',
+  divider: 'section',
+  heading: 'section',
+  callout: 'quote'
+};
+
+/**
+ * Topic layouts by name (normalized like field labels). Each layout has a
+ * display name for the picker, the topic counts it is designed for and a
+ * render(topics, theme) function returning the topic HTML. Add more with
+ * registerNewsletterLayout.
+ */
+const NEWSLETTER_LAYOUTS = {
+  offset: {
+    displayName: 'Offset',
+    description: 'Image and text side by side, alternating sides',
+    minTopics: 1,
+    maxTopics: null,
+    render: generateOffsetLayout
+  },
+  stacked: {
+    displayName: 'Stacked',
+    description: 'Full-width topics, one after another',
+    minTopics: 1,
+    maxTopics: null,
+    render: generateStackedLayout
+  },
+  hero: {
+    displayName: 'Hero',
+    description: 'A large first topic followed by a two-column grid',
+    minTopics: 1,
+    maxTopics: null,
+    render: generateHeroLayout
+  },
+  grid: {
+    displayName: 'Grid',
+    description: 'Two columns of equal cards',
+    minTopics: 2,
+    maxTopics: null,
+    render: generateGridLayout
+  },
+  compact: {
+    displayName: 'Compact',
+    description: 'Digest list with a small thumbnail and a one-line teaser',
+    minTopics: 3,
+    maxTopics: 20,
+    render: generateCompactLayout
+  }
+};
+
+/**
+ * Layout used when a column has no Layout Style or an unknown one
+ */
+const DEFAULT_LAYOUT = 'offset';
+
+/**
+ * Adds a layout to NEWSLETTER_LAYOUTS (or replaces one with the same name)
+ * @param {string} name - Layout name as typed in the Layout Style row
+ * @param {Object} layout - Layout with `displayName`, `render` and optional
+ *   `description`, `minTopics` and `maxTopics`
+ */
+function registerNewsletterLayout(name, layout) {
+  if (!layout || typeof layout.render !== 'function') {
+    throw new Error(`Layout "${name}" needs a render function`);
+  }
+  NEWSLETTER_LAYOUTS[normalizeLabel(name)] = Object.assign({ displayName: name, description: '', minTopics: 1, maxTopics: null }, layout);
+}
+
+/**
+ * Looks up a layout by name
+ * @param {string} [layoutStyle] - Layout Style value; blank means DEFAULT_LAYOUT
+ * @returns {Object|null} Layout with its normalized `name`, or null if unknown
+ */
+function getNewsletterLayout(layoutStyle) {
+  const name = normalizeLabel(layoutStyle) || DEFAULT_LAYOUT;
+  const layout = NEWSLETTER_LAYOUTS[name];
+  return layout ? Object.assign({ name: name }, layout) : null;
+}
+
+/**
+ * Lists the registered layouts for the picker's layout dropdown
+ * @returns {Array<Object>} Layouts as { name, displayName, description }
+ */
+function getNewsletterLayoutOptions() {
+  return Object.keys(NEWSLETTER_LAYOUTS).map(name => ({
+    name: name,
+    displayName: NEWSLETTER_LAYOUTS[name].displayName,
+    description: NEWSLETTER_LAYOUTS[name].description || ''
+  }));
+}
+
+/**
+ * Creates the complete HTML newsletter
+ * @param {Object} data - Newsletter data
+ * @param {Object} [options] - Render options
+ * @param {Object} [options.inlineImages] - When given, images are fetched and
+ *   added to this map (content id -> blob) and referenced as cid: URLs
+ * @param {Object} [options.theme] - Theme to use instead of the column's Theme row
+ * @param {Object} [options.content] - getNewsletterContent(data), when rendering the
+ *   same issue many times
+ * @param {boolean} [options.forceDarkMode] - Apply the dark mode styles unconditionally
+ *   (for previewing dark mode in a browser)
+ * @param {Object} [options.tracking] - Tracking settings from getEmailTracking; topic buttons,
+ *   links in descriptions and call-to-action buttons are rewritten through the click redirect
+ *   and the open tracking image is added to the footer
+ *   (links get their UTM parameters, see getUtmSettings, before they are tracked)
+ * @returns {string} Complete HTML newsletter
+ */
+function createNewsletterHTML(data, options = {}) {
+  const theme = options.theme || getTheme(data.theme);
+  const content = options.content || getNewsletterContent(data);
+  const imageSrc = url => getImageSrc(url, options.inlineImages);
+  const tracking = options.tracking || null;
+  const openTrackingUrl = getOpenTrackingUrl(tracking);
+  const fontImportUrl = sanitizeFontImportUrl(theme.fontImportUrl);
+  // UTM parameters go on first so the click redirect sends readers to the tagged URL
+  const utm = getUtmSettings(data);
+  const title = trackContentLinks(tagContentLinks(data.title || '', utm), 'title', tracking);
+  const subtitle = trackContentLinks(tagContentLinks(data.subtitle || '', utm), 'subtitle', tracking);
+  const topics = getRenderableTopics(data).map(topic => ({
+    number: topic.number,
+    title: topic.title,
+    url: imageSrc(topic.url),
+    description: styleContentBlocks(styleContentHeadings(styleContentLinks(trackContentLinks(tagContentLinks(topic.description || '', utm), `topic${topic.number}`, tracking), theme), theme), theme),
+    buttonText: topic.buttonText,
+    buttonUrl: getTrackedUrl(addUtmParameters(topic.buttonUrl, utm), `topic${topic.number}-button`, tracking),
+    layout: topic.layout,
+    blockType: getTopicBlockType(topic)
+  }));
+
+  let layout = getNewsletterLayout(data.layoutStyle);
+  if (!layout) {
+    console.warn(`Layout "${data.layoutStyle}" is not registered, using ${NEWSLETTER_LAYOUTS[DEFAULT_LAYOUT].displayName}`);
+    layout = getNewsletterLayout(DEFAULT_LAYOUT);
+  }
+  const topicHTML = generateTopicBlocksHTML(topics, layout, theme);
+
+  // The final button (row 19) is tracked as "cta", extra CTA buttons as "cta-extra1", "cta-extra2", ...
+  const extraCtaOffset = data.finalButtonUrl ? 1 : 0;
+  const ctaButtons = getCtaButtons(data, content).map((button, index) => Object.assign({}, button, {
+    url: getTrackedUrl(addUtmParameters(button.url, utm), index < extraCtaOffset ? 'cta' : `cta-extra${index - extraCtaOffset + 1}`, tracking)
+  }));
+  // Same test as validateNewsletterData, so lines it warns about are skipped
+  const socialLinks = content.socialLinks.filter(link => link.text && sanitizeUrl(link.url));
+  const footerLineStyle = `color: ${theme.footerTextColor}; font-size: 9pt; font-weight: 400; margin: 10px 0 0 0; line-height: 1.5; font-family: ${theme.bodyFont};`;
+
+  // Get logos from Config sheet A2:D2
+  let mainLogo = '';
+  let secondaryLogo = '';
+  let mainLogoDark = '';
+  let secondaryLogoDark = '';
+
+  try {
+    const logoRow = getConfigValues()[1] || [];
+    const logos = [0, 1, 2, 3].map(index => logoRow[index] ? imageSrc(logoRow[index].toString()) : '');
+    mainLogo = logos[0];
+    secondaryLogo = logos[1];
+    // Dark mode versions are only used alongside a light one
+    mainLogoDark = mainLogo ? logos[2] : '';
+    secondaryLogoDark = secondaryLogo ? logos[3] : '';
+  } catch (e) {
+    console.error('Error retrieving logos from Config sheet:', e);
+  }
+
+  const darkModeCSS = getDarkModeCSS(theme);
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en" xmlns="http://www.w3.org/1999/xhtml" xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="X-UA-Compatible" content="IE=edge">
+    <meta name="color-scheme" content="light dark">
+    <meta name="supported-color-schemes" content="light dark">
+    <title>${escapeHtml(htmlToPlainText(data.title || '')) || 'Newsletter'}</title>
+    <!--[if mso]>
+    <noscript>
+        <xml>
+            <o:OfficeDocumentSettings>
+                <o:AllowPNG/>
+                <o:PixelsPerInch>96</o:PixelsPerInch>
+            </o:OfficeDocumentSettings>
+        </xml>
+    </noscript>
+    <style>
+        table { border-collapse: collapse; mso-table-lspace: 0pt; mso-table-rspace: 0pt; }
+        td, th, div, p, a, h1, h2, h3 { font-family: Arial, sans-serif; }
+    </style>
+    <![endif]-->
+    <style>
+        ${fontImportUrl ? `@import url('${fontImportUrl}');` : ''}
+
+        :root {
+            color-scheme: light dark;
+            supported-color-schemes: light dark;
+        }
+
+        /* Gmail-compatible base styles */
+        body {
+            margin: 0 !important;
+            padding: 0 !important;
+            font-family: ${theme.bodyFont} !important;
+            font-size: 11pt !important;
+            color: ${theme.textColor} !important;
+        }
+
+        h1 { font-family: ${theme.headingFont} !important; }
+        h2 { font-family: ${theme.headingFont} !important; }
+        h3 { font-family: ${theme.headingFont} !important; }
+
+        /* Mobile fallback styles (Gmail may strip these, but provide for email clients that support them) */
+        @media screen and (max-width: 780px) {
+            .container {
+                width: 100% !important;
+            }
+            .content-padding {
+                padding: 20px !important;
+            }
+            .header-padding {
+                padding: 30px 20px !important;
+            }
+            .h1 {
+                font-size: 24pt !important;
+            }
+            .h2 {
+                font-size: 18pt !important;
+            }
+            .h3 {
+                font-size: 14pt !important;
+            }
+            .p {
+                font-size: 10pt !important;
+            }
+            .responsive-image img {
+                width: 100% !important;
+                height: auto !important;
+            }
+            .responsive-cell {
+                display: block !important;
+                width: 100% !important;
+                padding: 0 0 20px 0 !important;
+            }
+            .responsive-cell-padding {
+                 padding: 0 !important;
+            }
+        }
+
+        /* Dark mode (Apple Mail, iOS Mail, Outlook apps) */
+        @media (prefers-color-scheme: dark) {
+${darkModeCSS}
+        }
+
+        /* Dark mode (Outlook.com) */
+${getDarkModeCSS(theme, '[data-ogsc]', '[data-ogsb]')}
+${options.forceDarkMode ? `
+        /* Dark mode preview */
+${darkModeCSS}` : ''}
+    </style>
+</head>
+<body class="dark-text dark-body" style="margin: 0; padding: 0; background-color: ${theme.backgroundColor}; font-family: ${theme.bodyFont}; font-size: 11pt; color: ${theme.textColor};">
+    <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" class="dark-body" style="background-color: ${theme.backgroundColor}; padding: 20px 0;">
+        <tr>
+            <td align="center">
+                <!--[if mso]>
+                <table width="780" align="center" border="0" cellpadding="0" cellspacing="0" role="presentation"><tr><td width="780">
+                <![endif]-->
+                <table width="780" align="center" border="0" cellpadding="0" cellspacing="0" role="presentation" style="width: 100%; max-width: 780px;">
+                    <tr>
+                        <td style="padding: 0;">
+                            <table width="100%" border="0" cellpadding="0" cellspacing="0" role="presentation" class="container dark-container" style="background-color: ${theme.contentBackgroundColor}; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 12px ${hexToRgba(theme.primaryColor, 0.1)};">
+
+                    <!-- Header -->
+                    <tr>
+                        <td class="header-padding" style="background-color: ${theme.primaryColor}; background: linear-gradient(135deg, ${theme.primaryColor} 0%, ${theme.secondaryColor} 100%); padding: 40px 30px; text-align: center;">
+                            ${mainLogo ? `<div style="margin-bottom: 20px;"><img src="${escapeAttribute(mainLogo)}" alt="${escapeAttribute(content.organizationName)} Logo"${mainLogoDark ? ' class="light-img"' : ''} style="max-width: 200px; height: auto; display: inline-block;">${mainLogoDark ? `<!--[if !mso]><!-- --><img src="${escapeAttribute(mainLogoDark)}" alt="${escapeAttribute(content.organizationName)} Logo" class="dark-img" style="display: none; max-height: 0; overflow: hidden; max-width: 200px; height: auto;"><!--<![endif]-->` : ''}</div>` : ''}
+                            ${data.date ? `<div style="color: ${theme.headerSubtextColor}; font-size: 11pt; font-weight: 400; margin-bottom: 10px; text-transform: uppercase; letter-spacing: 1px; font-family: ${theme.bodyFont};">${Utilities.formatDate(new Date(data.date), Session.getScriptTimeZone(), 'MMMM yyyy')}</div>` : ''}
+                            ${title ? `<h1 class="h1" style="font-family: ${theme.headingFont}; color: ${theme.headerTextColor}; font-size: 32pt; font-weight: 700; margin: 0 0 10px 0; line-height: 1.2;">${styleContentLinks(title, theme, theme.headerTextColor)}</h1>` : ''}
+                            ${subtitle ? `<p class="p" style="color: ${theme.headerSubtextColor}; font-size: 14pt; font-weight: 400; margin: 0; line-height: 1.4; font-family: ${theme.bodyFont};">${styleContentHeadings(styleContentLinks(subtitle, theme, theme.headerSubtextColor), theme, theme.headerTextColor)}</p>` : ''}
+                        </td>
+                    </tr>
+                    
+                    <!-- Content -->
+                    <tr>
+                        <td class="content-padding" style="padding: 40px 30px;">
+                            
+                            ${topicHTML}
+                            
+                            ${!content.hideCta && ctaButtons.length > 0 ? `
+                            <!-- Call to Action -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin-top: 40px;">
+                                <tr>
+                                    <td align="center" class="dark-panel" style="background: linear-gradient(135deg, ${theme.panelColor} 0%, ${theme.backgroundColor} 100%); padding: 30px; border-radius: 8px;">
+                                        <h3 class="h3" style="font-family: ${theme.headingFont}; color: ${theme.primaryColor}; font-size: 18pt; font-weight: 600; margin: 0 0 20px 0;">${escapeHtml(content.ctaHeading)}</h3>
+                                        ${ctaButtons.map((button, index) => (index > 0 ? '<div style="height: 12px; line-height: 12px; font-size: 0;">&nbsp;</div>' : '') +
+                                          createButtonHTML(button.text, button.url, theme, { color: theme.accentColor, secondaryColor: theme.accentSecondaryColor, padding: '14px 32px', fontSize: '14pt' })).join('\n                                        ')}
+                                    </td>
+                                </tr>
+                            </table>
+                            ` : ''}
+                            
+                        </td>
+                    </tr>
+                    
+                    <!-- Footer -->
+                    <tr>
+                        <td style="background-color: ${theme.footerColor}; padding: 25px 30px; text-align: right; position: relative;">
+                            ${secondaryLogo ? `<img src="${escapeAttribute(secondaryLogo)}" alt="${escapeAttribute(content.organizationName)} Icon"${secondaryLogoDark ? ' class="light-img"' : ''} style="max-width: 60px; height: auto; margin-bottom: 15px;">` : ''}${secondaryLogoDark ? `<!--[if !mso]><!-- --><img src="${escapeAttribute(secondaryLogoDark)}" alt="${escapeAttribute(content.organizationName)} Icon" class="dark-img" style="display: none; max-height: 0; overflow: hidden; max-width: 60px; height: auto; margin-bottom: 15px;"><!--<![endif]-->` : ''}
+                            <p class="p" style="color: ${theme.footerTextColor}; font-size: 10pt; font-weight: 400; margin: 0; line-height: 1.5; font-family: ${theme.bodyFont};">
+                                 ${new Date().getFullYear()} ${escapeHtml(content.organizationName)}${content.footerTagline ? `<br>
+                                <span style="color: ${theme.footerAccentColor};">${escapeHtml(content.footerTagline)}</span>` : ''}
+                            </p>
+                            ${content.contactInfo ? `<p class="p" style="${footerLineStyle}">${formatFooterText(content.contactInfo)}</p>` : ''}
+                            ${socialLinks.length > 0 ? `
+                            <p style="${footerLineStyle}">
+                                ${socialLinks.map(link => `<a href="${escapeAttribute(sanitizeUrl(link.url))}" style="color: ${theme.footerTextColor}; text-decoration: none; display: inline-block; margin-left: 10px;">${link.icon ?
+                                  `<img src="${escapeAttribute(imageSrc(link.icon))}" alt="${escapeAttribute(link.text)}" width="24" height="24" style="width: 24px; height: 24px; border: 0; display: inline-block; vertical-align: middle;">` :
+                                  escapeHtml(link.text)}</a>`).join('\n                                ')}
+                            </p>` : ''}
+                            ${content.mailingAddress ? `<p class="p" style="${footerLineStyle}">${formatFooterText(content.mailingAddress)}</p>` : ''}
+                            ${content.receivingNote ? `<p style="${footerLineStyle} font-size: 8pt; color: ${theme.footerAccentColor};">${formatFooterText(content.receivingNote)}</p>` : ''}
+                            ${openTrackingUrl ? `<img src="${escapeAttribute(openTrackingUrl)}" width="1" height="1" alt="" style="display: block; width: 1px; height: 1px; border: 0; margin: 0; padding: 0;">` : ''}
+                        </td>
+                    </tr>
+                    
+                </table>
+                        </td>
+                    </tr>
+                </table>
+                <!--[if mso]>
+                </td></tr></table>
+                <![endif]-->
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+  
+  return html;
+}
+
+/**
+ * Builds the dark mode rules for the dark-* classes the renderers put on
+ * backgrounds, panels, text and headings, and for swapping light/dark logos
+ * @param {Object} theme - Newsletter theme
+ * @param {string} [textPrefix] - Selector prefix for color rules (Outlook.com uses [data-ogsc])
+ * @param {string} [backgroundPrefix] - Selector prefix for background rules (Outlook.com uses [data-ogsb])
+ * @returns {string} CSS rules
+ */
+function getDarkModeCSS(theme, textPrefix = '', backgroundPrefix = '') {
+  const text = selector => (textPrefix ? textPrefix + ' ' : '') + selector;
+  const background = selector => (backgroundPrefix ? backgroundPrefix + ' ' : '') + selector;
+
+  return [
+    `${background('.dark-body')} { background-color: ${theme.darkBackgroundColor} !important; }`,
+    `${background('.dark-container')} { background-color: ${theme.darkContentBackgroundColor} !important; }`,
+    `${background('.dark-panel')} { background: ${theme.darkPanelColor} !important; background-color: ${theme.darkPanelColor} !important; }`,
+    `${text('.dark-text')} { color: ${theme.darkTextColor} !important; }`,
+    `${text('.dark-heading')} { color: ${theme.darkHeadingColor} !important; }`,
+    `${text('.dark-link')} { color: ${theme.darkLinkColor} !important; }`,
+    `${text('.dark-quote')} { border-left-color: ${theme.darkHeadingColor} !important; }`,
+    `${text('.light-img')} { display: none !important; }`,
+    `${text('.dark-img')} { display: inline-block !important; max-height: none !important; overflow: visible !important; }`
+  ].map(rule => '            ' + rule).join('\n');
+}
+
+/**
+ * Creates the plain-text alternative of the newsletter from the same data as
+ * createNewsletterHTML, for text-only mail clients
+ * @param {Object} data - Newsletter data
+ * @returns {string} Plain-text newsletter
+ */
+function createNewsletterPlainText(data) {
+  const content = getNewsletterContent(data);
+  const utm = getUtmSettings(data);
+  const sections = [];
+
+  const header = [];
+  // Link URLs in the title keep their case; only the words are capitalized
+  if (data.title) header.push(htmlToPlainText(tagContentLinks(data.title, utm))
+    .split(/(https?:\/\/[^\s)]+)/).map((part, index) => index % 2 ? part : part.toUpperCase()).join(''));
+  if (data.subtitle) header.push(htmlToPlainText(tagContentLinks(data.subtitle, utm)));
+  if (data.date) header.push(Utilities.formatDate(new Date(data.date), Session.getScriptTimeZone(), 'MMMM yyyy'));
+  if (header.length > 0) sections.push(header.join('\n'));
+
+  const topics = getRenderableTopics(data).map(topic => Object.assign({}, topic, {
+    description: tagContentLinks(topic.description, utm)
+  }));
+
+  topics.forEach(topic => {
+    const blockType = getTopicBlockType(topic);
+    if (blockType !== 'topic') {
+      const blockText = createSectionBlockPlainText(topic, blockType);
+      if (blockText) sections.push(blockText);
+      return;
+    }
+
+    const title = htmlToPlainText(topic.title);
+    const lines = [title, '-'.repeat(Math.min(title.length, 60))];
+    const description = htmlToPlainText(topic.description);
+    if (description) lines.push('', description);
+    if (topic.buttonText && topic.buttonUrl) lines.push('', `${htmlToPlainText(topic.buttonText.toString())} [${addUtmParameters(topic.buttonUrl, utm)}]`);
+    sections.push(lines.join('\n'));
+  });
+
+  const ctaButtons = getCtaButtons(data, content);
+  if (!content.hideCta && ctaButtons.length > 0) {
+    sections.push([content.ctaHeading].concat(ctaButtons.map(button => `${button.text} [${addUtmParameters(button.url, utm)}]`)).join('\n'));
+  }
+
+  const footer = [`${new Date().getFullYear()} ${content.organizationName}`];
+  if (content.footerTagline) footer.push(content.footerTagline);
+  if (content.contactInfo) footer.push('', content.contactInfo.toString());
+  // Skips the lines validateNewsletterData warns about, as the HTML does
+  const socialLinks = content.socialLinks.filter(link => link.text && sanitizeUrl(link.url));
+  if (socialLinks.length > 0) footer.push('', socialLinks.map(link => `${link.text}: ${link.url}`).join('\n'));
+  if (content.mailingAddress) footer.push('', content.mailingAddress.toString());
+  if (content.receivingNote) footer.push('', content.receivingNote.toString());
+  sections.push(footer.join('\n'));
+
+  return sections.join('\n\n' + '='.repeat(40) + '\n\n') + '\n';
+}
+
+/**
+ * Creates the plain-text version of a section block
+ * @param {Object} block - Topic object holding the block's text
+ * @param {string} blockType - SECTION_BLOCKS key
+ * @returns {string} Plain text, or an empty string for blocks with no text
+ */
+function createSectionBlockPlainText(block, blockType) {
+  const title = htmlToPlainText(block.title);
+  const description = htmlToPlainText(block.description);
+
+  if (blockType === 'section') {
+    return [title.toUpperCase(), '='.repeat(Math.min(title.length, 60))].concat(description ? [description] : []).join('\n');
+  }
+  if (blockType === 'quote') {
+    return description.split('\n').map(line => '> ' + line).join('\n') + (title ? `\n  - ${title}` : '');
+  }
+  if (blockType === 'intro') {
+    return [title, description].filter(Boolean).join('\n\n');
+  }
+  return '';
+}
+
+/**
+ * Generates stacked (full-width) layout for topics
+ * @param {Array} topics - Array of topic objects
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for stacked layout
+ */
+function generateStackedLayout(topics, theme = DEFAULT_THEME) {
+  return topics.map((topic, index) => {
+    const divider = index > 0 ? `
+                            <!-- DIVIDER -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin-bottom: 35px;">
+                                <tr>
+                                    <td style="border-bottom: 1px solid ${theme.panelColor};"></td>
+                                </tr>
+                            </table>
+                            ` : '';
+
+    if (!topic.url) {
+      return divider + `
+                            <!-- Topic ${index + 1} - Stacked Layout (Text Only) -->
+                            ${generateTextOnlyTopicHTML(topic, { headingTag: 'h2', headingSize: '24pt', padding: '25px 30px', buttonPadding: '10px 20px', buttonFontSize: '11pt' }, theme)}
+                            `;
+    }
+
+    return divider + `
+                            <!-- Topic ${index + 1} - Stacked Layout -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
+                                <tr>
+                                    <td>
+                                        <h2 class="h2 dark-heading" style="font-family: ${theme.headingFont}; color: ${theme.headingColor}; font-size: 24pt; font-weight: 600; margin: 0 0 15px 0; line-height: 1.3;">${topic.title}</h2>
+
+                                        ${topic.url ? `
+                                        <div class="responsive-image" style="margin-bottom: 20px; border-radius: 8px; overflow: hidden; border: 1px solid ${theme.panelColor};">
+                                            <img src="${escapeAttribute(topic.url)}" alt="${getAltText(topic.title)}" width="720" style="width: 100%; height: auto; display: block;">
+                                        </div>
+                                        ` : ''}
+
+                                        ${topic.description ? `
+                                        <div class="dark-panel" style="background-color: ${theme.panelColor}; padding: 20px; border-radius: 6px; border-left: 4px solid ${theme.primaryColor};">
+                                            <div class="p dark-text" style="color: ${theme.textColor}; font-size: 11pt; font-weight: 400; line-height: 1.6; font-family: ${theme.bodyFont};">${topic.description}</div>
+                                        </div>
+                                        ` : ''}
+
+                                        ${topic.buttonText && topic.buttonUrl ? `
+                                        <div style="text-align: center; margin-top: 15px;">
+                                            ${createButtonHTML(topic.buttonText, topic.buttonUrl, theme, { color: theme.primaryColor, secondaryColor: theme.secondaryColor, padding: '10px 20px', fontSize: '11pt' })}
+                                        </div>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            </table>
+                            `;
+  }).join('');
+}
+
+/**
+ * Generates hero layout for topics (main feature + a two-column grid that wraps)
+ * @param {Array} topics - Array of topic objects
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for hero layout
+ */
+function generateHeroLayout(topics, theme = DEFAULT_THEME) {
+  let html = '';
+
+  if (topics.length > 0 && !topics[0].url) {
+    html += `
+                            <!-- Hero Section (Text Only) -->
+                            ${generateTextOnlyTopicHTML(topics[0], { headingTag: 'h2', headingSize: '24pt', padding: '35px 30px', buttonPadding: '12px 24px', buttonFontSize: '12pt', align: 'center' }, theme)}
+                            `;
+  } else if (topics.length > 0) {
+    const heroTopic = topics[0];
+    html += `
                             <!-- Hero Section -->
                             <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
                                 <tr>
                                     <td>
-                                        <h2 class="h2" style="font-family: Lexend, Arial, sans-serif; color: #1d2a5d; font-size: 24pt; font-weight: 700; margin: 0 0 20px 0; line-height: 1.2; text-align: center;">${heroTopic.title}</h2>
+                                        <h2 class="h2 dark-heading" style="font-family: ${theme.headingFont}; color: ${theme.headingColor}; font-size: 24pt; font-weight: 700; margin: 0 0 20px 0; line-height: 1.2; text-align: center;">${heroTopic.title}</h2>
+
+                                        ${heroTopic.url ? `
+                                        <div class="responsive-image" style="margin-bottom: 25px; border-radius: 12px; overflow: hidden; border: 1px solid ${theme.panelColor};">
+                                            <img src="${escapeAttribute(heroTopic.url)}" alt="${getAltText(heroTopic.title)}" width="720" style="width: 100%; height: auto; display: block;">
+                                        </div>
+                                        ` : ''}
+
+                                        ${heroTopic.description ? `
+                                        <div class="dark-panel" style="background: linear-gradient(135deg, ${theme.panelColor} 0%, ${theme.backgroundColor} 100%); padding: 25px; border-radius: 8px; border-left: 4px solid ${theme.primaryColor};">
+                                            <div class="p dark-text" style="color: ${theme.textColor}; font-size: 11pt; font-weight: 400; line-height: 1.6; text-align: center; font-family: ${theme.bodyFont};">${heroTopic.description}</div>
+                                        </div>
+                                        ` : ''}
+
+                                        ${heroTopic.buttonText && heroTopic.buttonUrl ? `
+                                        <div style="text-align: center; margin-top: 20px;">
+                                            ${createButtonHTML(heroTopic.buttonText, heroTopic.buttonUrl, theme, { color: theme.primaryColor, secondaryColor: theme.secondaryColor, padding: '12px 24px', fontSize: '12pt' })}
+                                        </div>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            </table>
+                            `;
+  }
+  
+  if (topics.length > 1) {
+    // Add a divider between the hero and the columns
+    html += `
+                            <!-- DIVIDER -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin: 40px 0;">
+                                <tr>
+                                    <td style="border-bottom: 1px solid ${theme.panelColor};"></td>
+                                </tr>
+                            </table>
+                            `;
+
+    // Remaining topics fill a two-column grid, wrapping every two topics
+    for (let i = 1; i < topics.length; i += 2) {
+      const leftTopic = topics[i];
+      const rightTopic = i + 1 < topics.length ? topics[i + 1] : null;
+
+      html += `
+                            <!-- Two Column Section -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation"${i > 1 ? ' style="margin-top: 30px;"' : ''}>
+                                <tr>
+                                    <!-- Left Column -->
+                                    <td width="346" class="responsive-cell" style="width: 48%; vertical-align: top; padding-right: ${rightTopic ? '15px' : '0'};">
+                                        ${generateHeroColumnHTML(leftTopic, theme)}
+                                    </td>
+
+                                    ${rightTopic ? `
+                                    <!-- Right Column -->
+                                    <td width="28" class="responsive-cell-padding" style="width: 4%; padding: 0;"></td>
+                                    <td width="346" class="responsive-cell" style="width: 48%; vertical-align: top; padding-left: 15px;">
+                                        ${generateHeroColumnHTML(rightTopic, theme)}
+                                    </td>
+                                    ` : `<td width="374" style="width: 52%;"></td>`}
+                                </tr>
+                            </table>
+                            `;
+    }
+  }
+  
+  return html;
+}
+
+/**
+ * Generates the contents of one column in the hero layout's two-column grid
+ * @param {Object} topic - Topic object
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for the column contents
+ */
+function generateHeroColumnHTML(topic, theme = DEFAULT_THEME) {
+
+  if (!topic.url) {
+    return generateTextOnlyTopicHTML(topic, { headingTag: 'h3', headingSize: '18pt', padding: '20px', buttonPadding: '8px 16px', buttonFontSize: '10pt' }, theme);
+  }
+
+  return `
+                                        <h3 class="h3 dark-heading" style="font-family: ${theme.headingFont}; color: ${theme.headingColor}; font-size: 18pt; font-weight: 600; margin: 0 0 15px 0; line-height: 1.3;">${topic.title}</h3>
+
+                                        ${topic.url ? `
+                                        <div class="responsive-image" style="margin-bottom: 15px; border-radius: 6px; overflow: hidden; border: 1px solid ${theme.panelColor};">
+                                            <img src="${escapeAttribute(topic.url)}" alt="${getAltText(topic.title)}" width="331" style="width: 100%; height: auto; display: block;">
+                                        </div>
+                                        ` : ''}
+
+                                        ${topic.description ? `
+                                        <div class="dark-panel" style="background-color: ${theme.panelColor}; padding: 15px; border-radius: 6px; border-left: 3px solid ${theme.primaryColor};">
+                                            <div class="p dark-text" style="color: ${theme.textColor}; font-size: 11pt; font-weight: 400; line-height: 1.5; font-family: ${theme.bodyFont};">${topic.description}</div>
+                                        </div>
+                                        ` : ''}
+
+                                        ${topic.buttonText && topic.buttonUrl ? `
+                                        <div style="text-align: center; margin-top: 15px;">
+                                            ${createButtonHTML(topic.buttonText, topic.buttonUrl, theme, { color: theme.primaryColor, secondaryColor: theme.secondaryColor, padding: '8px 16px', fontSize: '10pt' })}
+                                        </div>
+                                        ` : ''}`;
+}
+
+/**
+ * Generates a text-only topic card, used by every layout for topics without an image
+ * @param {Object} topic - Topic object
+ * @param {Object} options - Card sizing
+ * @param {string} options.headingTag - Heading element ('h2' or 'h3')
+ * @param {string} options.headingSize - Heading font size (e.g. '24pt')
+ * @param {string} options.padding - Card padding
+ * @param {string} options.buttonPadding - Button padding
+ * @param {string} options.buttonFontSize - Button font size
+ * @param {string} [options.align] - Text alignment, defaults to 'left'
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for the text-only card
+ */
+function generateTextOnlyTopicHTML(topic, options, theme = DEFAULT_THEME) {
+  const align = options.align || 'left';
+  const tag = options.headingTag;
+
+  return `
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
+                                <tr>
+                                    <td class="dark-panel" style="background-color: ${theme.panelColor}; padding: ${options.padding}; border-radius: 8px; border-top: 4px solid ${theme.primaryColor}; text-align: ${align};">
+                                        <${tag} class="${tag} dark-heading" style="font-family: ${theme.headingFont}; color: ${theme.headingColor}; font-size: ${options.headingSize}; font-weight: 600; margin: 0 0 12px 0; line-height: 1.3;">${topic.title}</${tag}>
+
+                                        ${topic.description ? `
+                                        <div class="p dark-text" style="color: ${theme.textColor}; font-size: 11pt; font-weight: 400; line-height: 1.6; font-family: ${theme.bodyFont};">${topic.description}</div>
+                                        ` : ''}
+
+                                        ${topic.buttonText && topic.buttonUrl ? `
+                                        <div style="text-align: ${align}; margin-top: 15px;">
+                                            ${createButtonHTML(topic.buttonText, topic.buttonUrl, theme, { color: theme.primaryColor, secondaryColor: theme.secondaryColor, padding: options.buttonPadding, fontSize: options.buttonFontSize })}
+                                        </div>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            </table>`;
+}
+
+/**
+ * Generates offset (alternating) layout for topics
+ * @param {Array} topics - Array of topic objects
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for offset layout
+ */
+function generateOffsetLayout(topics, theme = DEFAULT_THEME) {
+  return topics.map((topic, index) => {
+    const divider = index > 0 ? `
+                            <!-- DIVIDER -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin-bottom: 35px;">
+                                <tr>
+                                    <td style="border-bottom: 1px solid ${theme.panelColor};"></td>
+                                </tr>
+                            </table>
+                            ` : '';
+
+    if (!topic.url) {
+      return divider + `
+                            <!-- Topic ${index + 1} - Offset Layout (Text Only) -->
+                            ${generateTextOnlyTopicHTML(topic, { headingTag: 'h2', headingSize: '24pt', padding: '25px 30px', buttonPadding: '10px 20px', buttonFontSize: '11pt' }, theme)}
+                            `;
+    }
+
+    const isEven = index % 2 === 0;
+    const imageCell = `
+        <td width="238" class="responsive-cell" style="width: 33%; padding: ${isEven ? '0 20px 0 0' : '0 0 0 20px'}; vertical-align: top;">
+            <div class="responsive-image" style="border-radius: 8px; overflow: hidden; border: 1px solid ${theme.panelColor};">
+                <img src="${escapeAttribute(topic.url)}" alt="${getAltText(topic.title)}" width="218" style="width: 100%; height: auto; display: block;">
+            </div>
+        </td>
+    `;
+
+    const contentCell = `
+        <td width="482" class="responsive-cell" style="width: 67%; vertical-align: top; padding: 10px 0;">
+            <h2 class="h2 dark-heading" style="font-family: ${theme.headingFont}; color: ${theme.headingColor}; font-size: 24pt; font-weight: 600; margin: 0 0 15px 0; line-height: 1.3;">${topic.title}</h2>
+            ${topic.description ? `
+            <div class="dark-panel" style="background-color: ${theme.panelColor}; padding: 18px; border-radius: 6px; border-left: 4px solid ${theme.primaryColor};">
+                <div class="p dark-text" style="color: ${theme.textColor}; font-size: 11pt; font-weight: 400; line-height: 1.6; font-family: ${theme.bodyFont};">${topic.description}</div>
+            </div>
+            ` : ''}
+            ${topic.buttonText && topic.buttonUrl ? `
+            <div style="text-align: center; margin-top: 15px;">
+                ${createButtonHTML(topic.buttonText, topic.buttonUrl, theme, { color: theme.primaryColor, secondaryColor: theme.secondaryColor, padding: '10px 20px', fontSize: '11pt' })}
+            </div>
+            ` : ''}
+        </td>
+    `;
+
+    return divider + `
+                            <!-- Topic ${index + 1} - Offset Layout -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
+                                <tr>
+                                    ${isEven ? imageCell + contentCell : contentCell + imageCell}
+                                </tr>
+                            </table>
+                            `;
+  }).join('');
+}
+
+/**
+ * Renders topics and section blocks in sheet order. Neighbouring topics with
+ * the same layout (their own "Topic N Layout" or the issue's layout) are passed
+ * to that layout's renderer together; section blocks render on their own.
+ * @param {Array} topics - Topics and blocks from getRenderableTopics
+ * @param {Object} layout - Issue layout from getNewsletterLayout
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for all topics and blocks
+ */
+function generateTopicBlocksHTML(topics, layout, theme = DEFAULT_THEME) {
+  const groups = [];
+
+  topics.forEach(topic => {
+    const previous = groups[groups.length - 1];
+
+    if (topic.blockType && topic.blockType !== 'topic') {
+      groups.push({ blockType: topic.blockType, topics: [topic] });
+      return;
+    }
+
+    const topicLayout = (topic.layout && getNewsletterLayout(topic.layout)) || layout;
+    if (previous && previous.layout && previous.layout.name === topicLayout.name) {
+      previous.topics.push(topic);
+    } else {
+      groups.push({ layout: topicLayout, topics: [topic] });
+    }
+  });
+
+  return groups.map((group, index) => {
+    if (group.blockType) {
+      return SECTION_BLOCKS[group.blockType].render(group.topics[0], theme);
+    }
+
+    // Separate two topic groups that follow each other directly
+    const divider = index > 0 && groups[index - 1].layout ? `
+                            <!-- DIVIDER -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin: 35px 0;">
+                                <tr>
+                                    <td style="border-bottom: 1px solid ${theme.panelColor};"></td>
+                                </tr>
+                            </table>
+                            ` : '';
+    return divider + group.layout.render(group.topics, theme);
+  }).join('');
+}
+
+/**
+ * Generates an intro or letter block: optional heading and free text, no card
+ * @param {Object} block - Topic object holding the block's text
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for the block
+ */
+function generateIntroBlockHTML(block, theme = DEFAULT_THEME) {
+  return `
+                            <!-- Intro Block -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin-bottom: 30px;">
+                                <tr>
+                                    <td>
+                                        ${block.title ? `<h2 class="h2 dark-heading" style="font-family: ${theme.headingFont}; color: ${theme.headingColor}; font-size: 20pt; font-weight: 600; margin: 0 0 12px 0; line-height: 1.3;">${block.title}</h2>` : ''}
+                                        ${block.description ? `<div class="p dark-text" style="color: ${theme.textColor}; font-size: 11pt; font-weight: 400; line-height: 1.6; font-family: ${theme.bodyFont};">${block.description}</div>` : ''}
+                                    </td>
+                                </tr>
+                            </table>
+                            `;
+}
+
+/**
+ * Generates a section divider with a heading
+ * @param {Object} block - Topic object holding the heading (title) and optional subheading (description)
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for the block
+ */
+function generateSectionBlockHTML(block, theme = DEFAULT_THEME) {
+  return `
+                            <!-- Section Block -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin: 40px 0 25px 0;">
+                                <tr>
+                                    <td style="border-top: 3px solid ${theme.primaryColor}; padding-top: 12px;">
+                                        <h2 class="h2" style="font-family: ${theme.headingFont}; color: ${theme.primaryColor}; font-size: 14pt; font-weight: 700; margin: 0; line-height: 1.3; text-transform: uppercase; letter-spacing: 1px;">${block.title}</h2>
+                                        ${block.description ? `<div class="p dark-text" style="color: ${theme.textColor}; font-size: 10pt; font-weight: 400; line-height: 1.5; margin-top: 6px; font-family: ${theme.bodyFont};">${block.description}</div>` : ''}
+                                    </td>
+                                </tr>
+                            </table>
+                            `;
+}
+
+/**
+ * Generates a quote or callout box
+ * @param {Object} block - Topic object holding the quote (description) and optional attribution (title)
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for the block
+ */
+function generateQuoteBlockHTML(block, theme = DEFAULT_THEME) {
+  return `
+                            <!-- Quote Block -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin: 0 0 30px 0;">
+                                <tr>
+                                    <td class="dark-panel" style="background-color: ${theme.panelColor}; border-left: 6px solid ${theme.accentColor}; border-radius: 6px; padding: 20px 25px;">
+                                        <div class="p dark-heading" style="color: ${theme.headingColor}; font-size: 13pt; font-style: italic; font-weight: 400; line-height: 1.6; font-family: ${theme.bodyFont};">${block.description}</div>
+                                        ${block.title ? `<p class="p dark-text" style="color: ${theme.textColor}; font-size: 10pt; font-weight: 600; margin: 10px 0 0 0; font-family: ${theme.headingFont};">&mdash; ${block.title}</p>` : ''}
+                                    </td>
+                                </tr>
+                            </table>
+                            `;
+}
+
+/**
+ * Generates empty vertical space
+ * @param {Object} block - Topic object; a number in the description sets the height in pixels
+ * @returns {string} HTML for the block
+ */
+function generateSpacerBlockHTML(block) {
+  const height = Math.min(Math.max(parseInt(htmlToPlainText(block.description), 10) || 30, 5), 200);
+  return `
+                            <!-- Spacer Block -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
+                                <tr>
+                                    <td style="height: ${height}px; line-height: ${height}px; font-size: 0;">&nbsp;</td>
+                                </tr>
+                            </table>
+                            `;
+}
+
+/**
+ * Generates grid layout for topics (two columns of equal cards)
+ * @param {Array} topics - Array of topic objects
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for grid layout
+ */
+function generateGridLayout(topics, theme = DEFAULT_THEME) {
+  let html = '';
+
+  for (let i = 0; i < topics.length; i += 2) {
+    const leftTopic = topics[i];
+    const rightTopic = i + 1 < topics.length ? topics[i + 1] : null;
+
+    html += `
+                            <!-- Grid Row -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation"${i > 0 ? ' style="margin-top: 20px;"' : ''}>
+                                <tr>
+                                    <td width="346" class="responsive-cell" style="width: 48%; vertical-align: top; padding-right: 10px;">
+                                        ${generateGridCardHTML(leftTopic, theme)}
+                                    </td>
+                                    <td width="28" class="responsive-cell-padding" style="width: 4%; padding: 0;"></td>
+                                    <td width="346" class="responsive-cell" style="width: 48%; vertical-align: top; padding-left: 10px;">
+                                        ${rightTopic ? generateGridCardHTML(rightTopic, theme) : ''}
+                                    </td>
+                                </tr>
+                            </table>
+                            `;
+  }
+
+  return html;
+}
+
+/**
+ * Generates one card of the grid layout
+ * @param {Object} topic - Topic object
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for the card
+ */
+function generateGridCardHTML(topic, theme = DEFAULT_THEME) {
+  return `
+                                        <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" class="dark-panel" style="background-color: ${theme.panelColor}; border-radius: 8px; overflow: hidden;">
+                                            ${topic.url ? `
+                                            <tr>
+                                                <td class="responsive-image" style="padding: 0;">
+                                                    <img src="${escapeAttribute(topic.url)}" alt="${getAltText(topic.title)}" width="336" style="width: 100%; height: auto; display: block;">
+                                                </td>
+                                            </tr>
+                                            ` : ''}
+                                            <tr>
+                                                <td style="padding: 18px;${topic.url ? '' : ` border-top: 4px solid ${theme.primaryColor};`}">
+                                                    <h3 class="h3 dark-heading" style="font-family: ${theme.headingFont}; color: ${theme.headingColor}; font-size: 16pt; font-weight: 600; margin: 0 0 10px 0; line-height: 1.3;">${topic.title}</h3>
+                                                    ${topic.description ? `
+                                                    <div class="p dark-text" style="color: ${theme.textColor}; font-size: 10pt; font-weight: 400; line-height: 1.5; font-family: ${theme.bodyFont};">${topic.description}</div>
+                                                    ` : ''}
+                                                    ${topic.buttonText && topic.buttonUrl ? `
+                                                    <div style="margin-top: 15px;">
+                                                        ${createButtonHTML(topic.buttonText, topic.buttonUrl, theme, { color: theme.primaryColor, secondaryColor: theme.secondaryColor, padding: '8px 16px', fontSize: '10pt' })}
+                                                    </div>
+                                                    ` : ''}
+                                                </td>
+                                            </tr>
+                                        </table>`;
+}
+
+/**
+ * Generates compact (digest) layout: one row per topic with a small thumbnail,
+ * the title, a one-line teaser and a text link
+ * @param {Array} topics - Array of topic objects
+ * @param {Object} [theme] - Newsletter theme, defaults to DEFAULT_THEME
+ * @returns {string} HTML for compact layout
+ */
+function generateCompactLayout(topics, theme = DEFAULT_THEME) {
+  return topics.map((topic, index) => {
+    const teaser = getTopicTeaser(topic.description);
+
+    return `
+                            <!-- Topic ${index + 1} - Compact Layout -->
+                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="${index > 0 ? `border-top: 1px solid ${theme.panelColor};` : ''}">
+                                <tr>
+                                    ${topic.url ? `
+                                    <td width="80" style="width: 80px; padding: 15px 15px 15px 0; vertical-align: top;">
+                                        <img src="${escapeAttribute(topic.url)}" alt="${getAltText(topic.title)}" width="80" style="width: 80px; height: auto; display: block; border-radius: 6px;">
+                                    </td>
+                                    ` : ''}
+                                    <td style="padding: 15px 0; vertical-align: top;">
+                                        <h3 class="h3 dark-heading" style="font-family: ${theme.headingFont}; color: ${theme.headingColor}; font-size: 13pt; font-weight: 600; margin: 0 0 4px 0; line-height: 1.3;">${topic.title}</h3>
+                                        ${teaser ? `<p class="p dark-text" style="color: ${theme.textColor}; font-size: 10pt; font-weight: 400; margin: 0; line-height: 1.4; font-family: ${theme.bodyFont};">${escapeHtml(teaser)}</p>` : ''}
+                                        ${topic.buttonText && sanitizeUrl(topic.buttonUrl) ? `<p style="margin: 6px 0 0 0; font-size: 10pt; font-family: ${theme.headingFont};"><a href="${escapeAttribute(sanitizeUrl(topic.buttonUrl))}" style="color: ${theme.primaryColor}; font-weight: 600; text-decoration: none;">${escapeHtml(topic.buttonText)} &rarr;</a></p>` : ''}
+                                    </td>
+                                </tr>
+                            </table>
+                            `;
+  }).join('');
+}
+
+/**
+ * Shortens a topic description to a one-line teaser (first line, cut at a word)
+ * @param {string} description - Topic description HTML
+ * @param {number} [maxLength] - Longest teaser, defaults to 120 characters
+ * @returns {string} Plain-text teaser
+ */
+function getTopicTeaser(description, maxLength = 120) {
+  const firstLine = htmlToPlainText(description).split('\n')[0].trim();
+  if (firstLine.length <= maxLength) return firstLine;
+
+  const cut = firstLine.substring(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : cut).replace(/[\s,.;:]+$/, '') + '…';
+}
+
+/**
+ * Test function to preview newsletter HTML from any column
+ * @param {string} column - Column letter (e.g. B, AA) - defaults to B
+ */
+function testNewsletterGeneration(column = 'B') {
+  try {
+    const html = generateNewsletterHTMLFromColumn(column);
+    const sheet = SpreadsheetApp.getActiveSheet();
+    const schema = getSheetSchema(sheet);
+    const layoutRow = schema.rows.layoutStyle;
+    const layoutStyle = (layoutRow && sheet.getRange(column + layoutRow).getValue()) || 'Offset';
+    const date = sheet.getRange(column + '1').getValue();
+    const title = schema.rows.title ? sheet.getRange(column + schema.rows.title).getValue() : '';
+    
+    console.log(`Test completed successfully for Column ${column}`);
+    console.log('Date:', date ? Utilities.formatDate(new Date(date), Session.getScriptTimeZone(), 'MM/dd/yyyy') : 'No date');
+    console.log('Title:', title || 'No title');
+    console.log('Layout Style:', layoutStyle);
+    console.log('Unknown labels:', schema.unknownLabels.length ? schema.unknownLabels.map(item => `A${item.row} "${item.label}"`).join(', ') : 'None');
+    console.log('HTML length:', html.length, 'characters');
+    return html;
+  } catch (error) {
+    console.error(`Test failed for column ${column}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Test function specifically for the Google Drive URL conversion.
+ */
+function testDriveUrlConversion() {
+  console.log('🧪 Testing Google Drive URL Conversion...');
+
+  const testFileId = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms'; // A real public 1x1 pixel
+  const testDriveUrl = `https://drive.google.com/file/d/${testFileId}/view?usp=sharing`;
+  const expectedUrl = `https://drive.google.com/uc?export=view&id=${testFileId}`;
+
+  try {
+    console.log(`🔄 Converting URL: ${testDriveUrl}`);
+    const result = convertDriveImageUrl(testDriveUrl);
+
+    if (result === expectedUrl) {
+      console.log('✅ SUCCESS: Google Drive URL correctly converted.');
+      console.log(`🔗 Result: ${result}`);
+      return { success: true, convertedUrl: result };
+    } else {
+      console.error('❌ FAILED: URL did not convert as expected.');
+      console.log(`Expected: ${expectedUrl}`);
+      console.log(`Received: ${result}`);
+      return { success: false, message: 'URL did not convert as expected', expected: expectedUrl, received: result };
+    }
+  } catch (error) {
+    console.error('❌ Test failed with an error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Comprehensive test for all image types and layout functionality
+ */
+function testImageAndButtonSupport() {
+  console.log('🧪 Running Comprehensive Image & Button Test...');
+  
+  // Test data with different image types
+  const testData = {
+    date: new Date(),
+    title: 'Image & Button Test Newsletter',
+    subtitle: 'Testing all image types and button functionality',
+    topics: [
+      {
+        title: 'Base64 Image Topic',
+        url: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChAHGArEkFgAAAABJRU5ErkJggg==',
+        description: 'This topic uses a base64 encoded image',
+        buttonText: 'Base64 Button',
+        buttonUrl: 'https://example.com/base64'
+      },
+      {
+        title: 'Google Drive Image Topic',
+        url: 'https://drive.google.com/file/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/view?usp=sharing',
+        description: 'This topic uses a Google Drive shared image (will be converted to a direct link)',
+        buttonText: 'Drive Button',
+        buttonUrl: 'https://example.com/drive'
+      },
+      {
+        title: 'Direct URL Image Topic',
+        url: 'https://via.placeholder.com/300x200/0066cc/ffffff?text=Direct+URL',
+        description: 'This topic uses a direct image URL',
+        buttonText: 'Direct Button',
+        buttonUrl: 'https://example.com/direct'
+      }
+    ],
+    finalButtonUrl: 'https://example.com/final',
+    to: 'test@example.com',
+    layoutStyle: 'offset'
+  };
+  
+  try {
+    console.log('🔍 Testing image URL conversion...');
+    
+    // Test base64 image handling (should pass through)
+    const base64Result = convertDriveImageUrl(testData.topics[0].url);
+    console.log('✅ Base64 image processing:', base64Result.startsWith('data:image/') ? 'PASSED' : 'FAILED');
+    
+    // Test Google Drive URL conversion to direct link
+    console.log('⏳ Testing Google Drive URL conversion...');
+    const driveResult = convertDriveImageUrl(testData.topics[1].url);
+    const isConvertedCorrectly = driveResult.startsWith('https://drive.google.com/uc?export=view&id=');
+    console.log('✅ Google Drive conversion to direct URL:', isConvertedCorrectly ? 'PASSED' : 'FAILED');
+    
+    // Test direct URL passthrough
+    const directResult = convertDriveImageUrl(testData.topics[2].url);
+    console.log('✅ Direct URL passthrough:', directResult === testData.topics[2].url ? 'PASSED' : 'FAILED');
+    
+    console.log('🎨 Testing all layout styles...');
+    
+    // Test Offset Layout
+    testData.layoutStyle = 'offset';
+    const offsetHTML = createNewsletterHTML(testData);
+    console.log('✅ Offset layout generated, length:', offsetHTML.length);
+    
+    // Test Stacked Layout  
+    testData.layoutStyle = 'stacked';
+    const stackedHTML = createNewsletterHTML(testData);
+    console.log('✅ Stacked layout generated, length:', stackedHTML.length);
+    
+    // Test Hero Layout
+    testData.layoutStyle = 'hero';
+    const heroHTML = createNewsletterHTML(testData);
+    console.log('✅ Hero layout generated, length:', heroHTML.length);
+    
+    console.log('📎 Testing inline (cid:) images...');
+    
+    // Images that can't be fetched fall back to links, but every cid: must have a blob
+    testData.layoutStyle = 'offset';
+    const inlineImages = {};
+    const inlineHTML = createNewsletterHTML(testData, { inlineImages: inlineImages });
+    const cidRefs = (inlineHTML.match(/src="cid:[^"]+"/g) || []).map(src => src.slice(9, -1));
+    const base64Inline = !inlineHTML.includes('src="data:image/') && !!inlineImages[getInlineImageId(testData.topics[0].url)];
+    const cidsAttached = cidRefs.every(id => !!inlineImages[id]);
+    console.log('✅ Base64 image embedded as cid:', base64Inline ? 'PASSED' : 'FAILED');
+    console.log('✅ Every cid: reference has an inline image:', cidsAttached ? 'PASSED' : 'FAILED');
+    console.log(`📎 ${Object.keys(inlineImages).length} image(s) embedded inline`);
+    
+    if (!base64Inline || !cidsAttached) {
+      throw new Error('Inline image embedding failed');
+    }
+    
+    console.log('🎉 SUCCESS: All image types and layouts working correctly!');
+    console.log('📸 Base64 images: ✅ Supported (Passthrough)');
+    console.log('🔄 Google Drive to Direct URL: ✅ Implemented');  
+    console.log('🌐 Direct URL images: ✅ Supported (Passthrough)');
+    console.log('📎 Inline cid: images: ✅ Supported');
+    console.log('🎯 Individual topic buttons: ✅ Working');
+    console.log('🎨 All layouts (Stacked, Hero, Offset): ✅ Working');
+    
+    return {
+      success: true,
+      message: 'All image types and button functionality working correctly',
+      imageSupport: {
+        base64: true,
+        googleDriveToDirectUrl: true,
+        directUrl: true,
+        inlineImages: true
+      },
+      layoutSupport: {
+        offset: true,
+        stacked: true,
+        hero: true
+      }
+    };
+    
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Image or button test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Quick test for button functionality without full spreadsheet
+ */
+function quickButtonTest() {
+  console.log('🧪 Running Quick Button Test...');
+  
+  const result = validateButtonStructure();
+  
+  if (result.success) {
+    console.log('🎉 SUCCESS: Button functionality is working!');
+    console.log('✅ All layouts (Stacked, Hero, Offset) render correctly');
+    console.log('✅ Individual topic buttons appear when both buttonText and buttonUrl are provided');
+    console.log('✅ Backward compatibility maintained - topics without buttons still work');
+  } else {
+    console.log('❌ FAILED:', result.message);
+  }
+  
+  return result;
+}
+
+/**
+ * Validation function to test new button structure
+ * @returns {Object} Test results
+ */
+function validateButtonStructure() {
+  try {
+    const testData = {
+      date: new Date(),
+      title: 'Test Newsletter',
+      subtitle: 'Testing the new button structure',
+      topics: [
+        {
+          title: 'First Topic',
+          url: 'https://example.com/image1.jpg',
+          description: 'This is the first topic description',
+          buttonText: 'Learn More',
+          buttonUrl: 'https://example.com/topic1'
+        },
+        {
+          title: 'Second Topic',
+          url: 'https://example.com/image2.jpg',
+          description: 'This is the second topic description',
+          buttonText: 'Read Article',
+          buttonUrl: 'https://example.com/topic2'
+        },
+        {
+          title: 'Third Topic',
+          url: 'https://example.com/image3.jpg',
+          description: 'This is the third topic description',
+          buttonText: 'Watch Video',
+          buttonUrl: 'https://example.com/topic3'
+        }
+      ],
+      finalButtonUrl: 'https://example.com/final',
+      to: 'test@example.com',
+      layoutStyle: 'offset'
+    };
+    
+    console.log('Testing HTML generation...');
+    const html = createNewsletterHTML(testData);
+    console.log('✅ Newsletter HTML generated successfully, length:', html.length);
+    
+    console.log('Testing all three layouts...');
+    testData.layoutStyle = 'stacked';
+    const stackedHTML = createNewsletterHTML(testData);
+    console.log('✅ Stacked layout generated, length:', stackedHTML.length);
+    
+    testData.layoutStyle = 'hero';
+    const heroHTML = createNewsletterHTML(testData);
+    console.log('✅ Hero layout generated, length:', heroHTML.length);
+    
+    testData.layoutStyle = 'offset';
+    const offsetHTML = createNewsletterHTML(testData);
+    console.log('✅ Offset layout generated, length:', offsetHTML.length);
+    
+    return {
+      success: true,
+      message: 'All tests passed! New button structure working correctly.',
+      htmlGeneration: true,
+      layoutsWorking: true
+    };
+    
+  } catch (error) {
+    console.error('Validation failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Validation failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests the Outlook-specific markup: VML buttons, the ghost wrapper table and
+ * pixel column widths
+ * @returns {Object} Test results
+ */
+function testOutlookMarkup() {
+  console.log('🧪 Testing Outlook (MSO) Markup...');
+
+  try {
+    const testData = {
+      date: new Date(),
+      title: 'Outlook Test',
+      topics: [1, 2, 3, 4].map(number => ({
+        number: number,
+        title: `Topic ${number}`,
+        url: `https://example.com/image${number}.jpg`,
+        description: `Description ${number}`,
+        buttonText: 'Learn More',
+        buttonUrl: `https://example.com/topic${number}`
+      })),
+      finalButtonUrl: 'https://example.com/final',
+      to: 'test@example.com'
+    };
+
+    const results = {};
+    let allPassed = true;
+
+    Object.keys(NEWSLETTER_LAYOUTS).forEach(layout => {
+      testData.layoutStyle = layout;
+      const html = createNewsletterHTML(testData);
+      const buttons = (html.match(/<!--\[if !mso\]><!-- --><a /g) || []).length;
+      const vmlButtons = (html.match(/<v:roundrect /g) || []).length;
+      const vmlMatches = buttons > 0 && vmlButtons === buttons;
+      const ghostTable = html.includes('<table width="780" align="center" border="0" cellpadding="0" cellspacing="0" role="presentation"><tr><td width="780">');
+      const pixelWidths = !/<td width="\d+%"/.test(html);
+      const passed = vmlMatches && ghostTable && pixelWidths;
+
+      allPassed = allPassed && passed;
+      results[layout] = { buttons, vmlButtons, ghostTable, pixelWidths };
+      console.log(`✅ ${layout}: VML buttons ${vmlButtons}/${buttons} ${vmlMatches ? 'PASSED' : 'FAILED'}, ghost table ${ghostTable ? 'PASSED' : 'FAILED'}, pixel widths ${pixelWidths ? 'PASSED' : 'FAILED'}`);
+    });
+
+    return {
+      success: allPassed,
+      message: allPassed ? 'Every layout has Outlook-safe buttons and widths' : 'Outlook markup is incomplete',
+      results: results
+    };
+
+  } catch (error) {
+    console.error('❌ Outlook markup test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Outlook markup test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests the dark mode declarations, media query and preview override
+ * @returns {Object} Test results
+ */
+function testDarkModeMarkup() {
+  console.log('🧪 Testing Dark Mode Markup...');
+
+  try {
+    const testData = {
+      date: new Date(),
+      title: 'Dark Mode Test',
+      topics: [1, 2, 3].map(number => ({
+        number: number,
+        title: `Topic ${number}`,
+        url: `https://example.com/image${number}.jpg`,
+        description: `Description ${number}`,
+        buttonText: 'Learn More',
+        buttonUrl: `https://example.com/topic${number}`
+      })),
+      finalButtonUrl: 'https://example.com/final',
+      to: 'test@example.com'
+    };
+
+    const html = createNewsletterHTML(testData);
+    const previewHtml = createNewsletterHTML(testData, { forceDarkMode: true });
+    const darkRule = `.dark-text { color: ${DEFAULT_THEME.darkTextColor} !important; }`;
+
+    const checks = {
+      colorScheme: html.includes('<meta name="color-scheme" content="light dark">') && html.includes('color-scheme: light dark;'),
+      mediaQuery: html.includes('@media (prefers-color-scheme: dark)'),
+      outlookOverrides: html.includes(`[data-ogsc] ${darkRule}`) && html.includes('[data-ogsb] .dark-body'),
+      darkClasses: ['dark-body', 'dark-container', 'dark-text', 'dark-heading'].every(name => html.includes(name)),
+      previewOverride: previewHtml.split(darkRule).length > html.split(darkRule).length
+    };
+
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
+
+    const allPassed = Object.keys(checks).every(check => checks[check]);
+
+    return {
+      success: allPassed,
+      message: allPassed ? 'Dark mode styles are declared for every client' : 'Dark mode markup is incomplete',
+      results: checks
+    };
+
+  } catch (error) {
+    console.error('❌ Dark mode test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Dark mode test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests that every layout renders any number of topics
+ * @returns {Object} Test results
+ */
+function testVariableTopicCounts() {
+  console.log('🧪 Testing Variable Topic Counts...');
+
+  try {
+    const layouts = Object.keys(NEWSLETTER_LAYOUTS);
+    const results = {};
+    let allPassed = true;
+
+    [1, 3, 6].forEach(count => {
+      const testData = {
+        date: new Date(),
+        title: `${count} Topic Newsletter`,
+        subtitle: 'Testing variable topic counts',
+        topics: Array.from({ length: count }, (_, i) => ({
+          number: i + 1,
+          title: `Topic Number ${i + 1}`,
+          url: `https://example.com/image${i + 1}.jpg`,
+          description: `Description for topic ${i + 1}`,
+          buttonText: 'Learn More',
+          buttonUrl: `https://example.com/topic${i + 1}`
+        })),
+        finalButtonUrl: 'https://example.com/final',
+        to: 'test@example.com'
+      };
+
+      layouts.forEach(layout => {
+        testData.layoutStyle = layout;
+        const html = createNewsletterHTML(testData);
+        const rendered = testData.topics.filter(topic => html.includes(`>${topic.title}<`)).length;
+        const passed = rendered === count;
+        allPassed = allPassed && passed;
+        results[`${layout}-${count}`] = passed;
+        console.log(`✅ ${layout} with ${count} topic(s): ${rendered}/${count} rendered -`, passed ? 'PASSED' : 'FAILED');
+      });
+
+      testData.layoutStyle = 'hero';
+      const heroRows = (createNewsletterHTML(testData).match(/<!-- Two Column Section -->/g) || []).length;
+      const expectedRows = Math.ceil((count - 1) / 2);
+      allPassed = allPassed && heroRows === expectedRows;
+      console.log(`✅ Hero grid rows for ${count} topic(s): ${heroRows}/${expectedRows} -`, heroRows === expectedRows ? 'PASSED' : 'FAILED');
+    });
+
+    return {
+      success: allPassed,
+      message: allPassed ? 'All layouts render any number of topics' : 'Some layouts dropped topics',
+      results: results
+    };
+
+  } catch (error) {
+    console.error('❌ Variable topic count test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Variable topic count test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests that topics without images render as text-only cards and hidden topics are left out
+ * @returns {Object} Test results
+ */
+function testTextOnlyTopics() {
+  console.log('🧪 Testing Text-Only and Hidden Topics...');
+
+  try {
+    const testData = {
+      date: new Date(),
+      title: 'Text-Only Topic Test',
+      subtitle: 'Testing topics without images',
+      topics: [
+        { number: 1, title: 'Text Only Feature', url: '', description: 'No screenshot for this one', buttonText: 'Read', buttonUrl: 'https://example.com/1' },
+        { number: 2, title: 'Image Topic', url: 'https://example.com/image2.jpg', description: 'Has an image', buttonText: '', buttonUrl: '' },
+        { number: 3, title: 'Text Only Tip', url: '', description: 'Quick tip text', buttonText: '', buttonUrl: '' },
+        { number: 4, title: 'Hidden Topic', url: 'https://example.com/image4.jpg', description: 'Should not appear', hidden: true }
+      ],
+      finalButtonUrl: 'https://example.com/final',
+      to: 'test@example.com'
+    };
+
+    const results = {};
+    let allPassed = true;
+
+    Object.keys(NEWSLETTER_LAYOUTS).forEach(layout => {
+      testData.layoutStyle = layout;
+      const html = createNewsletterHTML(testData);
+      const textOnlyRendered = html.includes('>Text Only Feature<') && html.includes('>Text Only Tip<');
+      const hiddenOmitted = !html.includes('Hidden Topic');
+      const noEmptyImages = !/<img src=""/.test(html);
+      const passed = textOnlyRendered && hiddenOmitted && noEmptyImages;
+
+      allPassed = allPassed && passed;
+      results[layout] = { textOnlyRendered, hiddenOmitted, noEmptyImages };
+      console.log(`✅ ${layout}: text-only ${textOnlyRendered ? 'PASSED' : 'FAILED'}, hidden ${hiddenOmitted ? 'PASSED' : 'FAILED'}, no empty images ${noEmptyImages ? 'PASSED' : 'FAILED'}`);
+    });
+
+    return {
+      success: allPassed,
+      message: allPassed ? 'Text-only topics render and hidden topics are omitted' : 'Text-only topic rendering failed',
+      results: results
+    };
+
+  } catch (error) {
+    console.error('❌ Text-only topic test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Text-only topic test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests mixing layouts per topic and the non-topic section blocks
+ * @returns {Object} Test results
+ */
+function testMixedLayoutsAndBlocks() {
+  console.log('🧪 Testing Per-Topic Layouts and Section Blocks...');
+
+  try {
+    const topic = (number, extra) => Object.assign({
+      number: number,
+      title: `Topic Number ${number}`,
+      url: `https://example.com/image${number}.jpg`,
+      description: `Description for topic ${number}`,
+      buttonText: '',
+      buttonUrl: ''
+    }, extra);
+
+    const testData = {
+      date: new Date(),
+      title: 'Mixed Blocks Test',
+      topics: [
+        topic(1, { title: 'Welcome Back', url: '', description: 'A letter from the team', blockType: 'Letter' }),
+        topic(2, { layout: 'Hero' }),
+        topic(3, { layout: 'Offset' }),
+        topic(4, { layout: 'Offset' }),
+        topic(5, { title: 'Quick Tips', url: '', description: '', blockType: 'Section' }),
+        topic(6, { layout: 'Compact' }),
+        topic(7, { layout: 'Compact' }),
+        topic(8, { title: 'A teacher', url: '', description: 'This changed my classroom.', blockType: 'Quote' }),
+        topic(9, { title: '', url: '', description: '40', blockType: 'Spacer' }),
+        topic(10, { title: '', url: '', description: '', blockType: 'Quote' })
+      ],
+      layoutStyle: 'stacked',
+      to: 'test@example.com'
+    };
+
+    const html = createNewsletterHTML(testData);
+    const text = createNewsletterPlainText(testData);
+    const checks = {
+      introBlock: html.includes('<!-- Intro Block -->') && html.includes('>Welcome Back<'),
+      heroGroup: html.includes('<!-- Hero Section -->'),
+      offsetPair: (html.match(/Offset Layout -->/g) || []).length === 2,
+      sectionBlock: html.includes('<!-- Section Block -->') && html.includes('>Quick Tips<'),
+      compactGroup: (html.match(/Compact Layout -->/g) || []).length === 2,
+      quoteBlock: (html.match(/<!-- Quote Block -->/g) || []).length === 1,
+      spacerBlock: html.includes('height: 40px;'),
+      sheetOrder: html.indexOf('Welcome Back') < html.indexOf('Topic Number 2') && html.indexOf('Quick Tips') < html.indexOf('Topic Number 6'),
+      plainText: text.includes('QUICK TIPS') && text.includes('> This changed my classroom.'),
+      emptyBlockWarning: validateNewsletterData(testData).warnings.some(message => message.includes('Quote block is empty'))
+    };
+
+    Object.keys(checks).forEach(name => {
+      console.log(`${checks[name] ? '✅' : '❌'} ${name}: ${checks[name] ? 'PASSED' : 'FAILED'}`);
+    });
+    const allPassed = Object.keys(checks).every(name => checks[name]);
+
+    return {
+      success: allPassed,
+      message: allPassed ? 'Per-topic layouts and section blocks render in sheet order' : 'Mixed layout rendering failed',
+      checks: checks
+    };
+
+  } catch (error) {
+    console.error('❌ Mixed layout test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Mixed layout test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests that every renderer takes its colors, fonts and button style from the theme
+ * @returns {Object} Test results
+ */
+function testNewsletterThemes() {
+  console.log('🧪 Testing Newsletter Themes...');
+
+  try {
+    const testData = {
+      date: new Date(),
+      title: 'Theme Test',
+      subtitle: 'Testing a custom palette',
+      topics: [
+        { number: 1, title: 'Image Topic', url: 'https://example.com/image1.jpg', description: 'Has an image', buttonText: 'Read', buttonUrl: 'https://example.com/1' },
+        { number: 2, title: 'Text Topic', url: '', description: 'No image', buttonText: 'Go', buttonUrl: 'https://example.com/2' },
+        { number: 3, title: 'Third Topic', url: 'https://example.com/image3.jpg', description: 'Another image', buttonText: '', buttonUrl: '' }
+      ],
+      finalButtonUrl: 'https://example.com/final',
+      to: 'test@example.com'
+    };
+    const theme = Object.assign({}, DEFAULT_THEME, {
+      name: 'School Test',
+      primaryColor: '#006633',
+      secondaryColor: '#339966',
+      accentColor: '#ffcc00',
+      headingColor: '#003311',
+      footerColor: '#001a09',
+      headingFont: 'Georgia, serif',
+      fontImportUrl: '',
+      buttonStyle: 'solid'
+    });
+    const defaultColors = ['#2d3f89', '#ad2122', '#1d2a5d', 'Lexend'];
+
+    const results = {};
+    let allPassed = true;
+
+    Object.keys(NEWSLETTER_LAYOUTS).forEach(layout => {
+      testData.layoutStyle = layout;
+      const html = createNewsletterHTML(testData, { theme: theme });
+      const themeUsed = html.includes('#006633') && html.includes('#ffcc00') && html.includes('#001a09') && html.includes('Georgia, serif');
+      const noDefaults = defaultColors.every(value => !html.includes(value));
+      const solidButtons = !html.includes('linear-gradient(135deg, #ffcc00');
+      const passed = themeUsed && noDefaults && solidButtons;
+
+      allPassed = allPassed && passed;
+      results[layout] = { themeUsed, noDefaults, solidButtons };
+      console.log(`✅ ${layout}: theme colors ${themeUsed ? 'PASSED' : 'FAILED'}, no default colors ${noDefaults ? 'PASSED' : 'FAILED'}, solid buttons ${solidButtons ? 'PASSED' : 'FAILED'}`);
+    });
+
+    const unknownFallsBack = getTheme('No Such Theme') === DEFAULT_THEME;
+    const rgba = hexToRgba('#2d3f89', 0.1) === 'rgba(45, 63, 137, 0.1)';
+    const fontImport = sanitizeFontImportUrl(DEFAULT_THEME.fontImportUrl) === DEFAULT_THEME.fontImportUrl &&
+      ["https://fonts.example.com/a');} body{display:none", 'https://fonts.example.com/a) x', 'https://fonts.example.com/a b', 'http://fonts.example.com/a', 'javascript:alert(1)']
+        .every(url => sanitizeFontImportUrl(url) === '') &&
+      !createNewsletterHTML(testData, { theme: Object.assign({}, theme, { fontImportUrl: "https://x.example.com/');}" }) }).includes('@import');
+    allPassed = allPassed && unknownFallsBack && rgba && fontImport;
+    console.log(`✅ Unknown theme falls back to default: ${unknownFallsBack ? 'PASSED' : 'FAILED'}`);
+    console.log(`✅ hexToRgba: ${rgba ? 'PASSED' : 'FAILED'}`);
+    console.log(`✅ Unsafe font import URLs rejected: ${fontImport ? 'PASSED' : 'FAILED'}`);
+
+    return {
+      success: allPassed,
+      message: allPassed ? 'All layouts render with the selected theme' : 'Theme rendering failed',
+      results: results
+    };
+
+  } catch (error) {
+    console.error('❌ Theme test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Theme test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests the configurable call-to-action and footer content
+ * @returns {Object} Test results
+ */
+function testNewsletterContent() {
+  console.log('🧪 Testing Call-to-Action and Footer Content...');
+
+  try {
+    const testData = {
+      date: new Date(),
+      title: 'Content Test',
+      topics: [
+        { number: 1, title: 'Only Topic', url: '', description: 'Text', buttonText: '', buttonUrl: '' }
+      ],
+      finalButtonUrl: 'https://example.com/final',
+      to: 'test@example.com',
+      ctaHeading: 'Questions?',
+      finalButtonText: 'Contact the Help Desk',
+      ctaButtons: 'Book Training | https://example.com/training\nBroken line',
+      organizationName: 'Test School District',
+      footerTagline: 'Learning Together',
+      contactInfo: 'help@example.com\n555-0100',
+      socialLinks: 'Facebook | https://facebook.com/example | https://example.com/fb.png\nNews | https://example.com/news\nEvil | javascript:alert(1)\nBad | not a url',
+      mailingAddress: '123 Main St',
+      receivingNote: 'You are receiving this because you are staff.'
+    };
+
+    const html = createNewsletterHTML(testData);
+    const text = createNewsletterPlainText(testData);
+    const checks = {
+      ctaHeading: html.includes('>Questions?</h3>'),
+      ctaButtons: html.includes('>Contact the Help Desk</a>') && html.includes('>Book Training</a>') && !html.includes('Broken line'),
+      footer: html.includes('Test School District') && html.includes('Learning Together') && !html.includes('Empowering Digital Learning'),
+      footerLines: html.includes('help@example.com<br>555-0100') && html.includes('123 Main St') && html.includes('because you are staff'),
+      socialLinks: html.includes('alt="Facebook"') && html.includes('>News</a>'),
+      invalidSocialLinksSkipped: !html.includes('>Evil</a>') && !html.includes('>Bad</a>') && !html.includes('href=""') &&
+        !text.includes('javascript:') && !text.includes('not a url'),
+      plainText: text.includes('Questions?') && text.includes('Book Training [https://example.com/training]') && text.includes('News: https://example.com/news'),
+      hideCta: !createNewsletterHTML(Object.assign({}, testData, { hideCta: 'Yes' })).includes('Call to Action'),
+      validation: validateNewsletterData(testData).errors.some(error => error.includes('line 2'))
+    };
+
+    Object.keys(checks).forEach(name => {
+      console.log(`${checks[name] ? '✅' : '❌'} ${name}: ${checks[name] ? 'PASSED' : 'FAILED'}`);
+    });
+    const allPassed = Object.keys(checks).every(name => checks[name]);
+
+    return {
+      success: allPassed,
+      message: allPassed ? 'Call-to-action and footer content render from the newsletter settings' : 'Call-to-action or footer content is wrong',
+      checks: checks
+    };
+
+  } catch (error) {
+    console.error('❌ Content test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Content test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests the plain-text alternative body built alongside the HTML
+ * @returns {Object} Test results
+ */
+function testPlainTextNewsletter() {
+  console.log('🧪 Testing Plain-Text Newsletter...');
+
+  try {
+    const testData = {
+      date: new Date(),
+      title: 'Plain Text Test',
+      subtitle: 'Testing the text-only body',
+      topics: [
+        { number: 1, title: 'First <strong>Topic</strong>', url: 'https://example.com/image1.jpg', description: '<p style="margin: 0 0 10px 0;">Para one<br>line two</p><p style="margin: 0 0 10px 0;">Para &amp; two</p>', buttonText: 'Read More', buttonUrl: 'https://example.com/1' },
+        { number: 2, title: 'Hidden Topic', description: 'Should not appear', hidden: true },
+        { number: 3, title: 'Numbered Button', description: 'Button text is a number cell', buttonText: 2026, buttonUrl: 'https://example.com/3' }
+      ],
+      finalButtonUrl: 'https://example.com/final',
+      to: 'test@example.com'
+    };
+
+    const text = createNewsletterPlainText(testData);
+    const checks = {
+      header: text.includes('PLAIN TEXT TEST') && text.includes('Testing the text-only body'),
+      tagsRemoved: text.includes('First Topic') && !/<[^>]+>/.test(text),
+      paragraphsKept: text.includes('Para one\nline two\n\nPara & two'),
+      buttonUrls: text.includes('Read More [https://example.com/1]') && text.includes('[https://example.com/final]'),
+      numericButtonText: text.includes('2026 [https://example.com/3]'),
+      hiddenOmitted: !text.includes('Hidden Topic'),
+      footer: text.includes('Orono Technology Digital Learning Hub')
+    };
+
+    Object.keys(checks).forEach(name => {
+      console.log(`${checks[name] ? '✅' : '❌'} ${name}: ${checks[name] ? 'PASSED' : 'FAILED'}`);
+    });
+    const allPassed = Object.keys(checks).every(name => checks[name]);
+
+    return {
+      success: allPassed,
+      message: allPassed ? 'Plain-text body includes all newsletter content' : 'Plain-text body is missing content',
+      checks: checks
+    };
+
+  } catch (error) {
+    console.error('❌ Plain-text newsletter test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Plain-text newsletter test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Tests the pre-send validation checks against known-bad newsletter data
+ * @returns {Object} Test results
+ */
+function testNewsletterValidation() {
+  console.log('🧪 Testing Pre-Send Validation...');
+
+  try {
+    const badData = {
+      date: new Date(),
+      title: 'A newsletter title that is far too long to fit comfortably in any inbox subject line',
+      to: 'staff@example.com; not-an-email',
+      cc: 'Jane Doe <jane@example.com>',
+      bcc: '',
+      topics: [
+        { number: 1, title: 'Button Without URL', url: 'https://example.com/a.png', description: 'Text', buttonText: 'Click', buttonUrl: '' },
+        { number: 2, title: 'URL Without Button Text', url: '', description: 'Text', buttonText: '', buttonUrl: 'https://example.com' },
+        { number: 3, title: 'Insecure Image', url: 'http://example.com/c.png', description: 'Text' },
+        { number: 4, title: 'Broken Data URL', url: 'data:image/png;base64,not base64!', description: 'Text' },
+        { number: 5, title: '', url: '', description: 'Orphaned description' },
+        { number: 6, title: 'Title Only' }
+      ],
+      layoutStyle: 'Magazine'
+    };
+
+    const result = validateNewsletterData(badData);
+    const expectErrors = ['not-an-email', 'has no URL', 'has no button text', 'Topic 3 URL', 'Topic 4 URL', 'Topic 5 Title'];
+    const expectWarnings = ['subject line', 'Topic 6 Title', 'Magazine'];
+    const missingErrors = expectErrors.filter(text => !result.errors.some(message => message.includes(text)));
+    const missingWarnings = expectWarnings.filter(text => !result.warnings.some(message => message.includes(text)));
+    const bracketedAccepted = !result.errors.some(message => message.includes('jane@example.com'));
+
+    console.log('✅ Blocking errors detected:', missingErrors.length === 0 ? 'PASSED' : 'FAILED - missing ' + missingErrors.join(', '));
+    console.log('✅ Warnings detected:', missingWarnings.length === 0 ? 'PASSED' : 'FAILED - missing ' + missingWarnings.join(', '));
+    console.log('✅ "Name <address>" recipients accepted:', bracketedAccepted ? 'PASSED' : 'FAILED');
+
+    const goodData = {
+      date: new Date(),
+      title: 'Good Newsletter',
+      to: 'staff@example.com, teachers@example.com',
+      topics: [{ number: 1, title: 'Topic', url: 'https://drive.google.com/file/d/abc123/view', description: 'Text', buttonText: 'Go', buttonUrl: 'https://example.com' }],
+      layoutStyle: 'hero'
+    };
+    const goodResult = validateNewsletterData(goodData);
+    const cleanPassed = goodResult.errors.length === 0 && goodResult.warnings.length === 0;
+    console.log('✅ Valid newsletter passes cleanly:', cleanPassed ? 'PASSED' : 'FAILED');
+
+    const gridResult = validateNewsletterData(Object.assign({}, goodData, { layoutStyle: 'Grid' }));
+    const topicCountWarned = gridResult.warnings.some(message => message.includes('at least 2 topics'));
+    console.log('✅ Layout topic count warning:', topicCountWarned ? 'PASSED' : 'FAILED');
+
+    const allPassed = missingErrors.length === 0 && missingWarnings.length === 0 && bracketedAccepted && cleanPassed && topicCountWarned;
+    return {
+      success: allPassed,
+      message: allPassed ? 'Validation checks working correctly' : 'Some validation checks failed',
+      errors: result.errors,
+      warnings: result.warnings
+    };
+
+  } catch (error) {
+    console.error('❌ Validation test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Validation test failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Converts rich text from Google Sheets to HTML for single-line content
+ * @param {GoogleAppsScript.Spreadsheet.RichTextValue} richTextValue - Rich text from spreadsheet
+ * @param {Object} [options] - See convertRichTextRunsToHtml
+ * @returns {string} HTML formatted text
+ */
+function convertRichTextToHtmlSingleLine(richTextValue, options = {}) {
+  if (!richTextValue) return '';
+  
+  try {
+    const text = richTextValue.getText();
+    if (!text) return '';
+    
+    return convertRichTextRunsToHtml(richTextValue, options).replace(/\n/g, ' '); // Replace newlines with spaces for single line content
+    
+  } catch (error) {
+    console.error('Error converting rich text to HTML:', error);
+    return richTextValue ? richTextValue.getText() : '';
+  }
+}
+
+/**
+ * Converts the runs of a rich text value to inline HTML. Bold, italic, underline,
+ * strikethrough and font color carry over, linked runs become <a> tags (styled
+ * later from the theme by styleContentLinks) and font sizes are kept when
+ * options.preserveFontSize is set. Line breaks are left as newlines.
+ * @param {GoogleAppsScript.Spreadsheet.RichTextValue} richTextValue - Rich text from spreadsheet
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.preserveFontSize] - Keep font sizes that differ from the sheet default
+ * @param {string} [options.contentFormat] - 'markdown' makes getFormattedCellValue and
+ *   getFormattedCellValueSingleLine read the cell's text as Markdown instead
+ * @returns {string} Inline HTML
+ */
+function convertRichTextRunsToHtml(richTextValue, options = {}) {
+  const segments = [];
+  
+  for (const run of richTextValue.getRuns()) {
+    const linkUrl = (run.getLinkUrl && run.getLinkUrl()) || '';
+    const runHtml = formatRichTextRun(run, !!linkUrl, options);
+    const last = segments[segments.length - 1];
+    
+    // A link whose text mixes formatting is split into several runs
+    if (last && last.linkUrl === linkUrl) {
+      last.html += runHtml;
+    } else {
+      segments.push({ linkUrl: linkUrl, html: runHtml });
+    }
+  }
+  
+  return segments.map(segment => {
+    if (!segment.linkUrl) return segment.html;
+    if (!sanitizeUrl(segment.linkUrl)) {
+      console.warn(`Dropping link with unsupported URL: ${segment.linkUrl}`);
+      return segment.html;
+    }
+    return `<a href="${escapeHtml(segment.linkUrl.trim())}">${segment.html}</a>`;
+  }).join('');
+}
+
+/**
+ * Wraps the text of one rich text run in tags for its style
+ * @param {GoogleAppsScript.Spreadsheet.RichTextValue} run - Rich text run
+ * @param {boolean} isLink - Whether the run is part of a link. Sheets colors and
+ *   underlines links itself, so those are left to the theme's link style.
+ * @param {Object} options - See convertRichTextRunsToHtml
+ * @returns {string} HTML for the run
+ */
+function formatRichTextRun(run, isLink, options) {
+  let runText = run.getText();
+  const textStyle = run.getTextStyle();
+  if (!runText.trim()) return runText;
+  
+  if (textStyle.isBold()) {
+    runText = `<strong>${runText}</strong>`;
+  }
+  
+  if (textStyle.isItalic()) {
+    runText = `<em>${runText}</em>`;
+  }
+  
+  if (textStyle.isUnderline() && !isLink) {
+    runText = `<u>${runText}</u>`;
+  }
+  
+  if (textStyle.isStrikethrough()) {
+    runText = `<s>${runText}</s>`;
+  }
+  
+  const styles = [];
+  const color = textStyle.getForegroundColor();
+  if (color && !isLink && !/^#0{6}$/.test(color)) {
+    styles.push(`color: ${color}`);
+  }
+  
+  const fontSize = textStyle.getFontSize();
+  if (options.preserveFontSize && fontSize && fontSize !== SHEET_DEFAULT_FONT_SIZE) {
+    styles.push(`font-size: ${fontSize}pt`);
+  }
+  
+  if (styles.length) {
+    runText = `<span style="${styles.join('; ')};">${runText}</span>`;
+  }
+  
+  return runText;
+}
+
+/**
+ * Font size (pt) of unformatted sheet cells. Runs at this size are left at the
+ * newsletter's own text size.
+ */
+const SHEET_DEFAULT_FONT_SIZE = 10;
+
+/**
+ * Gets formatted text from a spreadsheet cell for single-line content
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read from
+ * @param {string} cellAddress - Cell address (e.g., 'B2', 'C5')
+ * @param {Object} [options] - See convertRichTextRunsToHtml
+ * @returns {string} HTML formatted text or plain text fallback
+ */
+function getFormattedCellValueSingleLine(sheet, cellAddress, options = {}) {
+  if (!sheet || !cellAddress) return '';
+  
+  try {
+    const range = sheet.getRange(cellAddress);
+    if (options.contentFormat === 'markdown') {
+      return convertMarkdownInline((range.getValue() || '').toString().replace(/\n/g, ' '));
+    }
+    
+    const richTextValue = range.getRichTextValue();
+    
+    if (richTextValue && richTextValue.getRuns().length > 0) {
+      return convertRichTextToHtmlSingleLine(richTextValue, options);
+    }
+    
+    const plainValue = range.getValue();
+    return plainValue ? plainValue.toString().replace(/\n/g, ' ') : '';
+    
+  } catch (error) {
+    console.error(`Error getting formatted cell value for ${cellAddress}:`, error);
+    try {
+      return sheet.getRange(cellAddress).getValue() || '';
+    } catch (fallbackError) {
+      console.error('Fallback getValue() also failed:', fallbackError);
+      return '';
+    }
+  }
+}
+
+/**
+ * Converts rich text from Google Sheets to HTML, preserving inline formatting, links and paragraph breaks
+ * @param {GoogleAppsScript.Spreadsheet.RichTextValue} richTextValue - Rich text from spreadsheet
+ * @param {Object} [options] - See convertRichTextRunsToHtml
+ * @returns {string} HTML formatted text
+ */
+function convertRichTextToHtml(richTextValue, options = {}) {
+  if (!richTextValue) return '';
+  
+  try {
+    const text = richTextValue.getText();
+    if (!text) return '';
+    
+    // Apply inline formatting first, then process the entire block for line and paragraph breaks
+    return processTextWithLineBreaks(convertRichTextRunsToHtml(richTextValue, options));
+    
+  } catch (error) {
+    console.error('Error converting rich text to HTML:', error);
+    // Fallback to plain text, but still process line breaks
+    return processTextWithLineBreaks(richTextValue ? richTextValue.getText() : '');
+  }
+}
+
+/**
+ * Processes text with line breaks and converts them to HTML paragraph and line break tags.
+ * Lines starting with "-", "*" or "1." become bulleted or numbered lists (indent a
+ * line further than the one above it to nest it), and lines starting with "##" or
+ * written in all caps become subheadings.
+ * @param {string} text - Input text with potential line breaks.
+ * @returns {string} Text with proper HTML paragraph/break structure.
+ */
+function processTextWithLineBreaks(text) {
+  if (!text || typeof text !== 'string') return '';
+
+  // Standardize line endings and trim whitespace from the whole block
+  const lines = text.replace(/\r\n|\r/g, '\n').trim().split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let listItems = [];
+
+  const flushParagraph = () => {
+    // Replace single newlines within a paragraph with <br>
+    if (paragraph.length) blocks.push(`<p style="margin: 0 0 10px 0;">${paragraph.join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (listItems.length) blocks.push(createTextListHtml(listItems));
+    listItems = [];
+  };
+
+  lines.forEach(line => {
+    const listItem = parseTextListLine(line);
+    if (listItem) {
+      flushParagraph();
+      listItems.push(listItem);
+      return;
+    }
+
+    flushList();
+    const heading = getTextHeading(line);
+    if (!line.trim() || heading) {
+      // Blank lines and subheadings end the current paragraph
+      flushParagraph();
+      if (heading) blocks.push(`<h3 style="margin: 16px 0 8px 0; font-size: 12pt; font-weight: 700; line-height: 1.3;">${heading}</h3>`);
+      return;
+    }
+
+    paragraph.push(line);
+  });
+
+  flushParagraph();
+  flushList();
+  return blocks.join('');
+}
+
+/**
+ * Parses a bulleted ("-", "*", "•") or numbered ("1." or "1)") list line
+ * @param {string} line - One line of cell text
+ * @returns {Object|null} { indent, ordered, text } or null if the line isn't a list item
+ */
+function parseTextListLine(line) {
+  const match = line.match(/^([ \t]*)([-*•]|\d{1,2}[.)])[ \t]+(\S.*)$/);
+  if (!match) return null;
+
+  return {
+    indent: match[1].replace(/\t/g, '    ').length,
+    ordered: /\d/.test(match[2]),
+    number: parseInt(match[2], 10) || 0,
+    text: match[3].trim()
+  };
+}
+
+/**
+ * Gets the subheading text of a line that starts with "##" or is written in all caps
+ * @param {string} line - One line of cell text (may contain inline formatting tags)
+ * @returns {string} Heading text, or '' if the line isn't a subheading
+ */
+function getTextHeading(line) {
+  const trimmed = line.trim();
+  const marked = trimmed.match(/^#{2,}\s*(\S.*)$/);
+  if (marked) return marked[1];
+
+  const plain = stripHtmlTags(trimmed);
+  const letters = plain.match(/[A-Z]/g) || [];
+  return letters.length >= 3 && !/[a-z]/.test(plain) && plain.length <= 80 ? trimmed : '';
+}
+
+/**
+ * Renders parsed list lines as nested <ul>/<ol> markup. An item indented past
+ * its parent list belongs to the open child list, even when the indents of the
+ * child items don't line up. A numbered list keeps the number its first item
+ * was typed with (e.g. steps that carry on after a paragraph).
+ * @param {Array<Object>} items - Items from parseTextListLine, in order
+ * @returns {string} List HTML
+ */
+function createTextListHtml(items) {
+  const listStyle = depth => `margin: ${depth ? '6px 0 0 0' : '0 0 10px 0'}; padding: 0 0 0 24px;`;
+  const openList = (tag, depth, number) =>
+    `<${tag}${tag === 'ol' && number > 1 ? ` start="${number}"` : ''} style="${listStyle(depth)}">`;
+  const stack = [];
+  let html = '';
+
+  items.forEach(item => {
+    const tag = item.ordered ? 'ol' : 'ul';
+    while (stack.length > 1 && item.indent <= stack[stack.length - 2].indent) {
+      html += `</li></${stack.pop().tag}>`;
+    }
+
+    const current = stack[stack.length - 1];
+    if (!current || item.indent > current.indent) {
+      // Nested lists go inside the previous item
+      html += openList(tag, stack.length, item.number);
+      stack.push({ tag: tag, indent: item.indent });
+    } else {
+      html += '</li>';
+      if (current.tag !== tag) {
+        html += `</${current.tag}>` + openList(tag, stack.length - 1, item.number);
+        current.tag = tag;
+      }
+    }
+
+    html += `<li style="margin: 0 0 6px 0;">${item.text}`;
+  });
+
+  while (stack.length) {
+    html += `</li></${stack.pop().tag}>`;
+  }
+
+  return html;
+}
+
+/**
+ * Gets formatted text from a spreadsheet cell, preserving rich text formatting
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read from
+ * @param {string} cellAddress - Cell address (e.g., 'B2', 'C5')
+ * @param {Object} [options] - See convertRichTextRunsToHtml
+ * @returns {string} HTML formatted text or plain text fallback
+ */
+function getFormattedCellValue(sheet, cellAddress, options = {}) {
+  if (!sheet || !cellAddress) return '';
+  
+  try {
+    const range = sheet.getRange(cellAddress);
+    if (options.contentFormat === 'markdown') {
+      return convertMarkdownToHtml((range.getValue() || '').toString());
+    }
+    
+    const richTextValue = range.getRichTextValue();
+    
+    // If rich text is available and has formatting, convert to HTML
+    if (richTextValue && richTextValue.getRuns().length > 0) {
+      return convertRichTextToHtml(richTextValue, options);
+    }
+    
+    // Fallback to plain text with basic line break processing
+    const plainValue = range.getValue();
+    if (plainValue && typeof plainValue === 'string') {
+      return processTextWithLineBreaks(plainValue);
+    }
+    
+    return plainValue ? plainValue.toString() : '';
+    
+  } catch (error) {
+    console.error(`Error getting formatted cell value for ${cellAddress}:`, error);
+    // Final fallback to basic getValue()
+    try {
+      return sheet.getRange(cellAddress).getValue() || '';
+    } catch (fallbackError) {
+      console.error('Fallback getValue() also failed:', fallbackError);
+      return '';
+    }
+  }
+}
+
+/**
+ * Content formats for the "Content Format" row and setting (key -> display name)
+ */
+const CONTENT_FORMATS = {
+  richText: 'Rich Text',
+  markdown: 'Markdown'
+};
+
+/**
+ * Content format used when neither the column nor the Config sheet sets one
+ */
+const DEFAULT_CONTENT_FORMAT = 'richText';
+
+/**
+ * Resolves a content format name, falling back to the "Content Format" setting when
+ * the column has none
+ * @param {string} [name] - Content Format row value
+ * @returns {string|null} Format key, or null if the name isn't a known format
+ */
+function getContentFormat(name) {
+  const value = normalizeLabel(name || getConfigSetting('Content Format', ''));
+  if (!value) return DEFAULT_CONTENT_FORMAT;
+  return Object.keys(CONTENT_FORMATS).find(key => normalizeLabel(CONTENT_FORMATS[key]) === value || normalizeLabel(key) === value) || null;
+}
 
-                                        ${heroTopic.url ? `
-                                        <div class="responsive-image" style="margin-bottom: 25px; border-radius: 12px; overflow: hidden; border: 1px solid #eaecf5;">
-                                            <img src="${heroTopic.url}" alt="${heroTopic.title}" style="width: 100%; height: auto; display: block;">
-                                        </div>
-                                        ` : ''}
+/**
+ * Converts Markdown cell text to the same HTML as formatted rich text: paragraphs,
+ * lists and "#" headings go through processTextWithLineBreaks, "> " lines become
+ * block quotes and inline syntax is handled by convertMarkdownInline
+ * @param {string} markdown - Cell text
+ * @returns {string} HTML
+ */
+function convertMarkdownToHtml(markdown) {
+  if (!markdown || typeof markdown !== 'string') return '';
 
-                                        ${heroTopic.description ? `
-                                        <div style="background: linear-gradient(135deg, #eaecf5 0%, #f3f3f3 100%); padding: 25px; border-radius: 8px; border-left: 4px solid #2d3f89;">
-                                            <div class="p" style="color: #666666; font-size: 11pt; font-weight: 400; line-height: 1.6; text-align: center; font-family: Roboto, Arial, sans-serif;">${heroTopic.description}</div>
-                                        </div>
-                                        ` : ''}
+  const groups = [];
+  markdown.replace(/\r\n|\r/g, '\n').trim().split('\n').forEach(line => {
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    const text = quote ? quote[1] : line.replace(/^\s*#{1,6}\s+/, '## ');
+    const last = groups[groups.length - 1];
+    if (last && last.quote === !!quote) {
+      last.lines.push(text);
+    } else {
+      groups.push({ quote: !!quote, lines: [text] });
+    }
+  });
 
-                                        ${heroTopic.buttonText && heroTopic.buttonUrl ? `
-                                        <div style="text-align: center; margin-top: 20px;">
-                                            ${createButtonHTML(heroTopic.buttonText, heroTopic.buttonUrl, blueFallback, blueGradient, '12px 24px', '12pt')}
-                                        </div>
-                                        ` : ''}
-                                    </td>
-                                </tr>
-                            </table>
-                            `;
+  return groups.map(group => {
+    const html = processTextWithLineBreaks(group.lines.map(convertMarkdownInline).join('\n'));
+    return group.quote && html
+      ? `<blockquote style="margin: 0 0 10px 0; padding: 4px 0 4px 12px; font-style: italic;">${html}</blockquote>`
+      : html;
+  }).join('');
+}
+
+/**
+ * Converts inline Markdown (code, images, links, bold, italic, strikethrough) to HTML.
+ * Other text is escaped, so literal HTML in the cell shows as typed.
+ * @param {string} text - One line of Markdown
+ * @returns {string} HTML
+ */
+function convertMarkdownInline(text) {
+  if (!text) return '';
+
+  // Code spans, images and link tags are set aside first so nothing inside
+  // them (such as the underscores in a URL) is formatted
+  const setAside = [];
+  const placeholder = markup => {
+    setAside.push(markup);
+    return `\u0000${setAside.length - 1}\u0000`;
+  };
+
+  let html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (match, code) =>
+      placeholder(`<code style="font-family: Consolas, Menlo, monospace; font-size: 90%; padding: 0 4px;">${code}</code>`))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => {
+      const src = convertDriveImageUrl(decodeHtmlEntities(url));
+      return isValidTopicImageUrl(src)
+        ? placeholder(`<img src="${escapeHtml(src)}" alt="${alt}" style="max-width: 100%; height: auto;">`)
+        : alt;
+    })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+      sanitizeUrl(decodeHtmlEntities(url)) ? `${placeholder(`<a href="${url}">`)}${label}</a>` : label);
+
+  html = html
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])([*_])(?=\S)([^*_]*?\S)\2(?![\w*])/g, '$1<em>$3</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => setAside[index]);
+}
+
+/**
+ * Strips HTML tags from a string
+ * @param {string} html - The string containing HTML
+ * @returns {string} The string with HTML tags removed
+ */
+function stripHtmlTags(html) {
+  if (!html || typeof html !== 'string') {
+    return '';
+  }
+  return html.replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Converts formatted cell HTML to readable plain text. Paragraph boundaries
+ * become blank lines, line breaks become newlines and common entities are decoded.
+ * @param {string} html - HTML to convert
+ * @returns {string} Plain text
+ */
+function htmlToPlainText(html) {
+  if (!html || typeof html !== 'string') {
+    return '';
+  }
+  const text = stripHtmlTags(listHtmlToPlainText(html)
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|h[1-6]|blockquote)(\s[^>]*)?>/gi, '\n\n')
+    .replace(/<img\s[^>]*alt="([^"]+)"[^>]*>/gi, '[$1]')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, linkText) =>
+      stripHtmlTags(linkText).trim() === href ? linkText : `${linkText} (${href})`));
+  return decodeHtmlEntities(text.replace(/&nbsp;/g, ' '))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Escapes a value for a double-quoted attribute. Line breaks and other control
+ * characters become spaces so a value can't spill out of its attribute.
+ * @param {string} value - Raw attribute value (e.g. a URL from sanitizeUrl)
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  if (value === null || value === undefined) return '';
+  return escapeHtml(value.toString().replace(/[\u0000-\u001f\u007f]+/g, ' '));
+}
+
+/**
+ * Builds image alt text from formatted content such as a topic title: tags are
+ * stripped, entities decoded and whitespace collapsed before escaping
+ * @param {string} html - Sanitized HTML (or plain text)
+ * @returns {string} Escaped alt text
+ */
+function getAltText(html) {
+  return escapeAttribute(htmlToPlainText(html || '').replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Replaces <ul>/<ol> markup with "- " and "1. " list lines, indented by nesting
+ * depth. Numbered lists count from their start attribute.
+ * @param {string} html - HTML to convert
+ * @returns {string} HTML with list tags replaced by text
+ */
+function listHtmlToPlainText(html) {
+  const stack = [];
+
+  return html.replace(/<(\/?)(ul|ol|li)\b[^>]*>/gi, (match, closing, tag) => {
+    tag = tag.toLowerCase();
+    if (tag === 'li') {
+      const list = stack[stack.length - 1];
+      if (closing || !list) return closing ? '' : '\n';
+      list.count++;
+      return '\n' + '  '.repeat(stack.length - 1) + (list.ordered ? list.count + '. ' : '- ');
+    }
+
+    if (closing) {
+      stack.pop();
+    } else {
+      const start = match.match(/\sstart="(\d+)"/i);
+      stack.push({ ordered: tag === 'ol', count: start ? parseInt(start[1], 10) - 1 : 0 });
+    }
+    return stack.length === (closing ? 0 : 1) ? '\n\n' : '';
+  });
+}
+
+/**
+ * Escapes text for safe use inside HTML content or a quoted attribute.
+ * Renderers use this for plain text placed between tags; attribute values go
+ * through escapeAttribute and image alt text through getAltText.
+ * @param {string} text - Plain text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return text.toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Tags kept by sanitizeHtml, each with the attributes it may keep
+ */
+const SANITIZE_ALLOWED_TAGS = {
+  strong: [],
+  b: [],
+  em: [],
+  i: [],
+  u: [],
+  s: [],
+  br: [],
+  span: ['style'],
+  a: ['href', 'style'],
+  p: ['style'],
+  ul: ['style'],
+  ol: ['start', 'style'],
+  li: ['style'],
+  h3: ['style'],
+  h4: ['style'],
+  blockquote: ['style'],
+  code: ['style'],
+  img: ['src', 'alt', 'style']
+};
+
+/**
+ * Allowed tags that never have a closing tag
+ */
+const SANITIZE_VOID_TAGS = ['br', 'img'];
+
+/**
+ * Tags removed together with everything inside them
+ */
+const SANITIZE_DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'applet', 'noscript', 'noembed', 'noframes', 'template', 'textarea', 'title', 'xmp', 'svg', 'math', 'select', 'head'];
+
+/**
+ * CSS properties kept in style attributes by sanitizeHtml
+ */
+const SANITIZE_ALLOWED_STYLES = ['color', 'background-color', 'font-size', 'font-weight', 'font-style', 'text-decoration', 'margin', 'padding', 'line-height', 'font-family', 'border-left', 'max-width', 'height'];
+
+/**
+ * Sanitizes HTML content to prevent XSS while preserving safe formatting tags.
+ * The input is tokenized into text, comments and tags: tags in
+ * SANITIZE_ALLOWED_TAGS are rebuilt from their allowed attributes, closing tags
+ * are balanced against the open ones, dangerous elements are dropped with their
+ * content and everything else is removed or escaped as text.
+ * @param {string} html - HTML content to sanitize
+ * @returns {string} Sanitized HTML content
+ */
+function sanitizeHtml(html) {
+  if (!html || typeof html !== 'string') return '';
+  
+  const output = [];
+  const openTags = [];
+  let index = 0;
+  
+  while (index < html.length) {
+    const tagStart = html.indexOf('<', index);
+    if (tagStart === -1) {
+      output.push(escapeHtmlText(html.substring(index)));
+      break;
+    }
+    output.push(escapeHtmlText(html.substring(index, tagStart)));
+    
+    // Comments (including conditional comments) are dropped
+    if (html.startsWith('<!--', tagStart)) {
+      const commentEnd = html.indexOf('-->', tagStart + 4);
+      index = commentEnd === -1 ? html.length : commentEnd + 3;
+      continue;
+    }
+    
+    const tag = parseHtmlTag(html, tagStart);
+    if (!tag) {
+      // Not a complete tag, so the bracket is text
+      output.push('&lt;');
+      index = tagStart + 1;
+      continue;
+    }
+    index = tag.end;
+    
+    if (SANITIZE_DROP_CONTENT_TAGS.indexOf(tag.name) !== -1) {
+      if (!tag.closing && !tag.selfClosing) {
+        const closeStart = html.toLowerCase().indexOf('</' + tag.name, index);
+        const closeEnd = closeStart === -1 ? -1 : html.indexOf('>', closeStart);
+        index = closeEnd === -1 ? html.length : closeEnd + 1;
+      }
+      continue;
+    }
+    
+    if (!SANITIZE_ALLOWED_TAGS[tag.name]) continue;
+    
+    if (tag.closing) {
+      // Closing an outer tag closes everything opened inside it; stray closing tags are dropped
+      const openIndex = openTags.lastIndexOf(tag.name);
+      while (openIndex !== -1 && openTags.length > openIndex) {
+        output.push(`</${openTags.pop()}>`);
+      }
+      continue;
+    }
+    
+    output.push(`<${tag.name}${sanitizeTagAttributes(tag.name, tag.attributes)}>`);
+    if (SANITIZE_VOID_TAGS.indexOf(tag.name) === -1) {
+      openTags.push(tag.name);
+    }
   }
   
-  if (topics.length > 1) {
-    // Add a divider between the hero and the columns
-    html += `
-                            <!-- DIVIDER -->
-                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin: 40px 0;">
-                                <tr>
-                                    <td style="border-bottom: 1px solid #eaecf5;"></td>
-                                </tr>
-                            </table>
-                            `;
+  while (openTags.length) {
+    output.push(`</${openTags.pop()}>`);
+  }
+  
+  return output.join('');
+}
+
+/**
+ * Parses the tag starting at a "<"
+ * @param {string} html - HTML being tokenized
+ * @param {number} start - Index of the "<"
+ * @returns {Object|null} { name, closing, selfClosing, attributes: [{ name, value }], end },
+ *   or null if there is no complete tag at this position
+ */
+function parseHtmlTag(html, start) {
+  const namePattern = /<(\/?)([a-zA-Z][\w:-]*)/y;
+  namePattern.lastIndex = start;
+  const nameMatch = namePattern.exec(html);
+  if (!nameMatch) return null;
+  
+  const tag = {
+    name: nameMatch[2].toLowerCase(),
+    closing: nameMatch[1] === '/',
+    selfClosing: false,
+    attributes: [],
+    end: -1
+  };
+  const attributeNamePattern = /[^\s"'>\/=]+/y;
+  const unquotedValuePattern = /[^\s>]*/y;
+  let position = namePattern.lastIndex;
+  
+  while (position < html.length) {
+    const char = html[position];
+    if (char === '>') {
+      tag.end = position + 1;
+      return tag;
+    }
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+    if (char === '/') {
+      tag.selfClosing = html[position + 1] === '>';
+      position++;
+      continue;
+    }
+    
+    attributeNamePattern.lastIndex = position;
+    const attributeName = attributeNamePattern.exec(html);
+    if (!attributeName) {
+      // Stray quote or "=" outside an attribute
+      position++;
+      continue;
+    }
+    position = attributeNamePattern.lastIndex;
+    while (/\s/.test(html[position] || '')) position++;
+    
+    let value = '';
+    if (html[position] === '=') {
+      position++;
+      while (/\s/.test(html[position] || '')) position++;
+      const quote = html[position];
+      if (quote === '"' || quote === "'") {
+        const valueEnd = html.indexOf(quote, position + 1);
+        if (valueEnd === -1) return null;
+        value = html.substring(position + 1, valueEnd);
+        position = valueEnd + 1;
+      } else {
+        unquotedValuePattern.lastIndex = position;
+        value = unquotedValuePattern.exec(html)[0];
+        position = unquotedValuePattern.lastIndex;
+      }
+    }
+    
+    tag.attributes.push({ name: attributeName[0].toLowerCase(), value: decodeHtmlEntities(value) });
+  }
+  
+  return null;
+}
 
-    const leftTopic = topics[1];
-    const rightTopic = topics.length > 2 ? topics[2] : null;
+/**
+ * Rebuilds the attributes of an allowed tag: URLs must pass sanitizeUrl and
+ * styles are cut down to SANITIZE_ALLOWED_STYLES. Event handlers and any other
+ * attribute are dropped.
+ * @param {string} tagName - Lowercase tag name
+ * @param {Array<Object>} attributes - Parsed { name, value } attributes (values decoded)
+ * @returns {string} Attribute string (with a leading space) or ''
+ */
+function sanitizeTagAttributes(tagName, attributes) {
+  const allowed = SANITIZE_ALLOWED_TAGS[tagName] || [];
+  const seen = {};
+  let result = '';
+  
+  attributes.forEach(attribute => {
+    const name = attribute.name;
+    if (allowed.indexOf(name) === -1 || seen[name]) return;
+    seen[name] = true;
+    
+    let value = attribute.value;
+    if (name === 'href' || name === 'src') {
+      value = sanitizeUrl(value, name === 'src' ? 'image' : 'link');
+    } else if (name === 'style') {
+      value = sanitizeStyle(value);
+    } else if (name === 'start') {
+      value = /^\s*\d{1,4}\s*$/.test(value) ? parseInt(value, 10).toString() : '';
+    }
+    
+    if (value || name === 'alt') {
+      result += ` ${name}="${escapeHtml(value)}"`;
+    }
+  });
+  
+  return result;
+}
 
-    html += `
-                            <!-- Two Column Section -->
-                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
-                                <tr>
-                                    <!-- Left Column -->
-                                    <td width="48%" class="responsive-cell" style="vertical-align: top; padding-right: ${rightTopic ? '15px' : '0'};">
-                                        <h3 class="h3" style="font-family: Lexend, Arial, sans-serif; color: #1d2a5d; font-size: 18pt; font-weight: 600; margin: 0 0 15px 0; line-height: 1.3;">${leftTopic.title}</h3>
+/**
+ * Keeps the declarations of a style attribute whose property is in
+ * SANITIZE_ALLOWED_STYLES and whose value is a plain color, length or keyword
+ * (no url(), expression() or escapes)
+ * @param {string} style - Style attribute value
+ * @returns {string} Cleaned declarations ('' if none are left)
+ */
+function sanitizeStyle(style) {
+  return (style || '').split(';').map(declaration => {
+    const separator = declaration.indexOf(':');
+    if (separator === -1) return '';
+    const property = declaration.substring(0, separator).trim().toLowerCase();
+    const value = declaration.substring(separator + 1).trim();
+    if (SANITIZE_ALLOWED_STYLES.indexOf(property) === -1) return '';
+    if (!/^[#\w\s.,%-]+$/.test(value)) return '';
+    return `${property}: ${value}`;
+  }).filter(Boolean).map(declaration => declaration + ';').join(' ');
+}
 
-                                        ${leftTopic.url ? `
-                                        <div class="responsive-image" style="margin-bottom: 15px; border-radius: 6px; overflow: hidden; border: 1px solid #eaecf5;">
-                                            <img src="${leftTopic.url}" alt="${leftTopic.title}" style="width: 100%; height: auto; display: block;">
-                                        </div>
-                                        ` : ''}
+/**
+ * URL schemes sanitizeUrl allows, by where the URL is used. Images may also be
+ * base64 data:image URLs (see isValidBase64ImageUrl).
+ */
+const SAFE_URL_SCHEMES = {
+  link: ['http', 'https', 'mailto', 'tel'],
+  image: ['http', 'https', 'cid']
+};
 
-                                        ${leftTopic.description ? `
-                                        <div style="background-color: #eaecf5; padding: 15px; border-radius: 6px; border-left: 3px solid #2d3f89;">
-                                            <div class="p" style="color: #666666; font-size: 11pt; font-weight: 400; line-height: 1.5; font-family: Roboto, Arial, sans-serif;">${leftTopic.description}</div>
-                                        </div>
-                                        ` : ''}
+/**
+ * Checks a URL that will be written into an href or src attribute. This is the
+ * one URL allowlist: rendering, the sanitizer and validation all use it.
+ * The URL must use a SAFE_URL_SCHEMES scheme (http and https need "//") and
+ * can't contain whitespace, control characters, quotes, angle brackets or backslashes.
+ * @param {string} url - URL (already entity-decoded)
+ * @param {string} [kind] - "link" (href, the default) or "image" (src)
+ * @returns {string} The trimmed URL, or '' if it isn't allowed
+ */
+function sanitizeUrl(url, kind = 'link') {
+  const value = (url || '').toString().trim();
+  if (kind === 'image' && isValidBase64ImageUrl(value)) return value;
 
-                                        ${leftTopic.buttonText && leftTopic.buttonUrl ? `
-                                        <div style="text-align: center; margin-top: 15px;">
-                                            ${createButtonHTML(leftTopic.buttonText, leftTopic.buttonUrl, blueFallback, blueGradient, '8px 16px', '10pt')}
-                                        </div>
-                                        ` : ''}
-                                    </td>
+  const match = value.match(/^([a-z][a-z0-9+.-]*):(.+)$/i);
+  if (!match || SAFE_URL_SCHEMES[kind].indexOf(match[1].toLowerCase()) === -1) return '';
+  if (/^https?$/i.test(match[1]) && match[2].indexOf('//') !== 0) return '';
+  return /^[^\s\u0000-\u001f"'<>\\]+$/.test(value) ? value : '';
+}
 
-                                    ${rightTopic ? `
-                                    <!-- Right Column -->
-                                    <td width="4%" class="responsive-cell-padding" style="padding: 0;"></td>
-                                    <td width="48%" class="responsive-cell" style="vertical-align: top; padding-left: 15px;">
-                                        <h3 class="h3" style="font-family: Lexend, Arial, sans-serif; color: #1d2a5d; font-size: 18pt; font-weight: 600; margin: 0 0 15px 0; line-height: 1.3;">${rightTopic.title}</h3>
+/**
+ * Escapes text between tags for sanitizeHtml: "<" and ">" always, "&" unless it
+ * already starts an entity
+ * @param {string} text - Text content
+ * @returns {string} Escaped text
+ */
+function escapeHtmlText(text) {
+  return text
+    .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
 
-                                        ${rightTopic.url ? `
-                                        <div class="responsive-image" style="margin-bottom: 15px; border-radius: 6px; overflow: hidden; border: 1px solid #eaecf5;">
-                                            <img src="${rightTopic.url}" alt="${rightTopic.title}" style="width: 100%; height: auto; display: block;">
-                                        </div>
-                                        ` : ''}
 
-                                        ${rightTopic.description ? `
-                                        <div style="background-color: #eaecf5; padding: 15px; border-radius: 6px; border-left: 3px solid #2d3f89;">
-                                            <div class="p" style="color: #666666; font-size: 11pt; font-weight: 400; line-height: 1.5; font-family: Roboto, Arial, sans-serif;">${rightTopic.description}</div>
-                                        </div>
-                                        ` : ''}
+/**
+ * Converts a numeric character reference to its character
+ * @param {number} code - Code point
+ * @param {string} fallback - Text to keep if the code point is invalid
+ * @returns {string} Character
+ */
+function safeFromCodePoint(code, fallback) {
+  return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : fallback;
+}
 
-                                        ${rightTopic.buttonText && rightTopic.buttonUrl ? `
-                                        <div style="text-align: center; margin-top: 15px;">
-                                            ${createButtonHTML(rightTopic.buttonText, rightTopic.buttonUrl, blueFallback, blueGradient, '8px 16px', '10pt')}
-                                        </div>
-                                        ` : ''}
-                                    </td>
-                                    ` : `<td width="52%"></td>`}
-                                </tr>
-                            </table>
-                            `;
+/**
+ * Decodes the entities escapeHtml produces and numeric character references
+ * @param {string} text - Escaped text
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return (text || '')
+    .replace(/&#(\d+);?/g, (match, code) => safeFromCodePoint(parseInt(code, 10), match))
+    .replace(/&#x([0-9a-f]+);?/gi, (match, code) => safeFromCodePoint(parseInt(code, 16), match))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Adds theme colors to the block quotes and code spans of sanitized content:
+ * a primary color bar beside quotes and a panel color box behind code, both
+ * with dark mode classes
+ * @param {string} html - Sanitized content HTML
+ * @param {Object} theme - Newsletter theme
+ * @returns {string} HTML with styled quotes and code
+ */
+function styleContentBlocks(html, theme) {
+  if (!html) return html || '';
+  return html
+    .replace(/<blockquote style="/g, `<blockquote class="dark-quote" style="border-left: 3px solid ${theme.primaryColor}; `)
+    .replace(/<code style="/g, `<code class="dark-panel" style="background-color: ${theme.panelColor}; `);
+}
+
+/**
+ * Adds the theme's heading font and color to the subheadings of sanitized content
+ * @param {string} html - Sanitized content HTML
+ * @param {Object} theme - Newsletter theme
+ * @param {string} [color] - Heading color (defaults to theme.headingColor)
+ * @returns {string} HTML with styled subheadings
+ */
+function styleContentHeadings(html, theme, color = theme.headingColor) {
+  if (!html) return html || '';
+  const darkClass = color === theme.headingColor ? ' class="dark-heading"' : '';
+  return html.replace(/<(h[34]) style="/g, (match, tag) =>
+    `<${tag}${darkClass} style="font-family: ${theme.headingFont}; color: ${color}; `);
+}
+
+/**
+ * Adds the theme's link style to the <a> tags of sanitized content
+ * @param {string} html - Sanitized content HTML
+ * @param {Object} theme - Newsletter theme
+ * @param {string} [color] - Link color (defaults to theme.linkColor)
+ * @returns {string} HTML with styled links
+ */
+function styleContentLinks(html, theme, color = theme.linkColor) {
+  if (!html) return html || '';
+  const darkClass = color === theme.linkColor ? ' class="dark-link"' : '';
+  return html.replace(/<a href="([^"]*)"(?: style="[^"]*")?>/g, (match, href) =>
+    `<a href="${href}"${darkClass} style="color: ${color}; text-decoration: ${theme.linkDecoration};" target="_blank">`);
+}
+
+/**
+ * Comprehensive test for rich text formatting support
+ * @returns {Object} Test results
+ */
+function testRichTextFormatting() {
+  console.log('🧪 Testing Rich Text Formatting Support...');
+  
+  try {
+    // Test the rich text processing functions
+    console.log('📝 Testing processTextWithLineBreaks...');
+    
+    const singleLineText = 'Single line text';
+    const multiLineText = 'First paragraph\n\nSecond paragraph\nThird line';
+    const emptyText = '';
+    
+    const singleResult = processTextWithLineBreaks(singleLineText);
+    const multiResult = processTextWithLineBreaks(multiLineText);
+    const emptyResult = processTextWithLineBreaks(emptyText);
+    
+    console.log('✅ Single line:', singleResult === '<p style="margin: 0 0 10px 0;">Single line text</p>' ? 'PASSED' : 'FAILED');
+    console.log('✅ Multi line converted to paragraphs:', multiResult.includes('<p') ? 'PASSED' : 'FAILED');
+    console.log('✅ Empty text handled:', emptyResult === '' ? 'PASSED' : 'FAILED');
+    
+    // HTML sanitization is covered by testSanitizeHtml
+    
+    // Test mock rich text conversion
+    console.log('🎨 Testing mock formatted content generation...');
+    const mockFormattedData = {
+      date: new Date(),
+      title: '<strong>Bold Title</strong> with <em>italic text</em>',
+      subtitle: 'First line\n\nSecond paragraph',
+      topics: [
+        {
+          title: 'Topic with <strong>bold</strong> formatting',
+          url: 'https://example.com/image.jpg',
+          description: 'Description with multiple paragraphs\n\nSecond paragraph here',
+          buttonText: 'Learn More',
+          buttonUrl: 'https://example.com'
+        },
+        {
+          title: '<em>Italic</em> Topic Title',
+          url: 'https://example.com/image2.jpg',
+          description: 'Single line description with <strong>bold words</strong>',
+          buttonText: 'Read More',
+          buttonUrl: 'https://example.com'
+        },
+        {
+          title: 'Plain Topic Title',
+          url: 'https://example.com/image3.jpg',
+          description: 'Multi-line description\n\nWith paragraph breaks\nAnd additional lines',
+          buttonText: 'View More',
+          buttonUrl: 'https://example.com'
+        }
+      ],
+      layoutStyle: 'offset'
+    };
+    
+    // Test all layout types with formatted content
+    mockFormattedData.layoutStyle = 'stacked';
+    const stackedHtml = createNewsletterHTML(mockFormattedData);
+    console.log('✅ Stacked layout with formatting:', stackedHtml.length > 1000 ? 'PASSED' : 'FAILED');
+    
+    mockFormattedData.layoutStyle = 'hero';
+    const heroHtml = createNewsletterHTML(mockFormattedData);
+    console.log('✅ Hero layout with formatting:', heroHtml.length > 1000 ? 'PASSED' : 'FAILED');
+    
+    mockFormattedData.layoutStyle = 'offset';
+    const offsetHtml = createNewsletterHTML(mockFormattedData);
+    console.log('✅ Offset layout with formatting:', offsetHtml.length > 1000 ? 'PASSED' : 'FAILED');
+    
+    // Verify HTML contains formatted content
+    const containsFormatting = stackedHtml.includes('<strong>') || stackedHtml.includes('<em>') || stackedHtml.includes('<p style=');
+    console.log('✅ HTML contains formatting tags:', containsFormatting ? 'PASSED' : 'FAILED');
+    
+    console.log('🎉 SUCCESS: Rich text formatting system is working correctly!');
+    console.log('📊 Features supported:');
+    console.log('  ✅ Bold text (<strong> tags)');
+    console.log('  ✅ Italic text (<em> tags)');
+    console.log('  ✅ Paragraph breaks (multiple <p> tags)');
+    console.log('  ✅ All layout styles (stacked, hero, offset)');
+    console.log('  ✅ Backward compatibility with plain text');
+    
+    return {
+      success: true,
+      message: 'Rich text formatting system working correctly',
+      features: {
+        boldText: true,
+        italicText: true,
+        paragraphBreaks: true,
+        allLayouts: true,
+        backwardCompatibility: true
+      }
+    };
+    
+  } catch (error) {
+    console.error('❌ Rich text formatting test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Rich text formatting test failed: ' + error.message
+    };
   }
-  
-  return html;
-}
-
-/**
- * Generates offset (alternating) layout for topics
- * @param {Array} topics - Array of topic objects
- * @returns {string} HTML for offset layout
- */
-function generateOffsetLayout(topics) {
-  const blueFallback = '#2d3f89';
-  const blueGradient = 'linear-gradient(135deg, #2d3f89 0%, #4356a0 100%)';
-  return topics.map((topic, index) => {
-    const divider = index > 0 ? `
-                            <!-- DIVIDER -->
-                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin-bottom: 35px;">
-                                <tr>
-                                    <td style="border-bottom: 1px solid #eaecf5;"></td>
-                                </tr>
-                            </table>
-                            ` : '';
-
-    const isEven = index % 2 === 0;
-    const imageCell = topic.url ? `
-        <td width="33%" class="responsive-cell" style="padding: ${isEven ? '0 20px 0 0' : '0 0 0 20px'}; vertical-align: top;">
-            <div class="responsive-image" style="border-radius: 8px; overflow: hidden; border: 1px solid #eaecf5;">
-                <img src="${topic.url}" alt="${topic.title}" style="width: 100%; height: auto; display: block;">
-            </div>
-        </td>
-    ` : '';
-
-    const contentCell = `
-        <td class="responsive-cell" style="vertical-align: top; padding: 10px 0;">
-            <h2 class="h2" style="font-family: Lexend, Arial, sans-serif; color: #1d2a5d; font-size: 24pt; font-weight: 600; margin: 0 0 15px 0; line-height: 1.3;">${topic.title}</h2>
-            ${topic.description ? `
-            <div style="background-color: #eaecf5; padding: 18px; border-radius: 6px; border-left: 4px solid #2d3f89;">
-                <div class="p" style="color: #666666; font-size: 11pt; font-weight: 400; line-height: 1.6; font-family: Roboto, Arial, sans-serif;">${topic.description}</div>
-            </div>
-            ` : ''}
-            ${topic.buttonText && topic.buttonUrl ? `
-            <div style="text-align: center; margin-top: 15px;">
-                ${createButtonHTML(topic.buttonText, topic.buttonUrl, blueFallback, blueGradient, '10px 20px', '11pt')}
-            </div>
-            ` : ''}
-        </td>
-    `;
-
-    return divider + `
-                            <!-- Topic ${index + 1} - Offset Layout -->
-                            <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
-                                <tr>
-                                    ${isEven ? imageCell + contentCell : contentCell + imageCell}
-                                </tr>
-                            </table>
-                            `;
-  }).join('');
 }
 
 /**
- * Test function to preview newsletter HTML from any column
- * @param {string} column - Column letter (B, C, D, E, F) - defaults to B
+ * Adversarial tests for sanitizeHtml and sanitizeUrl
+ * @returns {Object} Test results
  */
-function testNewsletterGeneration(column = 'B') {
+function testSanitizeHtml() {
+  console.log('🧪 Testing HTML Sanitizer...');
+  
   try {
-    const html = generateNewsletterHTMLFromColumn(column);
-    const sheet = SpreadsheetApp.getActiveSheet();
-    const layoutStyle = sheet.getRange(column + '23').getValue() || 'Offset';
-    const date = sheet.getRange(column + '1').getValue();
-    const title = sheet.getRange(column + '2').getValue();
+    const pixel = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+    
+    // [name, input, expected output]
+    const cases = [
+      ['script with content', '<script>alert(1)</script>ok', 'ok'],
+      ['uppercase script with src', '<SCRIPT SRC=//evil.example.com/x.js></SCRIPT>ok', 'ok'],
+      ['nested script brackets', '<<script>script>alert(1)<</script>/script>', '&lt;/script&gt;'],
+      ['style element', '<style>body { display: none; }</style>ok', 'ok'],
+      ['iframe', '<iframe src="https://evil.example.com"></iframe>ok', 'ok'],
+      ['svg onload', '<svg onload=alert(1)><circle r="1"/></svg>ok', 'ok'],
+      ['comment hiding a tag', '<!--<script>alert(1)</script>-->ok', 'ok'],
+      ['event handler', '<strong onmouseover="alert(1)">b</strong>', '<strong>b</strong>'],
+      ['unquoted event handler', '<em onclick=alert(1)>i</em>', '<em>i</em>'],
+      ['javascript link', '<a href="javascript:alert(1)">x</a>', '<a>x</a>'],
+      ['mixed case scheme', '<a href="JaVaScRiPt:alert(1)">x</a>', '<a>x</a>'],
+      ['entity encoded scheme', '<a href="&#106;avascript:alert(1)">x</a>', '<a>x</a>'],
+      ['hex entity scheme', '<a href="&#x6A;avascript&#x3A;alert(1)">x</a>', '<a>x</a>'],
+      ['tab inside scheme', '<a href="java\tscript:alert(1)">x</a>', '<a>x</a>'],
+      ['vbscript link', '<a href="vbscript:msgbox(1)">x</a>', '<a>x</a>'],
+      ['data html link', '<a href="data:text/html;base64,PHNjcmlwdD4=">x</a>', '<a>x</a>'],
+      ['protocol relative link', '<a href="//evil.example.com">x</a>', '<a>x</a>'],
+      ['quote in URL', `<a href='https://example.com/?q="x"'>x</a>`, '<a>x</a>'],
+      ['duplicate href', '<a href="https://example.com" href="javascript:alert(1)">x</a>', '<a href="https://example.com">x</a>'],
+      ['safe links', '<a href="mailto:tech@example.com">m</a> <a href="tel:+15555550100">t</a>', '<a href="mailto:tech@example.com">m</a> <a href="tel:+15555550100">t</a>'],
+      ['escaped query string', '<a href="https://example.com/a?b=1&amp;c=2">x</a>', '<a href="https://example.com/a?b=1&amp;c=2">x</a>'],
+      ['img onerror', '<img src=x onerror=alert(1)>', '<img>'],
+      ['img data url', `<img src="${pixel}" alt="dot">`, `<img src="${pixel}" alt="dot">`],
+      ['img cid', '<img src="cid:img0123" alt="">', '<img src="cid:img0123" alt="">'],
+      ['alt breaking out', '<img src="https://example.com/a.png" alt="&quot; onerror=&quot;alert(1)">', '<img src="https://example.com/a.png" alt="&quot; onerror=&quot;alert(1)">'],
+      ['style url()', '<p style="background-image: url(javascript:alert(1)); color: red">t</p>', '<p style="color: red;">t</p>'],
+      ['style expression()', '<span style="width: expression(alert(1))">t</span>', '<span>t</span>'],
+      ['style with escapes', '<span style="color: \\72 ed; font-weight: 700">t</span>', '<span style="font-weight: 700;">t</span>'],
+      ['p with style and handler', '<p style="margin: 0" onclick="alert(1)">t</p>', '<p style="margin: 0;">t</p>'],
+      ['unterminated tag', '<img src="https://example.com/a.png" onerror="alert(1)', '&lt;img src="https://example.com/a.png" onerror="alert(1)'],
+      ['unbalanced tags', '<strong>bold <em>both</strong> after</em>', '<strong>bold <em>both</em></strong> after'],
+      ['unclosed tag', '<em>open', '<em>open</em>'],
+      ['comparison text', '3 < 4 && 5 > 2', '3 &lt; 4 &amp;&amp; 5 &gt; 2'],
+      ['entities kept', 'Tom &amp; Jerry &rarr; &#169;', 'Tom &amp; Jerry &rarr; &#169;'],
+      ['formatted paragraphs kept', processTextWithLineBreaks('First\n\nSecond\nline'), processTextWithLineBreaks('First\n\nSecond\nline')]
+    ];
+    
+    const failures = [];
+    cases.forEach(([name, input, expected]) => {
+      const actual = sanitizeHtml(input);
+      if (actual !== expected) {
+        failures.push(name);
+        console.log(`❌ ${name}: expected ${expected} but got ${actual}`);
+      }
+    });
+    
+    const urlCases = [
+      ['https://example.com/page', 'https://example.com/page'],
+      [' HTTP://Example.com ', 'HTTP://Example.com'],
+      ['tel:+15555550100', 'tel:+15555550100'],
+      ['cid:img0123', 'cid:img0123', 'image'],
+      ['cid:img0123', ''],
+      [pixel, pixel, 'image'],
+      [pixel, ''],
+      ['mailto:help@example.com', '', 'image'],
+      ['javascript:alert(1)', ''],
+      ['data:text/html,<script>alert(1)</script>', '', 'image'],
+      ['https://example.com/a b', ''],
+      ['https://example.com/a\\b', ''],
+      ['http:example.com', ''],
+      ['mailto:', ''],
+      ['/relative/path', ''],
+      ['', '']
+    ];
+    urlCases.forEach(([input, expected, kind]) => {
+      if (sanitizeUrl(input, kind) !== expected) {
+        failures.push(`sanitizeUrl(${input}, ${kind || 'link'})`);
+        console.log(`❌ sanitizeUrl(${input}, ${kind || 'link'}): expected "${expected}" but got "${sanitizeUrl(input, kind)}"`);
+      }
+    });
+    
+    if (createButtonHTML('Click', 'javascript:alert(1)', DEFAULT_THEME, { color: '#000000', secondaryColor: '#000000', padding: '10px 20px', fontSize: '11pt' }) !== '') {
+      failures.push('button with javascript: URL');
+    }
+    if (getImageSrc('javascript:alert(1)') !== '') {
+      failures.push('image with javascript: URL');
+    }
+    
+    const total = cases.length + urlCases.length + 2;
+    console.log(`✅ ${total - failures.length}/${total} sanitizer cases passed`);
+    
+    return {
+      success: failures.length === 0,
+      message: failures.length === 0 ? 'Sanitizer blocked every unsafe input' : `Sanitizer failed: ${failures.join(', ')}`,
+      failures: failures
+    };
     
-    console.log(`Test completed successfully for Column ${column}`);
-    console.log('Date:', date ? Utilities.formatDate(new Date(date), Session.getScriptTimeZone(), 'MM/dd/yyyy') : 'No date');
-    console.log('Title:', title || 'No title');
-    console.log('Layout Style:', layoutStyle);
-    console.log('HTML length:', html.length, 'characters');
-    return html;
   } catch (error) {
-    console.error(`Test failed for column ${column}:`, error);
-    return null;
+    console.error('❌ Sanitizer test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Sanitizer test failed: ' + error.message
+    };
   }
 }
 
 /**
- * Test function specifically for the Google Drive URL conversion.
+ * Tests that cell values are escaped in attributes, alt text and button labels,
+ * and that bad button URLs are reported with their cell
+ * @returns {Object} Test results
  */
-function testDriveUrlConversion() {
-  console.log('🧪 Testing Google Drive URL Conversion...');
-
-  const testFileId = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms'; // A real public 1x1 pixel
-  const testDriveUrl = `https://drive.google.com/file/d/${testFileId}/view?usp=sharing`;
-  const expectedUrl = `https://drive.google.com/uc?export=view&id=${testFileId}`;
-
+function testAttributeEscaping() {
+  console.log('🧪 Testing Attribute Escaping...');
+  
   try {
-    console.log(`🔄 Converting URL: ${testDriveUrl}`);
-    const result = convertDriveImageUrl(testDriveUrl);
-
-    if (result === expectedUrl) {
-      console.log('✅ SUCCESS: Google Drive URL correctly converted.');
-      console.log(`🔗 Result: ${result}`);
-      return { success: true, convertedUrl: result };
-    } else {
-      console.error('❌ FAILED: URL did not convert as expected.');
-      console.log(`Expected: ${expectedUrl}`);
-      console.log(`Received: ${result}`);
-      return { success: false, message: 'URL did not convert as expected', expected: expectedUrl, received: result };
-    }
+    const testData = {
+      date: new Date(),
+      title: 'Escaping "Test"',
+      topics: [
+        {
+          number: 1,
+          cells: { buttonUrl: 'B8' },
+          title: 'Say "Hi" to <strong>Q&amp;A</strong> \'day\'',
+          url: 'https://example.com/image.jpg?size=large&format=png',
+          description: 'Description',
+          buttonText: 'Q&A "Live" <now>',
+          buttonUrl: 'https://example.com/qa?day=1&time=2'
+        },
+        {
+          number: 2,
+          cells: { buttonUrl: 'B13' },
+          title: 'Bad Button',
+          url: '',
+          description: 'Description',
+          buttonText: 'Click',
+          buttonUrl: 'javascript:alert(document.cookie)'
+        }
+      ],
+      cells: { finalButtonUrl: 'B19' },
+      finalButtonUrl: 'https://example.com/final?a=1&b=2',
+      to: 'test@example.com',
+      layoutStyle: 'stacked'
+    };
+    
+    const html = createNewsletterHTML(testData);
+    const validation = validateNewsletterData(testData);
+    
+    const checks = {
+      altFromPlainTitle: html.includes('alt="Say &quot;Hi&quot; to Q&amp;A &#39;day&#39;"'),
+      imageUrlEscaped: html.includes('src="https://example.com/image.jpg?size=large&amp;format=png"'),
+      buttonTextEscaped: html.includes('>Q&amp;A &quot;Live&quot; &lt;now&gt;</a>') && !html.includes('<now>'),
+      buttonUrlEscaped: html.includes('href="https://example.com/qa?day=1&amp;time=2"') && html.includes('href="https://example.com/final?a=1&amp;b=2"'),
+      unsafeButtonDropped: !html.includes('javascript:'),
+      titleTagPlain: html.includes('<title>Escaping &quot;Test&quot;</title>'),
+      validationNamesCell: validation.errors.some(error => error.indexOf('(B13)') !== -1 && error.indexOf('not a valid button link') !== -1),
+      validSendNotBlocked: !validation.errors.some(error => error.indexOf('(B8)') !== -1 || error.indexOf('(B19)') !== -1),
+      validationMatchesRendering: ['https://example.com/a\\b', 'tel:+15555550100', 'cid:img0123'].every(url => {
+        const rendered = createButtonHTML('Call', url, DEFAULT_THEME, { color: '#000000', secondaryColor: '#000000', padding: '10px 20px', fontSize: '11pt' }) !== '';
+        const valid = !validateNewsletterData(Object.assign({}, testData, { finalButtonUrl: url })).errors.some(error => error.indexOf('(B19)') !== -1);
+        return rendered === valid;
+      })
+    };
+    
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
+    
+    const allPassed = Object.keys(checks).every(check => checks[check]);
+    
+    return {
+      success: allPassed,
+      message: allPassed ? 'Attributes, alt text and button labels are escaped' : 'Some values are not escaped',
+      results: checks
+    };
+    
   } catch (error) {
-    console.error('❌ Test failed with an error:', error);
-    return { success: false, error: error.message };
+    console.error('❌ Attribute escaping test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Attribute escaping test failed: ' + error.message
+    };
   }
 }
 
 /**
- * Comprehensive test for all image types and layout functionality
+ * Tests that click tracking rewrites every tracked link and signs it
+ * @returns {Object} Test results
  */
-function testImageAndButtonSupport() {
-  console.log('🧪 Running Comprehensive Image & Button Test...');
-  
-  // Test data with different image types
-  const testData = {
-    date: new Date(),
-    title: 'Image & Button Test Newsletter',
-    subtitle: 'Testing all image types and button functionality',
-    topic1: {
-      title: 'Base64 Image Topic',
-      url: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChAHGArEkFgAAAABJRU5ErkJggg==',
-      text: 'This topic uses a base64 encoded image',
-      buttonText: 'Base64 Button',
-      buttonUrl: 'https://example.com/base64'
-    },
-    topic2: {
-      title: 'Google Drive Image Topic',
-      url: 'https://drive.google.com/file/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/view?usp=sharing',
-      description: 'This topic uses a Google Drive shared image (will be converted to a direct link)',
-      buttonText: 'Drive Button',
-      buttonUrl: 'https://example.com/drive'
-    },
-    topic3: {
-      title: 'Direct URL Image Topic',
-      url: 'https://via.placeholder.com/300x200/0066cc/ffffff?text=Direct+URL',
-      description: 'This topic uses a direct image URL',
-      buttonText: 'Direct Button',
-      buttonUrl: 'https://example.com/direct'
-    },
-    finalButtonUrl: 'https://example.com/final',
-    to: 'test@example.com',
-    layoutStyle: 'offset'
-  };
+function testClickTracking() {
+  console.log('🧪 Testing Click Tracking...');
   
   try {
-    console.log('🔍 Testing image URL conversion...');
-    
-    // Test base64 image handling (should pass through)
-    const base64Result = convertDriveImageUrl(testData.topic1.url);
-    console.log('✅ Base64 image processing:', base64Result.startsWith('data:image/') ? 'PASSED' : 'FAILED');
+    const tracking = {
+      baseUrl: 'https://script.google.com/macros/s/test-deployment/exec',
+      clicks: true,
+      opens: false,
+      sheetName: 'Issues',
+      column: 'C',
+      recipient: '',
+      secret: 'test-secret'
+    };
+    const testData = {
+      date: new Date(),
+      title: 'Tracking <a href="https://example.com/about">Test</a>',
+      subtitle: 'From <a href="https://example.com/team">the team</a>',
+      topics: [
+        {
+          number: 1,
+          title: 'Topic One',
+          url: 'https://example.com/image1.jpg',
+          description: '<p>Read <a href="https://example.com/guide?a=1&amp;b=2">the guide</a> or <a href="mailto:help@example.com">email us</a></p>',
+          buttonText: 'Learn More',
+          buttonUrl: 'https://example.com/topic1'
+        }
+      ],
+      finalButtonUrl: 'https://example.com/final',
+      ctaButtons: 'Register | https://example.com/register',
+      to: 'test@example.com',
+      layoutStyle: 'stacked'
+    };
     
-    // Test Google Drive URL conversion to direct link
-    console.log('⏳ Testing Google Drive URL conversion...');
-    const driveResult = convertDriveImageUrl(testData.topic2.url);
-    const isConvertedCorrectly = driveResult.startsWith('https://drive.google.com/uc?export=view&id=');
-    console.log('✅ Google Drive conversion to direct URL:', isConvertedCorrectly ? 'PASSED' : 'FAILED');
+    const html = createNewsletterHTML(testData, { tracking: tracking });
+    const untrackedHtml = createNewsletterHTML(testData);
     
-    // Test direct URL passthrough
-    const directResult = convertDriveImageUrl(testData.topic3.url);
-    console.log('✅ Direct URL passthrough:', directResult === testData.topic3.url ? 'PASSED' : 'FAILED');
+    // Reads the query parameters of every tracked link
+    const trackedLinks = (html.match(/href="https:\/\/script\.google\.com\/macros\/s\/test-deployment\/exec\?[^"]+"/g) || []).map(attribute => {
+      const params = {};
+      decodeHtmlEntities(attribute.slice(attribute.indexOf('?') + 1, -1)).split('&').forEach(pair => {
+        const parts = pair.split('=');
+        params[parts[0]] = decodeURIComponent(parts[1]);
+      });
+      return params;
+    });
+    const linkIds = trackedLinks.map(params => params.l);
+    const validSignatures = trackedLinks.every(params =>
+      isValidTrackingSignature(params.sig, signTrackingValue(getClickSignatureBase(params), tracking.secret)));
+    const tampered = Object.assign({}, trackedLinks[0], { u: 'https://evil.example.com' });
     
-    console.log('🎨 Testing all layout styles...');
+    // A per-reader copy carries the reader's hashed address in every tracked link
+    const recipient = hashTrackingRecipient('Reader@Example.com ', tracking.secret);
+    const readerHtml = createNewsletterHTML(testData, { tracking: Object.assign({}, tracking, { recipient: recipient }) });
+    const readerLinks = readerHtml.match(/[?&]amp;r=[^&"]*/g) || [];
+    const readers = getRecipientAddresses({ to: 'a@example.com, Boss <boss@example.com>', cc: 'a@example.com', bcc: 'c@example.com' });
     
-    // Test Offset Layout
-    testData.layoutStyle = 'offset';
-    const offsetHTML = createNewsletterHTML(testData);
-    console.log('✅ Offset layout generated, length:', offsetHTML.length);
+    const redirectPage = createRedirectOutput('https://example.com/guide?a=1&b=2').getContent();
+    const expectedSignature = signTrackingValue(getClickSignatureBase(trackedLinks[0]), tracking.secret);
     
-    // Test Stacked Layout  
-    testData.layoutStyle = 'stacked';
-    const stackedHTML = createNewsletterHTML(testData);
-    console.log('✅ Stacked layout generated, length:', stackedHTML.length);
+    const checks = {
+      topicButton: linkIds.indexOf('topic1-button') !== -1,
+      contentLink: trackedLinks.some(params => params.l === 'topic1-link1' && params.u === 'https://example.com/guide?a=1&b=2'),
+      finalButton: trackedLinks.some(params => params.l === 'cta' && params.u === 'https://example.com/final'),
+      extraCtaButton: trackedLinks.some(params => params.l === 'cta-extra1' && params.u === 'https://example.com/register'),
+      titleLink: trackedLinks.some(params => params.l === 'title-link1' && params.u === 'https://example.com/about'),
+      subtitleLink: trackedLinks.some(params => params.l === 'subtitle-link1' && params.u === 'https://example.com/team'),
+      issueColumn: trackedLinks.every(params => params.c === 'C' && params.n === 'Issues'),
+      mailtoUntouched: html.includes('href="mailto:help@example.com"'),
+      signed: trackedLinks.length > 0 && validSignatures,
+      tamperingDetected: !isValidTrackingSignature(tampered.sig, signTrackingValue(getClickSignatureBase(tampered), tracking.secret)),
+      signatureChecks: isValidTrackingSignature(expectedSignature, expectedSignature) &&
+        !isValidTrackingSignature(expectedSignature.slice(0, -1) + (expectedSignature.slice(-1) === 'A' ? 'B' : 'A'), expectedSignature) &&
+        !isValidTrackingSignature(expectedSignature.slice(1), expectedSignature) &&
+        !isValidTrackingSignature(undefined, expectedSignature),
+      redirectContinueLink: redirectPage.includes('href="https://example.com/guide?a=1&amp;b=2" target="_top"') &&
+        redirectPage.includes('>Continue to example.com</a>') && redirectPage.indexOf('http-equiv="refresh"') === -1,
+      offByDefault: untrackedHtml.indexOf('test-deployment') === -1,
+      noOpenImage: html.indexOf('a=open') === -1,
+      recipientHashStable: recipient.length === 16 && recipient === hashTrackingRecipient('reader@example.com', tracking.secret),
+      recipientHashHidesAddress: recipient.indexOf('reader') === -1,
+      readersListedOnce: readers.join('|') === 'a@example.com|Boss <boss@example.com>|c@example.com',
+      readerListChangesDetected: getAddressListKey(readers) === getAddressListKey(readers.map(address => address.toUpperCase())) &&
+        getAddressListKey(readers) !== getAddressListKey(readers.slice(1)),
+      recipientInLinks: readerLinks.length === trackedLinks.length && readerLinks.every(param => param.endsWith('r=' + encodeURIComponent(recipient)))
+    };
     
-    // Test Hero Layout
-    testData.layoutStyle = 'hero';
-    const heroHTML = createNewsletterHTML(testData);
-    console.log('✅ Hero layout generated, length:', heroHTML.length);
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
     
-    console.log('🎉 SUCCESS: All image types and layouts working correctly!');
-    console.log('📸 Base64 images: ✅ Supported (Passthrough)');
-    console.log('🔄 Google Drive to Direct URL: ✅ Implemented');  
-    console.log('🌐 Direct URL images: ✅ Supported (Passthrough)');
-    console.log('🎯 Individual topic buttons: ✅ Working');
-    console.log('🎨 All layouts (Stacked, Hero, Offset): ✅ Working');
+    const allPassed = Object.keys(checks).every(check => checks[check]);
     
     return {
-      success: true,
-      message: 'All image types and button functionality working correctly',
-      imageSupport: {
-        base64: true,
-        googleDriveToDirectUrl: true,
-        directUrl: true
-      },
-      layoutSupport: {
-        offset: true,
-        stacked: true,
-        hero: true
-      }
+      success: allPassed,
+      message: allPassed ? 'Tracked links are rewritten and signed' : 'Click tracking rewrote links incorrectly',
+      results: checks
     };
     
   } catch (error) {
-    console.error('❌ Test failed:', error);
+    console.error('❌ Click tracking test failed:', error);
     return {
       success: false,
       error: error.message,
-      message: 'Image or button test failed: ' + error.message
+      message: 'Click tracking test failed: ' + error.message
     };
   }
 }
 
 /**
- * Quick test for button functionality without full spreadsheet
+ * Tests the open tracking image and the engagement report totals
+ * @returns {Object} Test results
  */
-function quickButtonTest() {
-  console.log('🧪 Running Quick Button Test...');
+function testEngagementTracking() {
+  console.log('🧪 Testing Open Tracking and Engagement Report...');
   
-  const result = validateButtonStructure();
-  
-  if (result.success) {
-    console.log('🎉 SUCCESS: Button functionality is working!');
-    console.log('✅ All layouts (Stacked, Hero, Offset) render correctly');
-    console.log('✅ Individual topic buttons appear when both buttonText and buttonUrl are provided');
-    console.log('✅ Backward compatibility maintained - topics without buttons still work');
-  } else {
-    console.log('❌ FAILED:', result.message);
+  try {
+    const tracking = {
+      baseUrl: 'https://script.google.com/macros/s/test-deployment/exec',
+      clicks: false,
+      opens: true,
+      sheetName: 'Issues',
+      column: 'D',
+      recipient: '',
+      secret: 'test-secret'
+    };
+    const testData = {
+      date: new Date(),
+      title: 'Open Tracking Test',
+      topics: [
+        {
+          number: 1,
+          title: 'Topic One',
+          url: 'https://example.com/image1.jpg',
+          description: '<p>Read <a href="https://example.com/guide">the guide</a></p>',
+          buttonText: 'Learn More',
+          buttonUrl: 'https://example.com/topic1'
+        }
+      ],
+      finalButtonUrl: 'https://example.com/final',
+      to: 'test@example.com',
+      layoutStyle: 'stacked'
+    };
+    
+    const html = createNewsletterHTML(testData, { tracking: tracking });
+    const imageMatch = html.match(/<img src="(https:\/\/script\.google\.com\/macros\/s\/test-deployment\/exec\?a=open[^"]*)"[^>]*>/);
+    const params = {};
+    if (imageMatch) {
+      decodeHtmlEntities(imageMatch[1].slice(imageMatch[1].indexOf('?') + 1)).split('&').forEach(pair => {
+        const parts = pair.split('=');
+        params[parts[0]] = decodeURIComponent(parts[1]);
+      });
+    }
+    
+    const sends = [
+      { 'Timestamp': new Date(2026, 0, 5), 'Action': 'Sent', 'Sheet': 'Issues', 'Column': 'B', 'Subject': 'January', 'To Count': 2, 'CC Count': 1, 'BCC Count': 0 },
+      { 'Timestamp': new Date(2026, 1, 5), 'Action': 'Sent', 'Sheet': 'Issues', 'Column': 'C', 'Subject': 'February', 'To Count': 4, 'CC Count': 0, 'BCC Count': 0 },
+      { 'Timestamp': new Date(2026, 1, 4), 'Action': 'Test', 'Sheet': 'Issues', 'Column': 'C', 'Subject': 'February', 'To Count': 1, 'CC Count': 0, 'BCC Count': 0 }
+    ];
+    const opens = [
+      { 'Sheet': 'Issues', 'Column': 'B' },
+      { 'Sheet': 'Issues', 'Column': 'B' },
+      { 'Sheet': 'Issues', 'Column': 'C' }
+    ];
+    const clicks = [
+      { 'Sheet': 'Issues', 'Column': 'B', 'Link ID': 'topic1-button', 'Recipient': 'r1' },
+      { 'Sheet': 'Issues', 'Column': 'B', 'Link ID': 'topic1-link1', 'Recipient': 'r1' },
+      { 'Sheet': 'Issues', 'Column': 'B', 'Link ID': 'topic2-button', 'Recipient': '' },
+      { 'Sheet': 'Issues', 'Column': 'C', 'Link ID': 'topic3-button', 'Recipient': 'r1' },
+      { 'Sheet': 'Issues', 'Column': 'C', 'Link ID': 'topic3-button', 'Recipient': 'r2' },
+      { 'Sheet': 'Issues', 'Column': 'C', 'Link ID': 'cta', 'Recipient': 'r2' }
+    ];
+    const summary = summarizeEngagement(sends, opens, clicks);
+    const january = summary.issues.find(issue => issue.column === 'B');
+    const february = summary.issues.find(issue => issue.column === 'C');
+    const januaryTopic = number => summary.topics.find(topic => topic.column === 'B' && topic.topic === `Topic ${number}`);
+    const februaryTopic3 = summary.topics.find(topic => topic.column === 'C' && topic.topic === 'Topic 3');
+    
+    // End to end: two readers' copies -> signed link clicks -> summary. The
+    // click records hold what handleClickRequest logs for a correctly signed link.
+    const loggedClicks = [];
+    let clicksSigned = true;
+    ['one@example.com', 'two@example.com'].forEach(address => {
+      const readerHtml = createNewsletterHTML(testData, {
+        tracking: Object.assign({}, tracking, { clicks: true, opens: false, recipient: hashTrackingRecipient(address, tracking.secret) })
+      });
+      const readerLinks = (readerHtml.match(/href="https:\/\/script\.google\.com\/macros\/s\/test-deployment\/exec\?[^"]+"/g) || []).map(attribute => {
+        const linkParams = {};
+        decodeHtmlEntities(attribute.slice(attribute.indexOf('?') + 1, -1)).split('&').forEach(pair => {
+          const parts = pair.split('=');
+          linkParams[parts[0]] = decodeURIComponent(parts[1]);
+        });
+        return linkParams;
+      });
+      // Reader one clicks the topic button twice and the guide link; reader two clicks the button once
+      const button = readerLinks.find(linkParams => linkParams.l === 'topic1-button');
+      const guide = readerLinks.find(linkParams => linkParams.l === 'topic1-link1');
+      (address === 'one@example.com' ? [button, button, guide] : [button]).forEach(linkParams => {
+        clicksSigned = clicksSigned && linkParams.sig === signTrackingValue(getClickSignatureBase(linkParams), tracking.secret);
+        loggedClicks.push({ 'Sheet': linkParams.n, 'Column': linkParams.c, 'Link ID': linkParams.l, 'URL': linkParams.u, 'Recipient': linkParams.r });
+      });
+    });
+    const endToEnd = summarizeEngagement(
+      [{ 'Timestamp': new Date(2026, 2, 5), 'Action': 'Sent', 'Sheet': 'Issues', 'Column': 'D', 'Subject': 'March', 'To Count': 2, 'CC Count': 0, 'BCC Count': 0 }],
+      [],
+      loggedClicks
+    );
+    
+    const checks = {
+      openImage: !!imageMatch && /width="1" height="1" alt=""/.test(imageMatch[0]),
+      openImageIssue: params.c === 'D' && params.n === 'Issues',
+      openImageSigned: isValidTrackingSignature(params.sig, signTrackingValue(getOpenSignatureBase(params), tracking.secret)),
+      linksUntrackedWithoutClicks: html.indexOf('a=click') === -1,
+      noImageByDefault: createNewsletterHTML(testData).indexOf('a=open') === -1,
+      issuesInSendOrder: summary.issues.map(issue => issue.subject).join(',') === 'January,February',
+      recipientsAndOpens: january.recipients === 3 && january.opens === 2,
+      uniqueClicks: january.clicks === 3 && january.uniqueClicks === 1 && februaryTopic3.uniqueClicks === 2 && february.uniqueClicks === 2,
+      clicksWithoutRecipientNotUnique: januaryTopic(2).clicks === 1 && januaryTopic(2).uniqueClicks === 0 && januaryTopic(1).uniqueClicks === 1,
+      endToEndClicksSigned: clicksSigned && loggedClicks.length === 4 &&
+        loggedClicks.every(click => click['Sheet'] === 'Issues' && click['Column'] === 'D') &&
+        loggedClicks[0]['Recipient'] === hashTrackingRecipient('one@example.com', tracking.secret) &&
+        loggedClicks[3]['Recipient'] === hashTrackingRecipient('two@example.com', tracking.secret),
+      endToEndUniqueClicks: endToEnd.issues.length === 1 && endToEnd.issues[0].clicks === 4 && endToEnd.issues[0].uniqueClicks === 2 &&
+        endToEnd.topTopics.length === 1 && endToEnd.topTopics[0].uniqueClicks === 2,
+      callToActionTopic: summary.topics.some(topic => topic.column === 'C' && topic.topic === 'Call to Action'),
+      topTopics: summary.topTopics[0] === februaryTopic3 && summary.topTopics.every(topic => topic.topicNumber > 0)
+    };
+    
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
+    
+    const allPassed = Object.keys(checks).every(check => checks[check]);
+    
+    return {
+      success: allPassed,
+      message: allPassed ? 'Opens are tracked and engagement is summarized' : 'Open tracking or the engagement summary is incorrect',
+      results: checks
+    };
+    
+  } catch (error) {
+    console.error('❌ Engagement tracking test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Engagement tracking test failed: ' + error.message
+    };
   }
-  
-  return result;
 }
 
 /**
- * Validation function to test new button structure
+ * Tests UTM parameters on outbound links
  * @returns {Object} Test results
  */
-function validateButtonStructure() {
+function testUtmTagging() {
+  console.log('🧪 Testing UTM Tagging...');
+  
   try {
+    const utm = {
+      source: 'newsletter',
+      medium: 'email',
+      campaign: '2026-03-05-spring-update',
+      includeDomains: [],
+      excludeDomains: parseDomainList('https://www.forms.example.org/, *.internal.example.com')
+    };
+    const limited = Object.assign({}, utm, { includeDomains: parseDomainList('example.com') });
+    const tags = 'utm_source=newsletter&utm_medium=email&utm_campaign=2026-03-05-spring-update';
+    
     const testData = {
-      date: new Date(),
-      title: 'Test Newsletter',
-      subtitle: 'Testing the new button structure',
-      topic1: {
-        title: 'First Topic',
-        url: 'https://example.com/image1.jpg',
-        text: 'This is the first topic description',
-        buttonText: 'Learn More',
-        buttonUrl: 'https://example.com/topic1'
-      },
-      topic2: {
-        title: 'Second Topic',
-        url: 'https://example.com/image2.jpg',
-        description: 'This is the second topic description',
-        buttonText: 'Read Article',
-        buttonUrl: 'https://example.com/topic2'
-      },
-      topic3: {
-        title: 'Third Topic',
-        url: 'https://example.com/image3.jpg',
-        description: 'This is the third topic description',
-        buttonText: 'Watch Video',
-        buttonUrl: 'https://example.com/topic3'
-      },
+      date: new Date(2026, 2, 5),
+      title: '<strong>Spring Update:</strong> Café &amp; Tools!',
+      subtitle: 'From <a href="https://example.com/team">the team</a>',
+      utmTagging: 'Yes',
+      topics: [
+        {
+          number: 1,
+          title: 'Topic One',
+          url: 'https://example.com/image1.jpg',
+          description: '<p>Read <a href="https://example.com/guide?a=1&amp;b=2#part-2">the guide</a> or <a href="mailto:help@example.com">email us</a></p>',
+          buttonText: 'Learn More',
+          buttonUrl: 'https://example.com/topic1'
+        }
+      ],
       finalButtonUrl: 'https://example.com/final',
       to: 'test@example.com',
-      layoutStyle: 'offset'
+      layoutStyle: 'stacked'
+    };
+    const tracking = {
+      baseUrl: 'https://script.google.com/macros/s/test-deployment/exec',
+      clicks: true,
+      opens: false,
+      sheetName: 'Issues',
+      column: 'C',
+      recipient: '',
+      secret: 'test-secret'
     };
     
-    console.log('Testing HTML generation...');
     const html = createNewsletterHTML(testData);
-    console.log('✅ Newsletter HTML generated successfully, length:', html.length);
+    const trackedHtml = createNewsletterHTML(testData, { tracking: tracking });
+    const plainText = createNewsletterPlainText(testData);
+    const linkedTitleText = createNewsletterPlainText(Object.assign({}, testData, { title: 'Read <a href="https://example.com/About">more</a>' }));
     
-    console.log('Testing all three layouts...');
-    testData.layoutStyle = 'stacked';
-    const stackedHTML = createNewsletterHTML(testData);
-    console.log('✅ Stacked layout generated, length:', stackedHTML.length);
+    const checks = {
+      campaignFromDateAndTitle: getUtmCampaign(testData) === '2026-03-05-spring-update-cafe-and-tools',
+      plainLink: addUtmParameters('https://example.com/page', utm) === 'https://example.com/page?' + tags,
+      queryAndFragmentKept: addUtmParameters('https://example.com/page?id=7#top', utm) === 'https://example.com/page?id=7&' + tags + '#top',
+      existingUtmKept: addUtmParameters('https://example.com/?utm_source=partner', utm) === 'https://example.com/?utm_source=partner&utm_medium=email&utm_campaign=2026-03-05-spring-update',
+      mailtoUntouched: addUtmParameters('mailto:help@example.com', utm) === 'mailto:help@example.com',
+      excludedDomain: addUtmParameters('https://forms.example.org/f/1', utm) === 'https://forms.example.org/f/1',
+      excludedSubdomain: addUtmParameters('https://wiki.internal.example.com/', utm) === 'https://wiki.internal.example.com/',
+      includedDomain: addUtmParameters('https://hub.example.com/', limited) === 'https://hub.example.com/?' + tags,
+      notIncludedDomain: addUtmParameters('https://other.org/', limited) === 'https://other.org/',
+      offWithoutSettings: addUtmParameters('https://example.com/page', null) === 'https://example.com/page',
+      buttonTagged: /href="https:\/\/example\.com\/topic1\?utm_source=[^"]*utm_campaign=2026-03-05-spring-update-cafe-and-tools"/.test(html),
+      contentLinkTagged: /href="https:\/\/example\.com\/guide\?a=1&amp;b=2&amp;utm_source=[^"#]*#part-2"/.test(html),
+      finalButtonTagged: /href="https:\/\/example\.com\/final\?utm_source=/.test(html),
+      taggedBeforeTracking: trackedHtml.indexOf(encodeURIComponent('https://example.com/final?utm_source=')) !== -1,
+      plainTextTagged: plainText.indexOf('[https://example.com/topic1?utm_source=') !== -1,
+      subtitleLinkTagged: /href="https:\/\/example\.com\/team\?utm_source=/.test(html),
+      subtitleTaggedBeforeTracking: trackedHtml.indexOf(encodeURIComponent('https://example.com/team?utm_source=')) !== -1,
+      plainTextSubtitleTagged: plainText.indexOf('(https://example.com/team?utm_source=') !== -1,
+      plainTextTitleLinkKeepsCase: linkedTitleText.indexOf('READ MORE (https://example.com/About?utm_source=newsletter') !== -1,
+      offByDefault: createNewsletterHTML(Object.assign({}, testData, { utmTagging: 'No' })).indexOf('utm_source') === -1
+    };
     
-    testData.layoutStyle = 'hero';
-    const heroHTML = createNewsletterHTML(testData);
-    console.log('✅ Hero layout generated, length:', heroHTML.length);
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
     
-    testData.layoutStyle = 'offset';
-    const offsetHTML = createNewsletterHTML(testData);
-    console.log('✅ Offset layout generated, length:', offsetHTML.length);
+    const allPassed = Object.keys(checks).every(check => checks[check]);
     
     return {
-      success: true,
-      message: 'All tests passed! New button structure working correctly.',
-      htmlGeneration: true,
-      layoutsWorking: true
+      success: allPassed,
+      message: allPassed ? 'Outbound links are tagged with UTM parameters' : 'UTM tagging produced incorrect links',
+      results: checks
     };
     
   } catch (error) {
-    console.error('Validation failed:', error);
+    console.error('❌ UTM tagging test failed:', error);
     return {
       success: false,
       error: error.message,
-      message: 'Validation failed: ' + error.message
+      message: 'UTM tagging test failed: ' + error.message
     };
   }
 }
 
 /**
- * Converts rich text from Google Sheets to HTML for single-line content
- * @param {GoogleAppsScript.Spreadsheet.RichTextValue} richTextValue - Rich text from spreadsheet
- * @returns {string} HTML formatted text
+ * Tests which URLs the link checker collects and how fetched results are reported
+ * @returns {Object} Test results
  */
-function convertRichTextToHtmlSingleLine(richTextValue) {
-  if (!richTextValue) return '';
+function testLinkChecker() {
+  console.log('🧪 Testing Link Checker...');
   
   try {
-    const text = richTextValue.getText();
-    if (!text) return '';
+    const testData = {
+      title: 'Link Check <a href="https://example.com/about">Test</a>',
+      subtitle: 'From <a href="https://example.com/team">the team</a>',
+      socialLinks: 'Facebook | https://facebook.com/example | https://example.com/fb.png\nNews | https://example.com/news',
+      topics: [
+        {
+          number: 1,
+          title: 'Topic One',
+          url: 'https://drive.google.com/file/d/abc123XYZ/view?usp=sharing',
+          description: '<p>Read <a href="https://example.com/guide?a=1&amp;b=2">the guide</a>, <a href="https://example.com/topic1">again</a> or <a href="mailto:help@example.com">email us</a></p><p><img src="https://example.com/chart.png" alt="Chart"></p>',
+          buttonText: 'Learn More',
+          buttonUrl: 'https://example.com/topic1'
+        },
+        {
+          number: 2,
+          title: 'Topic Two',
+          url: 'data:image/png;base64,iVBORw0KGgo=',
+          description: 'No links here'
+        }
+      ],
+      finalButtonUrl: 'https://example.com/final',
+      layoutStyle: 'stacked'
+    };
     
-    const textRuns = richTextValue.getRuns();
-    let contentWithTags = '';
+    const items = collectNewsletterUrls(testData).filter(item => item.sources.every(source => source.indexOf('Config') !== 0));
+    const find = url => items.find(item => item.url === url);
     
-    // First, apply inline formatting (bold, italic)
-    for (const run of textRuns) {
-      let runText = run.getText();
-      const textStyle = run.getTextStyle();
-      
-      if (textStyle.isBold()) {
-        runText = `<strong>${runText}</strong>`;
-      }
-      
-      if (textStyle.isItalic()) {
-        runText = `<em>${runText}</em>`;
-      }
-      
-      contentWithTags += runText;
-    }
+    const fetched = [
+      { url: 'https://example.com/missing.png', type: 'image', sources: ['Topic 1 URL'], status: 404, redirects: [] },
+      { url: 'https://example.com/page', type: 'image', sources: ['Topic 2 URL'], status: 200, contentType: 'text/html', redirects: [] },
+      { url: 'https://example.com/ok.png', type: 'image', sources: ['Topic 3 URL'], status: 200, contentType: 'image/png', redirects: ['https://cdn.example.com/ok.png'], finalUrl: 'https://cdn.example.com/ok.png' },
+      { url: 'https://drive.google.com/uc?export=view&id=abc', type: 'image', driveFileId: 'abc', driveAccess: 'PRIVATE', sources: ['Config A2 (Main Logo)'], status: 200, contentType: 'text/html', redirects: [] },
+      { url: 'https://old.example.com/', type: 'link', sources: ['Final Button URL'], status: 200, redirects: ['https://new.example.com/'], finalUrl: 'https://new.example.com/' },
+      { url: 'https://down.example.com/', type: 'link', sources: ['Topic 1 Button URL'], fetchError: 'Address unavailable', redirects: [] }
+    ];
+    const problems = getLinkCheckProblems(fetched);
+    const hasError = text => problems.errors.some(message => message.indexOf(text) !== -1);
     
-    return contentWithTags.replace(/\n/g, ' '); // Replace newlines with spaces for single line content
+    const checks = {
+      driveImageConverted: !!find('https://drive.google.com/uc?export=view&id=abc123XYZ') && find('https://drive.google.com/uc?export=view&id=abc123XYZ').driveFileId === 'abc123XYZ',
+      dataImageSkipped: !items.some(item => item.url.indexOf('data:') === 0),
+      descriptionLink: !!find('https://example.com/guide?a=1&b=2'),
+      descriptionImage: !!find('https://example.com/chart.png') && find('https://example.com/chart.png').type === 'image',
+      titleAndSubtitleLinks: !!find('https://example.com/about') && !!find('https://example.com/team'),
+      socialLinks: !!find('https://facebook.com/example') && !!find('https://example.com/news') &&
+        find('https://example.com/news').sources[0].indexOf('line 2') !== -1,
+      socialIcon: !!find('https://example.com/fb.png') && find('https://example.com/fb.png').type === 'image',
+      mailtoSkipped: !items.some(item => item.url.indexOf('mailto:') === 0),
+      duplicatesMerged: !!find('https://example.com/topic1') && find('https://example.com/topic1').sources.length === 2,
+      finalButton: !!find('https://example.com/final'),
+      httpError: hasError('returned HTTP 404'),
+      notAnImage: hasError('"https://example.com/page" is not an image (text/html)'),
+      imageRedirectAllowed: !problems.errors.concat(problems.warnings).some(message => message.indexOf('ok.png') !== -1),
+      unsharedDriveImage: hasError('Config A2 (Main Logo): the Drive image isn\'t shared') && !hasError('abc" is not an image'),
+      linkRedirectWarning: problems.warnings.some(message => message.indexOf('redirects to "https://new.example.com/"') !== -1),
+      unreachable: hasError('could not be reached (Address unavailable)'),
+      relativeRedirects: resolveUrl('https://example.com/a/b?x=1', '/c') === 'https://example.com/c' &&
+        resolveUrl('https://example.com/a/b', 'c') === 'https://example.com/a/c' &&
+        resolveUrl('https://example.com/a', '//cdn.example.com/d') === 'https://cdn.example.com/d'
+    };
     
-  } catch (error) {
-    console.error('Error converting rich text to HTML:', error);
-    return richTextValue ? richTextValue.getText() : '';
-  }
-}
-
-/**
- * Gets formatted text from a spreadsheet cell for single-line content
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read from
- * @param {string} cellAddress - Cell address (e.g., 'B2', 'C5')
- * @returns {string} HTML formatted text or plain text fallback
- */
-function getFormattedCellValueSingleLine(sheet, cellAddress) {
-  if (!sheet || !cellAddress) return '';
-  
-  try {
-    const range = sheet.getRange(cellAddress);
-    const richTextValue = range.getRichTextValue();
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
     
-    if (richTextValue && richTextValue.getRuns().length > 0) {
-      return convertRichTextToHtmlSingleLine(richTextValue);
-    }
+    const allPassed = Object.keys(checks).every(check => checks[check]);
     
-    const plainValue = range.getValue();
-    return plainValue ? plainValue.toString().replace(/\n/g, ' ') : '';
+    return {
+      success: allPassed,
+      message: allPassed ? 'Links are collected and broken links are reported' : 'The link checker missed or misreported links',
+      results: checks
+    };
     
   } catch (error) {
-    console.error(`Error getting formatted cell value for ${cellAddress}:`, error);
-    try {
-      return sheet.getRange(cellAddress).getValue() || '';
-    } catch (fallbackError) {
-      console.error('Fallback getValue() also failed:', fallbackError);
-      return '';
-    }
+    console.error('❌ Link checker test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Link checker test failed: ' + error.message
+    };
   }
 }
 
 /**
- * Converts rich text from Google Sheets to HTML, preserving bold, italic, and paragraph breaks
- * @param {GoogleAppsScript.Spreadsheet.RichTextValue} richTextValue - Rich text from spreadsheet
- * @returns {string} HTML formatted text
+ * Tests list and subheading detection in description text
+ * @returns {Object} Test results
  */
-function convertRichTextToHtml(richTextValue) {
-  if (!richTextValue) return '';
+function testTextListsAndHeadings() {
+  console.log('🧪 Testing Lists and Subheadings...');
   
   try {
-    const text = richTextValue.getText();
-    if (!text) return '';
+    const text = [
+      'Try this at home:',
+      '- Gather <strong>materials</strong>',
+      '- Set up the station',
+      '  1. Tables first',
+      '  2) Then chairs',
+      '- Clean up',
+      '',
+      '## Next Week',
+      'MATERIALS NEEDED',
+      '1. Paper',
+      '2. Markers',
+      '',
+      'In 2025. we tried it first.',
+      'NASA and STEM day'
+    ].join('\n');
     
-    const textRuns = richTextValue.getRuns();
-    let contentWithTags = '';
+    const html = sanitizeHtml(processTextWithLineBreaks(text));
+    const styled = styleContentHeadings(html, DEFAULT_THEME);
+    const plainText = htmlToPlainText(html);
     
-    // First, apply inline formatting (bold, italic)
-    for (const run of textRuns) {
-      let runText = run.getText();
-      const textStyle = run.getTextStyle();
-      
-      if (textStyle.isBold()) {
-        runText = `<strong>${runText}</strong>`;
-      }
-      
-      if (textStyle.isItalic()) {
-        runText = `<em>${runText}</em>`;
-      }
-      
-      contentWithTags += runText;
-    }
+    const checks = {
+      bulletedList: html.includes('<ul style="margin: 0 0 10px 0; padding: 0 0 0 24px;"><li style="margin: 0 0 6px 0;">Gather <strong>materials</strong></li>'),
+      nestedNumberedList: html.includes('Set up the station<ol style="margin: 6px 0 0 0; padding: 0 0 0 24px;"><li style="margin: 0 0 6px 0;">Tables first</li><li style="margin: 0 0 6px 0;">Then chairs</li></ol></li><li style="margin: 0 0 6px 0;">Clean up</li></ul>'),
+      markedHeading: html.includes('>Next Week</h3>'),
+      capsHeading: html.includes('>MATERIALS NEEDED</h3>'),
+      proseUntouched: html.includes('<p style="margin: 0 0 10px 0;">In 2025. we tried it first.<br>NASA and STEM day</p>'),
+      themedHeading: styled.includes(`<h3 class="dark-heading" style="font-family: ${DEFAULT_THEME.headingFont}; color: ${DEFAULT_THEME.headingColor};`),
+      plainTextList: plainText.includes('- Set up the station\n  1. Tables first\n  2. Then chairs\n- Clean up'),
+      continuedNumbering: sanitizeHtml(processTextWithLineBreaks('3. third\n4. fourth')).indexOf('<ol start="3" style=') === 0 &&
+        htmlToPlainText(sanitizeHtml(processTextWithLineBreaks('3. third\n4. fourth'))) === '3. third\n4. fourth',
+      startSanitized: sanitizeHtml('<ol start="x1"><li>a</li></ol><ol start=" 07 "><li>b</li></ol>') === '<ol><li>a</li></ol><ol start="7"><li>b</li></ol>',
+      unevenIndents: createTextListHtml(['a', 'b', 'c', 'd'].map((letter, index) => ({ indent: [0, 4, 2, 0][index], ordered: false, text: letter })))
+        .replace(/ style="[^"]*"/g, '') === '<ul><li>a<ul><li>b</li><li>c</li></ul></li><li>d</li></ul>'
+    };
     
-    // Now, process the entire block for line and paragraph breaks
-    return processTextWithLineBreaks(contentWithTags);
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
+    
+    const allPassed = Object.keys(checks).every(check => checks[check]);
+    
+    return {
+      success: allPassed,
+      message: allPassed ? 'Lists and subheadings render correctly' : 'List or subheading rendering is wrong',
+      results: checks
+    };
     
   } catch (error) {
-    console.error('Error converting rich text to HTML:', error);
-    // Fallback to plain text, but still process line breaks
-    return processTextWithLineBreaks(richTextValue ? richTextValue.getText() : '');
+    console.error('❌ Lists and subheadings test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Lists and subheadings test failed: ' + error.message
+    };
   }
 }
 
 /**
- * Processes text with line breaks and converts them to HTML paragraph and line break tags.
- * @param {string} text - Input text with potential line breaks.
- * @returns {string} Text with proper HTML paragraph/break structure.
- */
-function processTextWithLineBreaks(text) {
-  if (!text || typeof text !== 'string') return '';
-
-  // Standardize line endings and trim whitespace from the whole block
-  let processedText = text.replace(/\r\n|\r/g, '\n').trim();
-
-  // Split into paragraphs based on double (or more) newlines
-  const paragraphs = processedText.split(/\n{2,}/);
-
-  // Process each paragraph for single newlines and wrap in <p> tags
-  return paragraphs.map(p => {
-    if (p.trim() === '') return '';
-    // Replace single newlines within a paragraph with <br>
-    const content = p.replace(/\n/g, '<br>');
-    return `<p style="margin: 0 0 10px 0;">${content}</p>`;
-  }).join('');
-}
-
-/**
- * Gets formatted text from a spreadsheet cell, preserving rich text formatting
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read from
- * @param {string} cellAddress - Cell address (e.g., 'B2', 'C5')
- * @returns {string} HTML formatted text or plain text fallback
+ * Tests reading cells as Markdown and as rich text
+ * @returns {Object} Test results
  */
-function getFormattedCellValue(sheet, cellAddress) {
-  if (!sheet || !cellAddress) return '';
+function testMarkdownContent() {
+  console.log('🧪 Testing Markdown Content Format...');
   
   try {
-    const range = sheet.getRange(cellAddress);
-    const richTextValue = range.getRichTextValue();
+    const markdown = [
+      '# Field Trip',
+      'Bring **lunch**, *water* and `2*3` [the form](https://example.com/form?a=1&b=2).',
+      'See [**the docs**](https://example.com/_static_/a_b) and ![Chart](https://example.com/_img_/c.png)',
+      '',
+      '- Permission slip',
+      '- ~~Old date~~ New date',
+      '',
+      '> Remember to smile',
+      '',
+      '![Bus map](https://example.com/map.png)',
+      '<script>alert(1)</script>'
+    ].join('\n');
     
-    // If rich text is available and has formatting, convert to HTML
-    if (richTextValue && richTextValue.getRuns().length > 0) {
-      return convertRichTextToHtml(richTextValue);
-    }
+    // Stand-in for a sheet whose cells hold plain (unformatted) text
+    const mockSheet = {
+      getRange: () => ({
+        getValue: () => markdown,
+        getRichTextValue: () => null
+      })
+    };
     
-    // Fallback to plain text with basic line break processing
-    const plainValue = range.getValue();
-    if (plainValue && typeof plainValue === 'string') {
-      return processTextWithLineBreaks(plainValue);
-    }
+    const markdownHtml = sanitizeHtml(getFormattedCellValue(mockSheet, 'B6', { contentFormat: 'markdown' }));
+    const richTextHtml = sanitizeHtml(getFormattedCellValue(mockSheet, 'B6', { contentFormat: 'richText' }));
+    const markdownTitle = sanitizeHtml(getFormattedCellValueSingleLine(mockSheet, 'B2', { contentFormat: 'markdown' }));
     
-    return plainValue ? plainValue.toString() : '';
+    const checks = {
+      formatNames: getContentFormat('Markdown') === 'markdown' && getContentFormat('rich text') === 'richText' && getContentFormat('Wiki') === null,
+      heading: markdownHtml.includes('>Field Trip</h3>'),
+      emphasis: markdownHtml.includes('Bring <strong>lunch</strong>, <em>water</em>'),
+      inlineCode: /<code style="[^"]*">2\*3<\/code>/.test(markdownHtml),
+      link: markdownHtml.includes('<a href="https://example.com/form?a=1&amp;b=2">the form</a>'),
+      underscoresInUrls: markdownHtml.includes('<a href="https://example.com/_static_/a_b"><strong>the docs</strong></a>') &&
+        markdownHtml.includes('<img src="https://example.com/_img_/c.png" alt="Chart"'),
+      list: markdownHtml.includes('<li style="margin: 0 0 6px 0;"><s>Old date</s> New date</li>'),
+      blockQuote: /<blockquote style="[^"]*"><p style="margin: 0 0 10px 0;">Remember to smile<\/p><\/blockquote>/.test(markdownHtml),
+      image: markdownHtml.includes('<img src="https://example.com/map.png" alt="Bus map"'),
+      htmlEscaped: !markdownHtml.includes('<script>') && markdownHtml.includes('&lt;script&gt;'),
+      singleLine: markdownTitle.indexOf('<h3') === -1 && markdownTitle.includes('<strong>lunch</strong>'),
+      richTextKeepsSymbols: richTextHtml.includes('**lunch**') && !richTextHtml.includes('<blockquote'),
+      themedBlocks: styleContentBlocks(markdownHtml, DEFAULT_THEME).includes(`<code class="dark-panel" style="background-color: ${DEFAULT_THEME.panelColor}; `) &&
+        styleContentBlocks(markdownHtml, DEFAULT_THEME).includes(`<blockquote class="dark-quote" style="border-left: 3px solid ${DEFAULT_THEME.primaryColor}; `) &&
+        getDarkModeCSS(DEFAULT_THEME).includes(`.dark-quote { border-left-color: ${DEFAULT_THEME.darkHeadingColor} !important; }`)
+    };
+    
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
+    
+    const allPassed = Object.keys(checks).every(check => checks[check]);
+    
+    return {
+      success: allPassed,
+      message: allPassed ? 'Markdown and rich text content formats render correctly' : 'Content format rendering is wrong',
+      results: checks
+    };
     
   } catch (error) {
-    console.error(`Error getting formatted cell value for ${cellAddress}:`, error);
-    // Final fallback to basic getValue()
-    try {
-      return sheet.getRange(cellAddress).getValue() || '';
-    } catch (fallbackError) {
-      console.error('Fallback getValue() also failed:', fallbackError);
-      return '';
-    }
-  }
-}
-
-/**
- * Strips HTML tags from a string
- * @param {string} html - The string containing HTML
- * @returns {string} The string with HTML tags removed
- */
-function stripHtmlTags(html) {
-  if (!html || typeof html !== 'string') {
-    return '';
+    console.error('❌ Markdown content test failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Markdown content test failed: ' + error.message
+    };
   }
-  return html.replace(/<[^>]+>/g, '');
-}
-
-/**
- * Sanitizes HTML content to prevent XSS while preserving safe formatting tags
- * @param {string} html - HTML content to sanitize
- * @returns {string} Sanitized HTML content
- */
-function sanitizeHtml(html) {
-  if (!html || typeof html !== 'string') return '';
-  
-  // Allow only safe formatting tags
-  const allowedTags = ['strong', 'b', 'em', 'i', 'p', 'br'];
-  const allowedTagPattern = new RegExp(`</?(?:${allowedTags.join('|')})(?:\\s[^>]*)?>`, 'gi');
-  
-  // Remove any HTML tags not in the allowed list
-  return html
-    .replace(/<[^>]+>/g, (tag) => {
-      if (allowedTagPattern.test(tag)) {
-        // For paragraph tags, preserve style attributes for spacing
-        if (tag.toLowerCase().includes('<p') && tag.includes('style')) {
-          return tag;
-        }
-        // For other allowed tags, return simplified version
-        const tagName = tag.match(/<\/?(\w+)/)?.[1]?.toLowerCase();
-        if (allowedTags.includes(tagName)) {
-          return tag.startsWith('</') ? `</${tagName}>` : `<${tagName}>`;
-        }
-      }
-      return ''; // Remove disallowed tags
-    })
-    // Escape any remaining angle brackets that aren't part of allowed tags
-    .replace(/</g, (match, offset, str) => {
-      const nextChar = str[offset + 1];
-      if (nextChar && /[a-zA-Z\/]/.test(nextChar)) {
-        // This might be an allowed tag, let it through
-        return match;
-      }
-      return '&lt;';
-    });
 }
 
 /**
- * Comprehensive test for rich text formatting support
+ * Tests that links, underline, strikethrough and color carry over from rich text
+ * runs and survive sanitization
  * @returns {Object} Test results
  */
-function testRichTextFormatting() {
-  console.log('🧪 Testing Rich Text Formatting Support...');
+function testRichTextLinks() {
+  console.log('🧪 Testing Rich Text Links and Styles...');
   
   try {
-    // Test the rich text processing functions
-    console.log('📝 Testing processTextWithLineBreaks...');
-    
-    const singleLineText = 'Single line text';
-    const multiLineText = 'First paragraph\n\nSecond paragraph\nThird line';
-    const emptyText = '';
-    
-    const singleResult = processTextWithLineBreaks(singleLineText);
-    const multiResult = processTextWithLineBreaks(multiLineText);
-    const emptyResult = processTextWithLineBreaks(emptyText);
-    
-    console.log('✅ Single line:', singleResult === 'Single line text' ? 'PASSED' : 'FAILED');
-    console.log('✅ Multi line converted to paragraphs:', multiResult.includes('<p') ? 'PASSED' : 'FAILED');
-    console.log('✅ Empty text handled:', emptyResult === '' ? 'PASSED' : 'FAILED');
+    // Minimal stand-in for a RichTextValue, built from [text, style, linkUrl] runs
+    const mockRichText = runs => ({
+      getText: () => runs.map(run => run[0]).join(''),
+      getRuns: () => runs.map(([text, style = {}, linkUrl = null]) => ({
+        getText: () => text,
+        getLinkUrl: () => linkUrl,
+        getTextStyle: () => ({
+          isBold: () => !!style.bold,
+          isItalic: () => !!style.italic,
+          isUnderline: () => !!style.underline,
+          isStrikethrough: () => !!style.strikethrough,
+          getForegroundColor: () => style.color || '#000000',
+          getFontSize: () => style.fontSize || 10
+        })
+      }))
+    });
     
-    // Test HTML sanitization
-    console.log('🔒 Testing HTML sanitization...');
-    const unsafeHtml = '<script>alert("xss")</script><strong>Safe bold</strong><em>Safe italic</em><p>Safe paragraph</p>';
-    const sanitized = sanitizeHtml(unsafeHtml);
+    const richText = mockRichText([
+      ['Read the ', {}],
+      ['district ', { underline: true, color: '#1155cc' }, 'https://example.com/guide?a=1&b=2'],
+      ['guide', { bold: true, underline: true, color: '#1155cc' }, 'https://example.com/guide?a=1&b=2'],
+      [', ', {}],
+      ['old date', { strikethrough: true }],
+      [' and ', {}],
+      ['this', { underline: true, color: '#ad2122', fontSize: 14 }],
+      [' or ', {}],
+      ['this', {}, 'javascript:alert(1)']
+    ]);
     
-    console.log('✅ Script tags removed:', !sanitized.includes('<script>') ? 'PASSED' : 'FAILED');
-    console.log('✅ Safe tags preserved:', sanitized.includes('<strong>') && sanitized.includes('<em>') ? 'PASSED' : 'FAILED');
+    const html = sanitizeHtml(convertRichTextToHtml(richText));
+    const sizedHtml = sanitizeHtml(convertRichTextToHtml(richText, { preserveFontSize: true }));
+    const styled = styleContentLinks(html, DEFAULT_THEME);
+    const plainText = htmlToPlainText(styled);
     
-    // Test mock rich text conversion
-    console.log('🎨 Testing mock formatted content generation...');
-    const mockFormattedData = {
-      date: new Date(),
-      title: '<strong>Bold Title</strong> with <em>italic text</em>',
-      subtitle: 'First line\n\nSecond paragraph',
-      topic1: {
-        title: 'Topic with <strong>bold</strong> formatting',
-        url: 'https://example.com/image.jpg',
-        text: 'Description with multiple paragraphs\n\nSecond paragraph here',
-        buttonText: 'Learn More',
-        buttonUrl: 'https://example.com'
-      },
-      topic2: {
-        title: '<em>Italic</em> Topic Title',
-        url: 'https://example.com/image2.jpg',
-        description: 'Single line description with <strong>bold words</strong>',
-        buttonText: 'Read More',
-        buttonUrl: 'https://example.com'
-      },
-      topic3: {
-        title: 'Plain Topic Title',
-        url: 'https://example.com/image3.jpg',
-        description: 'Multi-line description\n\nWith paragraph breaks\nAnd additional lines',
-        buttonText: 'View More',
-        buttonUrl: 'https://example.com'
-      },
-      layoutStyle: 'offset'
+    const checks = {
+      linkMerged: html.includes('<a href="https://example.com/guide?a=1&amp;b=2">district <strong>guide</strong></a>'),
+      strikethrough: html.includes('<s>old date</s>'),
+      underlineAndColor: html.includes('<span style="color: #ad2122;"><u>this</u></span>'),
+      fontSizeOptional: !html.includes('font-size') && sizedHtml.includes('font-size: 14pt;'),
+      unsafeLinkDropped: !html.includes('javascript'),
+      themeLinkStyle: styled.includes(`style="color: ${DEFAULT_THEME.linkColor}; text-decoration: underline;"`),
+      plainTextLink: plainText.includes('district guide (https://example.com/guide?a=1&b=2)'),
+      sanitizerRejectsUnsafe: sanitizeHtml('<a href="javascript:alert(1)" onclick="x()">x</a><span style="background: url(x)">y</span>') === '<a>x</a><span>y</span>'
     };
     
-    // Test all layout types with formatted content
-    mockFormattedData.layoutStyle = 'stacked';
-    const stackedHtml = createNewsletterHTML(mockFormattedData);
-    console.log('✅ Stacked layout with formatting:', stackedHtml.length > 1000 ? 'PASSED' : 'FAILED');
-    
-    mockFormattedData.layoutStyle = 'hero';
-    const heroHtml = createNewsletterHTML(mockFormattedData);
-    console.log('✅ Hero layout with formatting:', heroHtml.length > 1000 ? 'PASSED' : 'FAILED');
-    
-    mockFormattedData.layoutStyle = 'offset';
-    const offsetHtml = createNewsletterHTML(mockFormattedData);
-    console.log('✅ Offset layout with formatting:', offsetHtml.length > 1000 ? 'PASSED' : 'FAILED');
-    
-    // Verify HTML contains formatted content
-    const containsFormatting = stackedHtml.includes('<strong>') || stackedHtml.includes('<em>') || stackedHtml.includes('<p style=');
-    console.log('✅ HTML contains formatting tags:', containsFormatting ? 'PASSED' : 'FAILED');
+    Object.keys(checks).forEach(check => {
+      console.log(`✅ ${check}: ${checks[check] ? 'PASSED' : 'FAILED'}`);
+    });
     
-    console.log('🎉 SUCCESS: Rich text formatting system is working correctly!');
-    console.log('📊 Features supported:');
-    console.log('  ✅ Bold text (<strong> tags)');
-    console.log('  ✅ Italic text (<em> tags)');
-    console.log('  ✅ Paragraph breaks (multiple <p> tags)');
-    console.log('  ✅ HTML sanitization (XSS protection)');
-    console.log('  ✅ All layout styles (stacked, hero, offset)');
-    console.log('  ✅ Backward compatibility with plain text');
+    const allPassed = Object.keys(checks).every(check => checks[check]);
     
     return {
-      success: true,
-      message: 'Rich text formatting system working correctly',
-      features: {
-        boldText: true,
-        italicText: true,
-        paragraphBreaks: true,
-        htmlSanitization: true,
-        allLayouts: true,
-        backwardCompatibility: true
-      }
+      success: allPassed,
+      message: allPassed ? 'Rich text links and styles are preserved' : 'Rich text links or styles were lost',
+      results: checks
     };
     
   } catch (error) {
-    console.error('❌ Rich text formatting test failed:', error);
+    console.error('❌ Rich text links test failed:', error);
     return {
       success: false,
       error: error.message,
-      message: 'Rich text formatting test failed: ' + error.message
+      message: 'Rich text links test failed: ' + error.message
     };
   }
 }
@@ -1489,23 +7469,26 @@ function testFormattedCellExtraction(testColumn = 'B') {
   
   try {
     const sheet = SpreadsheetApp.getActiveSheet();
+    const schema = getRequiredSheetSchema(sheet);
+    const addressFor = field => schema.rows[field] ? testColumn + schema.rows[field] : null;
     
-    // Test title extraction (row 2)
-    const titleCellAddress = testColumn + '2';
+    // Test title extraction
+    const titleCellAddress = addressFor('title');
     const titleValue = getFormattedCellValue(sheet, titleCellAddress);
     console.log(`📋 Title from ${titleCellAddress}:`, titleValue ? 'EXTRACTED' : 'EMPTY');
     
-    // Test subtitle extraction (row 3)  
-    const subtitleCellAddress = testColumn + '3';
+    // Test subtitle extraction
+    const subtitleCellAddress = addressFor('subtitle');
     const subtitleValue = getFormattedCellValue(sheet, subtitleCellAddress);
     console.log(`📋 Subtitle from ${subtitleCellAddress}:`, subtitleValue ? 'EXTRACTED' : 'EMPTY');
     
     // Test topic descriptions
-    const topic1TextAddress = testColumn + '6';
+    const topicAddressFor = (index, field) => schema.topics[index] && schema.topics[index].rows[field] ? testColumn + schema.topics[index].rows[field] : null;
+    const topic1TextAddress = topicAddressFor(0, 'description');
     const topic1Text = getFormattedCellValue(sheet, topic1TextAddress);
     console.log(`📋 Topic 1 text from ${topic1TextAddress}:`, topic1Text ? 'EXTRACTED' : 'EMPTY');
     
-    const topic2DescAddress = testColumn + '11';
+    const topic2DescAddress = topicAddressFor(1, 'description');
     const topic2Desc = getFormattedCellValue(sheet, topic2DescAddress);
     console.log(`📋 Topic 2 description from ${topic2DescAddress}:`, topic2Desc ? 'EXTRACTED' : 'EMPTY');
     
@@ -1554,9 +7537,9 @@ function testFormattingIntegration(testColumn = 'B') {
     console.log('📊 Data extraction completed');
     console.log('  Title:', formattedData.title ? 'PRESENT' : 'MISSING');
     console.log('  Subtitle:', formattedData.subtitle ? 'PRESENT' : 'MISSING');
-    console.log('  Topic 1:', formattedData.topic1.title ? 'PRESENT' : 'MISSING');
-    console.log('  Topic 2:', formattedData.topic2.title ? 'PRESENT' : 'MISSING');
-    console.log('  Topic 3:', formattedData.topic3.title ? 'PRESENT' : 'MISSING');
+    formattedData.topics.forEach(topic => {
+      console.log(`  Topic ${topic.number}:`, topic.title ? 'PRESENT' : 'MISSING');
+    });
     
     // Generate HTML using all three layouts
     const layouts = ['stacked', 'hero', 'offset'];